@@ -1,107 +1,332 @@
 import bcrypt from "bcrypt";
-import sql from "../db/db.js";
-import { signToken } from "../utils/jwt.js";
+import { signToken, verifyToken } from "../utils/jwt.js";
+import {
+  createSession,
+  revokeSession,
+  revokeUserSessions,
+  rotateRefreshToken,
+  sessionForRefreshToken,
+} from "../lib/sessions.js";
+import { consumeUserToken, createUserToken } from "../lib/userTokens.js";
+import { getMailer, sendInBackground } from "../lib/mailer/index.js";
+import {
+  clearFailedLogins,
+  lockedForSeconds,
+  recordFailedLogin,
+} from "../lib/loginLockout.js";
+import {
+  acceptInvitation as acceptPendingInvitation,
+  findPendingInvitation,
+} from "../lib/invitations.js";
+import { publicBase } from "../lib/issuance.js";
+import { getInstitution } from "../repositories/institutions.js";
+import {
+  emailTaken,
+  findUser,
+  findUserByEmail,
+  getPasswordHash,
+  markEmailVerified,
+  registerInstitution,
+  resetUserPassword,
+  setPassword,
+} from "../repositories/users.js";
 import {
   ok,
   created,
   badRequest,
   conflict,
-  serverError,
+  forbidden,
+  notFound,
+  tooManyRequests,
+  unauthorized,
 } from "../utils/responses.js";
 
+/** Shape a users row (joined with its institution) for API responses. */
+function toUser(row) {
+  return {
+    id: row.id,
+    institutionId: row.institution_id,
+    institutionName: row.institution_name,
+    fullName: row.full_name,
+    type: row.user_type,
+    institution_logo: row.institution_logo,
+    email: row.email,
+    emailVerified: !!row.email_verified_at,
+    active: !row.deactivated_at,
+    createdAt: row.created_at,
+  };
+}
+
+// include role/type, institution and session in the token
+const tokenFor = (user, sessionId) =>
+  signToken({
+    sub: user.id,
+    sid: sessionId,
+    email: user.email,
+    type: user.type,
+    institution_id: user.institutionId,
+    institution_name: user.institutionName,
+  });
+
+/** Start a session and build the sign-in response body. */
+async function signIn(req, user) {
+  const { sessionId, refreshToken } = await createSession(user.id, {
+    ip: req.ip,
+    userAgent: req.headers["user-agent"] || null,
+  });
+  return { token: tokenFor(user, sessionId), refreshToken, user };
+}
+
+async function loadUser(id) {
+  const row = await findUser(id);
+  return row ? toUser(row) : null;
+}
+
+// links in emails open the front end when APP_URL is set, else this API.
+// APP_URL is only unset with the console mailer (see index.js).
+const appLink = (path, token) =>
+  `${process.env.APP_URL || publicBase()}${path}?token=${encodeURIComponent(token)}`;
+
+async function sendVerificationEmail(user) {
+  const token = await createUserToken(user.id, "email_verification");
+  const link = process.env.APP_URL
+    ? appLink("/verify-email", token)
+    : appLink("/auth/verify-email", token);
+  await getMailer().send({
+    to: user.email,
+    subject: "Confirm your email address",
+    text: `Hi ${user.fullName},\n\nConfirm your email address for ${user.institutionName}:\n${link}\n\nThe link expires in 3 days.`,
+  });
+}
+
 export async function register(req, res) {
-  try {
-    const {
-      institutionName,
-      fullName,
-      userType,
-      email,
-      password,
-      institutionLogo,
-    } = req.body || {};
-    if (!institutionName || !fullName || !userType || !email || !password) {
-      return res.status(400).json({
-        error: "institutionName, fullName, userType, email, password required",
-      });
-    }
+  const { institutionName, fullName, userType, email, password, institutionLogo } =
+    req.body;
+  // self-registration only creates a new institution and its first admin;
+  // everyone else joins through an admin's invitation
+  if (userType && userType !== "admin")
+    return badRequest(res, "Registrars and staff join by invitation from their admin");
 
-    const existing =
-      await sql`select 1 from users where lower(email) = lower(${email})`;
-    if (existing.length)
-      return res.status(409).json({ error: "Email already in use" });
-
-    const hash = await bcrypt.hash(password, 12);
-    const [user] = await sql`
-      insert into users (institution_name, full_name, user_type, email, password_hash, institution_logo)
-      values (${institutionName}, ${fullName}, ${userType}, ${email}, ${hash}, ${
-      institutionLogo ?? null
-    })
-      returning
-        id,
-        institution_name as "institutionName",
-        full_name as "fullName",
-        user_type as "type",
-        institution_logo,
-        email,
-        created_at as "createdAt"
-    `;
-
-    // include role/type in token if you like
-    const token = signToken({
-      sub: user.id,
-      email: user.email,
-      type: user.type,
-      institution_name: user.institutionName,
-    });
-    return res.status(201).json({ token, user });
-  } catch (e) {
-    console.error(e);
-    return res.status(500).json({ error: "Server error" });
-  }
+  if (await emailTaken(email))
+    return conflict(res, "Email already in use");
+
+  const hash = await bcrypt.hash(password, 12);
+  // names are unique case-insensitively; an existing one is someone else's
+  const row = await registerInstitution({
+    institutionName,
+    institutionLogo,
+    fullName,
+    email,
+    passwordHash: hash,
+  });
+  if (!row)
+    return conflict(
+      res,
+      "Institution already registered; ask its admin for an invitation"
+    );
+
+  const user = toUser(row);
+  // registration still succeeds if the mail can't go out; they can resend
+  await sendVerificationEmail(user).catch((e) =>
+    console.error("Failed to send verification email:", e)
+  );
+  return res.status(201).json(await signIn(req, user));
+}
+
+const invalidLink = (res) =>
+  badRequest(res, "Link is invalid or has expired", { code: "invalid_link" });
+
+const invalidCredentials = (res) =>
+  badRequest(res, "Invalid credentials", { code: "invalid_credentials" });
+
+function tooManyFailures(res, seconds) {
+  res.setHeader("Retry-After", seconds);
+  const minutes = Math.ceil(seconds / 60);
+  return tooManyRequests(
+    res,
+    `Too many failed sign-ins. Try again in ${minutes} minute(s) or reset your password.`,
+    { code: "account_locked", details: { retryAfter: seconds } }
+  );
 }
 
+// compared against when the email has no account, so the answer takes as
+// long as a wrong password would and response times don't tell who has one
+const DUMMY_HASH = "$2b$12$ho3907hl65BYIKDbfePerOidCUzenlE9wWjLKmzsMg6je0LRxcuK.";
+
 export async function login(req, res) {
-  try {
-    const { email, password } = req.body || {};
-    const [row] =
-      await sql`select * from users where lower(email) = lower(${email})`;
-    if (!row) return res.status(400).json({ error: "Invalid credentials" });
-
-    const ok = await bcrypt.compare(password, row.password_hash);
-    if (!ok) return res.status(400).json({ error: "Invalid credentials" });
-
-    const user = {
-      id: row.id,
-      institutionName: row.institution_name,
-      fullName: row.full_name,
-      type: row.user_type,
-      institution_logo: row.institution_logo,
-      email: row.email,
-      createdAt: row.created_at,
-    };
+  const { email, password } = req.body;
+  const row = await findUserByEmail(email);
+  if (!row) {
+    await bcrypt.compare(password, DUMMY_HASH);
+    return invalidCredentials(res);
+  }
 
-    const token = signToken({
-      sub: user.id,
-      email: user.email,
-      type: user.type,
-      institution_name: user.institutionName,
-    });
-    return res.json({ token, user });
-  } catch (e) {
-    console.error(e);
-    return res.status(500).json({ error: "Server error" });
+  // a locked account is refused before the password is checked, so the
+  // answer is the same for a right and a wrong guess. The attempt still
+  // counts, so someone who keeps trying gets locked out for longer.
+  if (lockedForSeconds(row)) {
+    const { lockedUntil } = await recordFailedLogin(row.id);
+    return tooManyFailures(
+      res,
+      lockedForSeconds({ locked_until: lockedUntil ?? row.locked_until })
+    );
+  }
+  if (!(await bcrypt.compare(password, row.password_hash))) {
+    await recordFailedLogin(row.id);
+    return invalidCredentials(res);
   }
+  if (row.deactivated_at)
+    return forbidden(res, "Account deactivated", { code: "account_deactivated" });
+
+  await clearFailedLogins(row.id);
+  return res.json(await signIn(req, toUser(row)));
 }
 
 export async function me(req, res) {
-  try {
-    const userId = req.user?.sub;
-    const { rows } = await sql.query(
-      "select id, email, created_at from users where id = $1",
-      [userId]
-    );
-    return ok(res, { user: rows[0] || null });
-  } catch (e) {
-    return serverError(res, e);
+  const user = await loadUser(req.user.sub);
+  if (!user) return unauthorized(res, "User no longer exists");
+  return ok(res, { user });
+}
+
+// POST /auth/refresh  { refreshToken } -> a new access + refresh token pair
+export async function refresh(req, res) {
+  const result = await rotateRefreshToken(req.body.refreshToken);
+  if (result.error)
+    return unauthorized(res, result.error, { code: "invalid_refresh_token" });
+
+  const user = await loadUser(result.userId);
+  if (!user) return unauthorized(res, "User no longer exists");
+  if (!user.active)
+    return forbidden(res, "Account deactivated", { code: "account_deactivated" });
+  return ok(res, {
+    token: tokenFor(user, result.sessionId),
+    refreshToken: result.refreshToken,
+    user,
+  });
+}
+
+// POST /auth/logout  { refreshToken } or Authorization: Bearer <access token>
+// Works with an expired access token as long as the refresh token is sent.
+export async function logout(req, res) {
+  let sessionId = null;
+  if (req.body?.refreshToken)
+    sessionId = await sessionForRefreshToken(req.body.refreshToken);
+  else {
+    const hdr = req.headers.authorization || "";
+    try {
+      if (hdr.startsWith("Bearer ")) sessionId = verifyToken(hdr.slice(7)).sid;
+    } catch {
+      // an invalid access token has nothing to sign out
+    }
   }
+  if (!sessionId) return unauthorized(res, "Nothing to sign out");
+
+  await revokeSession(sessionId, "logout");
+  return res.status(204).end();
+}
+
+// POST /auth/logout-all -> sign out every session of the current user
+export async function logoutAll(req, res) {
+  const revoked = await revokeUserSessions(req.user.sub, "logout_all");
+  return ok(res, { revoked });
+}
+
+// POST /auth/verify-email  { token }   (GET ?token= for links opened directly)
+export async function verifyEmail(req, res) {
+  const token = req.body?.token || req.query.token;
+  const userId = await consumeUserToken(token, "email_verification");
+  if (!userId) return invalidLink(res);
+  await markEmailVerified(userId);
+  return ok(res, { verified: true });
+}
+
+// POST /auth/resend-verification
+export async function resendVerification(req, res) {
+  const user = await loadUser(req.user.sub);
+  if (!user) return unauthorized(res);
+  if (user.emailVerified) return conflict(res, "Email already verified");
+  await sendVerificationEmail(user);
+  return ok(res, { sent: true });
+}
+
+// POST /auth/forgot-password  { email }
+// Always answers the same way, at once, so it can't be used to find accounts:
+// the lookup and the email happen after the response has gone.
+export async function forgotPassword(req, res) {
+  const { email } = req.body;
+  sendInBackground("password reset email", async () => {
+    const row = await findUserByEmail(email);
+    if (!row) return null;
+    const token = await createUserToken(row.id, "password_reset");
+    return {
+      to: row.email,
+      subject: "Reset your password",
+      text: `Hi ${row.full_name},\n\nSomeone asked to reset your password. If it was you, choose a new one here:\n${appLink("/reset-password", token)}\n\nThe link expires in 1 hour and works once. If it wasn't you, ignore this email.`,
+    };
+  });
+  return ok(res, { sent: true });
+}
+
+// POST /auth/reset-password  { token, password }
+export async function resetPassword(req, res) {
+  const { token, password } = req.body;
+  const userId = await consumeUserToken(token, "password_reset");
+  if (!userId) return invalidLink(res);
+
+  const hash = await bcrypt.hash(password, 12);
+  // also confirms the address and lifts a lockout (see resetUserPassword)
+  await resetUserPassword(userId, hash);
+  // whoever knew the old password is signed out everywhere
+  await revokeUserSessions(userId, "password_reset");
+  return ok(res, { reset: true });
+}
+
+// POST /auth/change-password  { currentPassword, newPassword }
+export async function changePassword(req, res) {
+  const { currentPassword, newPassword } = req.body;
+
+  const passwordHash = await getPasswordHash(req.user.sub);
+  if (!passwordHash) return unauthorized(res);
+  if (!(await bcrypt.compare(currentPassword, passwordHash)))
+    return badRequest(res, "Current password is incorrect", {
+      code: "invalid_credentials",
+      details: [
+        { location: "body", field: "currentPassword", message: "currentPassword is incorrect" },
+      ],
+    });
+
+  const hash = await bcrypt.hash(newPassword, 12);
+  await setPassword(req.user.sub, hash);
+  // keep this session, sign out the others
+  const revoked = await revokeUserSessions(req.user.sub, "password_changed", {
+    except: req.user.sid,
+  });
+  return ok(res, { changed: true, sessionsRevoked: revoked });
+}
+
+// GET /auth/invitations/:token -> who is invited where, for the sign-up form
+export async function showInvitation(req, res) {
+  const invitation = await findPendingInvitation(req.params.token);
+  if (!invitation)
+    return notFound(res, "Invitation is invalid or has expired", { code: "invalid_link" });
+  const institution = await getInstitution(invitation.institution_id);
+  return ok(res, {
+    email: invitation.email,
+    role: invitation.role,
+    institutionName: institution?.name,
+    expiresAt: invitation.expires_at,
+  });
+}
+
+// POST /auth/accept-invite  { token, fullName, password }
+export async function acceptInvitation(req, res) {
+  const { token, fullName, password } = req.body;
+
+  const hash = await bcrypt.hash(password, 12);
+  const result = await acceptPendingInvitation(token, { fullName, passwordHash: hash });
+  if (result.conflict) return conflict(res, "Email already in use");
+  if (result.error) return badRequest(res, result.error, { code: "invalid_link" });
+
+  const user = await loadUser(result.userId);
+  return created(res, await signIn(req, user));
 }
@@ -0,0 +1,197 @@
+import { readdir, readFile } from "fs/promises";
+import path from "path";
+import { fileURLToPath, pathToFileURL } from "url";
+import sql from "./db.js";
+
+// Versioned schema migrations. Each one is a pair of files in migrations/:
+//   0006_add_something.up.sql    applies the change
+//   0006_add_something.down.sql  undoes it
+// Applied versions are recorded in schema_migrations. Every migration runs
+// in its own transaction, so a failing one leaves nothing half done.
+//
+//   npm run migrate                  apply everything pending
+//   npm run migrate -- down [n]      undo the last n (default 1)
+//   npm run migrate -- status        list migrations and whether they're applied
+//   npm run migrate -- baseline <v>  record 1..v as applied without running them
+//                                    (a database already built from the old schema.sql)
+//
+// A database with the original hand-made users and certificates tables needs
+// no baseline: 0000 sets those tables aside and 0008 copies their rows over.
+
+const DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), "migrations");
+const FILE = /^(\d+)_(\w+)\.(up|down)\.sql$/;
+// held for the length of each migration's transaction, so two deploys
+// starting at once don't both apply it
+const LOCK_ID = 72_150_311;
+
+/** Every migration on disk, oldest first: [{ version, name, id, up, down }]. */
+export async function loadMigrations(dir = DIR) {
+  const byVersion = new Map();
+  for (const file of (await readdir(dir)).sort()) {
+    const m = FILE.exec(file);
+    if (!m) continue;
+    const version = Number(m[1]);
+    // id is the file name's stem, e.g. 0002_certificates
+    const entry = byVersion.get(version) || { version, name: m[2], id: `${m[1]}_${m[2]}` };
+    if (entry.name !== m[2])
+      throw new Error(`Migration ${version} has two names: ${entry.name}, ${m[2]}`);
+    entry[m[3]] = path.join(dir, file);
+    byVersion.set(version, entry);
+  }
+  const migrations = [...byVersion.values()].sort((a, b) => a.version - b.version);
+  for (const m of migrations)
+    if (!m.up || !m.down)
+      throw new Error(`Migration ${m.id} needs both .up.sql and .down.sql`);
+  return migrations;
+}
+
+async function ensureTable() {
+  // checked first so an existing table doesn't print a notice every run
+  const [{ exists }] = await sql`
+    select to_regclass('schema_migrations') is not null as exists
+  `;
+  if (exists) return;
+  await sql`
+    create table if not exists schema_migrations (
+      version int primary key,
+      name text not null,
+      applied_at timestamptz not null default now()
+    )
+  `;
+}
+
+/** version -> applied_at */
+async function appliedVersions(tx = sql) {
+  const rows = await tx`select version, applied_at from schema_migrations`;
+  return new Map(rows.map((r) => [r.version, r.applied_at]));
+}
+
+/** Migrations on disk not yet applied, oldest first. */
+export async function pendingMigrations() {
+  await ensureTable();
+  const applied = await appliedVersions();
+  return (await loadMigrations()).filter((m) => !applied.has(m.version));
+}
+
+/** Apply every pending migration. Returns the ones applied. */
+export async function migrateUp({ log = console.log } = {}) {
+  const done = [];
+  for (const m of await pendingMigrations()) {
+    const text = await readFile(m.up, "utf8");
+    const ran = await sql.begin(async (tx) => {
+      await tx`select pg_advisory_xact_lock(${LOCK_ID})`;
+      // someone else may have applied it while we waited for the lock
+      const [seen] = await tx`select 1 from schema_migrations where version = ${m.version}`;
+      if (seen) return false;
+      await tx.unsafe(text);
+      await tx`insert into schema_migrations (version, name) values (${m.version}, ${m.name})`;
+      return true;
+    });
+    if (ran) {
+      log(`applied ${m.id}`);
+      done.push(m);
+    }
+  }
+  return done;
+}
+
+/** Undo the last `steps` applied migrations, newest first. Returns the ones undone. */
+export async function migrateDown(steps = 1, { log = console.log } = {}) {
+  await ensureTable();
+  const applied = await appliedVersions();
+  const migrations = await loadMigrations();
+  // applied by a newer checkout: its down file isn't here to run
+  const unknown = [...applied.keys()].filter(
+    (v) => !migrations.some((m) => m.version === v)
+  );
+  if (unknown.length)
+    throw new Error(`Applied migration(s) ${unknown.join(", ")} have no files here`);
+  const undo = migrations
+    .filter((m) => applied.has(m.version))
+    .reverse()
+    .slice(0, steps);
+
+  const done = [];
+  for (const m of undo) {
+    const text = await readFile(m.down, "utf8");
+    await sql.begin(async (tx) => {
+      await tx`select pg_advisory_xact_lock(${LOCK_ID})`;
+      await tx.unsafe(text);
+      await tx`delete from schema_migrations where version = ${m.version}`;
+    });
+    log(`reverted ${m.id}`);
+    done.push(m);
+  }
+  return done;
+}
+
+/** Every migration with when it was applied (null if pending). */
+export async function migrationStatus() {
+  await ensureTable();
+  const applied = await appliedVersions();
+  return (await loadMigrations()).map((m) => ({
+    version: m.version,
+    name: m.name,
+    id: m.id,
+    applied_at: applied.get(m.version) ?? null,
+  }));
+}
+
+/**
+ * Record migrations up to `version` as applied without running them, for a
+ * database whose tables already exist. Returns the ones recorded.
+ */
+export async function baseline(version, { log = console.log } = {}) {
+  const todo = (await pendingMigrations()).filter((m) => m.version <= version);
+  for (const m of todo) {
+    await sql`
+      insert into schema_migrations (version, name) values (${m.version}, ${m.name})
+      on conflict (version) do nothing
+    `;
+    log(`marked ${m.id} as applied`);
+  }
+  return todo;
+}
+
+async function main([command = "up", arg]) {
+  switch (command) {
+    case "up": {
+      const done = await migrateUp();
+      if (!done.length) console.log("Database is up to date");
+      break;
+    }
+    case "down": {
+      const steps = arg === undefined ? 1 : Number(arg);
+      if (!Number.isInteger(steps) || steps < 1)
+        throw new Error("down takes a number of migrations, e.g. down 2");
+      const done = await migrateDown(steps);
+      if (!done.length) console.log("Nothing to revert");
+      break;
+    }
+    case "status":
+      for (const m of await migrationStatus())
+        console.log(
+          `${m.applied_at ? "applied" : "pending"}  ${m.id}` +
+            (m.applied_at ? `  (${m.applied_at.toISOString()})` : "")
+        );
+      break;
+    case "baseline": {
+      const version = Number(arg);
+      if (!Number.isInteger(version) || version < 1)
+        throw new Error("baseline takes the last version the database already has, e.g. baseline 5");
+      await baseline(version);
+      break;
+    }
+    default:
+      throw new Error(`Unknown command: ${command} (use up, down, status or baseline)`);
+  }
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1] ?? "").href)
+  main(process.argv.slice(2))
+    .then(() => sql.end())
+    .catch(async (e) => {
+      console.error(`❌ ${e.message || e}`);
+      await sql.end();
+      process.exit(1);
+    });
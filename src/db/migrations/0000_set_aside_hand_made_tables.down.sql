@@ -0,0 +1,15 @@
+-- puts back hand-made tables 0008 hasn't copied yet
+do $$
+begin
+  if not exists (select 1 from pg_namespace where nspname = 'hand_made') then
+    return;
+  end if;
+
+  if to_regclass('hand_made.users') is not null then
+    alter table hand_made.users set schema public;
+  end if;
+  if to_regclass('hand_made.certificates') is not null then
+    alter table hand_made.certificates set schema public;
+  end if;
+  drop schema hand_made;
+end $$;
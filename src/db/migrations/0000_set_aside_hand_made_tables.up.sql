@@ -0,0 +1,20 @@
+-- Databases from before migrations have hand-made `users` and `certificates`
+-- tables, with an institution_name on each user instead of an institution.
+-- They're moved aside into the hand_made schema here, the migrations after
+-- this one create the current tables, and 0008 copies the rows across.
+-- Any other database is left alone.
+do $$
+begin
+  if to_regclass('public.users') is null or exists (
+    select 1 from information_schema.columns
+    where table_schema = 'public' and table_name = 'users' and column_name = 'institution_id'
+  ) then
+    return;
+  end if;
+
+  create schema hand_made;
+  alter table public.users set schema hand_made;
+  if to_regclass('public.certificates') is not null then
+    alter table public.certificates set schema hand_made;
+  end if;
+end $$;
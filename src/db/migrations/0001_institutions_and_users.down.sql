@@ -0,0 +1,7 @@
+drop table api_keys;
+drop table invitations;
+drop table user_tokens;
+drop table refresh_tokens;
+drop table sessions;
+drop table users;
+drop table institutions;
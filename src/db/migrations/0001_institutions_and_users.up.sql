@@ -0,0 +1,91 @@
+-- institutions: users and every tenant-owned row point at one by id
+create table institutions (
+  id uuid primary key default gen_random_uuid(),
+  name text not null,
+  logo_url text,
+  created_at timestamptz not null default now()
+);
+create unique index institutions_name_key on institutions (lower(name));
+
+create table users (
+  id uuid primary key default gen_random_uuid(),
+  institution_id uuid not null references institutions (id),
+  full_name text not null,
+  user_type text not null check (user_type in ('admin', 'registrar', 'staff')),
+  email text not null,
+  password_hash text not null,
+  email_verified_at timestamptz,
+  -- deactivated users can't sign in
+  deactivated_at timestamptz,
+  deactivated_by uuid references users (id),
+  -- progressive lockout after failed sign-ins
+  failed_logins int not null default 0, -- in a row
+  last_failed_login_at timestamptz,
+  locked_until timestamptz,
+  created_at timestamptz not null default now()
+);
+create unique index users_email_key on users (lower(email));
+create index users_institution on users (institution_id);
+
+-- sign-in sessions; access tokens carry the session id (sid)
+create table sessions (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references users (id) on delete cascade,
+  ip text,
+  user_agent text,
+  created_at timestamptz not null default now(),
+  last_used_at timestamptz,
+  revoked_at timestamptz,
+  revoked_reason text -- logout | logout_all | refresh_token_reused | password_reset | password_changed | deactivated
+);
+create index sessions_user on sessions (user_id) where revoked_at is null;
+
+-- rotating refresh tokens, stored hashed; a used token is kept to spot reuse
+create table refresh_tokens (
+  token_hash text primary key,
+  session_id uuid not null references sessions (id) on delete cascade,
+  created_at timestamptz not null default now(),
+  expires_at timestamptz not null,
+  used_at timestamptz
+);
+create index refresh_tokens_session on refresh_tokens (session_id);
+
+-- one-time password reset / email verification tokens
+create table user_tokens (
+  token_hash text primary key,
+  user_id uuid not null references users (id) on delete cascade,
+  purpose text not null check (purpose in ('password_reset', 'email_verification')),
+  created_at timestamptz not null default now(),
+  expires_at timestamptz not null,
+  used_at timestamptz
+);
+create index user_tokens_user on user_tokens (user_id, purpose);
+
+create table invitations (
+  id uuid primary key default gen_random_uuid(),
+  institution_id uuid not null references institutions (id),
+  email text not null,
+  role text not null check (role in ('admin', 'registrar', 'staff')),
+  token_hash text not null unique,
+  invited_by uuid references users (id),
+  created_at timestamptz not null default now(),
+  expires_at timestamptz not null,
+  accepted_at timestamptz,
+  revoked_at timestamptz
+);
+create index invitations_institution on invitations (institution_id, created_at desc);
+
+-- institution API keys; certificates and jobs record the key that issued them
+create table api_keys (
+  id uuid primary key default gen_random_uuid(),
+  institution_id uuid not null references institutions (id),
+  name text not null,
+  prefix text not null,          -- shown to admins: zk_<prefix>_...
+  key_hash text not null unique, -- sha256 of the whole key
+  scopes text[] not null,
+  created_by uuid references users (id),
+  created_at timestamptz not null default now(),
+  last_used_at timestamptz,
+  revoked_at timestamptz
+);
+create index api_keys_institution on api_keys (institution_id);
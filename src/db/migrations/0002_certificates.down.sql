@@ -0,0 +1,8 @@
+drop table certificate_versions;
+drop table certificates;
+drop table generation_job_rows;
+drop table generation_jobs;
+drop table signatories;
+drop table certificate_templates;
+drop table column_mappings;
+drop table signing_keys;
@@ -0,0 +1,159 @@
+-- certificate signing keys (Ed25519), one active key per institution;
+-- retired keys stay so certificates signed with them still verify
+create table signing_keys (
+  kid text primary key,
+  institution_id uuid not null references institutions (id),
+  public_key text not null,
+  private_key text not null, -- pkcs8 pem, encrypted with SIGNING_KEY_PASSPHRASE
+  active boolean not null default true,
+  created_at timestamptz not null default now()
+);
+create unique index signing_keys_one_active_per_institution
+  on signing_keys (institution_id) where active;
+
+-- column-mapping profiles for uploads: { "<source header>": "<field>" }
+create table column_mappings (
+  id uuid primary key default gen_random_uuid(),
+  institution_id uuid not null references institutions (id),
+  name text not null,
+  mapping jsonb not null,
+  created_by uuid,
+  created_at timestamptz not null default now(),
+  unique (institution_id, name)
+);
+
+-- certificate templates (layout definitions, see src/lib/templates.js)
+create table certificate_templates (
+  id uuid primary key default gen_random_uuid(),
+  institution_id uuid not null references institutions (id),
+  name text not null,
+  definition jsonb not null,
+  created_by uuid,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  unique (institution_id, name)
+);
+
+-- signatories: retired, never deleted, so old certificates keep their signers
+create table signatories (
+  id uuid primary key default gen_random_uuid(),
+  institution_id uuid not null references institutions (id),
+  name text not null,
+  title text not null,
+  signature_path text,
+  active boolean not null default true,
+  created_by uuid,
+  created_at timestamptz not null default now(),
+  retired_at timestamptz
+);
+create index signatories_institution on signatories (institution_id);
+
+-- background certificate generation; institution_name and logo_url are
+-- what gets printed, fixed when the job is created
+create table generation_jobs (
+  id uuid primary key default gen_random_uuid(),
+  institution_id uuid not null references institutions (id),
+  institution_name text not null,
+  logo_url text,
+  template_id uuid references certificate_templates (id),
+  signatory_ids jsonb not null default '[]',
+  issue_date date not null,
+  created_by uuid,
+  api_key_id uuid references api_keys (id),
+  send_email boolean not null default false,
+  email_subject text, -- overrides the default message
+  email_body text,
+  status text not null default 'queued', -- queued | running | completed | completed_with_errors | failed
+  total integer not null default 0,
+  created_at timestamptz not null default now(),
+  started_at timestamptz,
+  finished_at timestamptz
+);
+create index generation_jobs_unfinished
+  on generation_jobs (created_at) where status in ('queued', 'running');
+
+create table generation_job_rows (
+  id bigint generated always as identity primary key,
+  job_id uuid not null references generation_jobs (id) on delete cascade,
+  row_index integer not null,
+  data jsonb not null,
+  certificate_id uuid not null unique,
+  status text not null default 'pending', -- pending | succeeded | failed
+  error text,
+  attempts integer not null default 0,
+  unique (job_id, row_index)
+);
+create index generation_job_rows_job_status on generation_job_rows (job_id, status);
+
+create table certificates (
+  certificate_id uuid primary key default gen_random_uuid(),
+  institution_id uuid not null references institutions (id),
+  institution_name text not null, -- as printed on the PDF
+  full_name text not null,
+  program text,
+  certificate text,
+  cgpa text, -- as typed in the sheet
+  -- CGPA as a number for range filters and sorting
+  cgpa_num numeric generated always as (
+    case when trim(cgpa) ~ '^\d+(\.\d+)?$' then trim(cgpa)::numeric end
+  ) stored,
+  image_url text,
+  logo_url text,
+  pdf_path text,
+  pdf_url text, -- null when storage is private
+  verify_url text,
+  signature text,
+  signing_kid text references signing_keys (kid),
+  template_id uuid references certificate_templates (id),
+  -- snapshot of [{ id, name, title }] as printed on the certificate
+  signatories jsonb not null default '[]',
+  status text not null default 'valid' check (status in ('valid', 'suspended', 'revoked')),
+  status_reason text,
+  status_changed_at timestamptz,
+  status_changed_by uuid,
+  -- a reissue keeps the certificate id and bumps the version
+  version int not null default 1,
+  reissued_at timestamptz,
+  created_by uuid,
+  api_key_id uuid references api_keys (id),
+  job_id uuid references generation_jobs (id),
+  -- emailing certificates to recipients (stored lowercase; the recipient
+  -- portal matches on it too)
+  recipient_email text,
+  email_status text
+    check (email_status in ('queued', 'sending', 'sent', 'bounced', 'failed')),
+  email_error text,
+  email_message_id text,
+  email_sent_at timestamptz,
+  email_attempts int not null default 0,
+  created_at timestamptz not null default now()
+);
+create index certificates_institution_created
+  on certificates (institution_id, created_at desc, certificate_id);
+create index certificates_job on certificates (job_id);
+create index certificates_email_queued
+  on certificates (created_at) where email_status in ('queued', 'sending');
+create index certificates_recipient_email
+  on certificates (recipient_email) where recipient_email is not null;
+
+-- each superseded version, with who changed what and why
+create table certificate_versions (
+  id uuid primary key default gen_random_uuid(),
+  certificate_id uuid not null references certificates (certificate_id),
+  version int not null,          -- the version this row snapshots
+  full_name text not null,
+  program text,
+  certificate text,
+  cgpa text,
+  image_url text,
+  pdf_path text,
+  pdf_url text,
+  signature text,
+  signing_kid text,
+  issued_at timestamptz not null, -- when this version was issued
+  superseded_at timestamptz not null default now(),
+  changes jsonb not null,        -- { field: { from, to } } made by the next version
+  reason text not null,
+  changed_by uuid references users (id),
+  unique (certificate_id, version)
+);
@@ -0,0 +1,53 @@
+-- every verification attempt: verify page (qr), JSON API (json), bulk or
+-- a presented credential
+create table verification_events (
+  id bigserial primary key,
+  certificate_id text not null,                      -- the code as given, may not exist
+  institution_id uuid references institutions (id),  -- null when not found
+  found boolean not null,
+  status text,                                       -- certificate status at the time
+  channel text not null check (channel in ('qr', 'json', 'bulk', 'credential')),
+  client_ip text,                                    -- truncated to /24 (v4) or /48 (v6)
+  user_agent text,
+  created_at timestamptz not null default now()
+);
+create index verification_events_institution_created
+  on verification_events (institution_id, created_at desc);
+create index verification_events_not_found
+  on verification_events (created_at desc) where not found;
+
+-- outbound webhooks and their delivery log
+create table webhook_endpoints (
+  id uuid primary key default gen_random_uuid(),
+  institution_id uuid not null references institutions (id),
+  url text not null,
+  secret text not null, -- HMAC key, needed in clear to sign deliveries
+  events text[] not null,
+  description text,
+  active boolean not null default true,
+  created_by uuid,
+  created_at timestamptz not null default now()
+);
+create index webhook_endpoints_institution on webhook_endpoints (institution_id);
+
+create table webhook_deliveries (
+  id uuid primary key default gen_random_uuid(),
+  endpoint_id uuid not null references webhook_endpoints (id) on delete cascade,
+  institution_id uuid not null references institutions (id),
+  event text not null,
+  payload jsonb not null,
+  status text not null default 'pending'
+    check (status in ('pending', 'delivering', 'succeeded', 'failed')),
+  attempts int not null default 0,
+  next_attempt_at timestamptz not null default now(),
+  last_attempt_at timestamptz,
+  last_status_code int,
+  last_error text,
+  delivered_at timestamptz,
+  redelivery_of uuid references webhook_deliveries (id) on delete set null,
+  created_at timestamptz not null default now()
+);
+create index webhook_deliveries_due
+  on webhook_deliveries (next_attempt_at) where status = 'pending';
+create index webhook_deliveries_endpoint
+  on webhook_deliveries (endpoint_id, created_at desc);
@@ -0,0 +1,4 @@
+drop table certificate_reports;
+drop table certificate_shares;
+drop table recipient_tokens;
+drop table recipients;
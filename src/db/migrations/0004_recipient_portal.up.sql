@@ -0,0 +1,48 @@
+-- recipient portal: passwordless sign-in for the people certificates were
+-- issued to, matched by certificates.recipient_email
+create table recipients (
+  id uuid primary key default gen_random_uuid(),
+  email text not null unique, -- lowercase
+  created_at timestamptz not null default now(),
+  last_sign_in_at timestamptz,
+  signed_out_at timestamptz   -- portal tokens issued before this are refused
+);
+
+create table recipient_tokens (
+  token_hash text primary key, -- sha256 of the emailed sign-in token
+  recipient_id uuid not null references recipients (id) on delete cascade,
+  expires_at timestamptz not null,
+  used_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+create table certificate_shares (
+  id uuid primary key default gen_random_uuid(),
+  certificate_id uuid not null references certificates (certificate_id),
+  recipient_id uuid not null references recipients (id) on delete cascade,
+  token_hash text not null unique,
+  expires_at timestamptz not null,
+  revoked_at timestamptz,
+  views int not null default 0,
+  last_viewed_at timestamptz,
+  created_at timestamptz not null default now()
+);
+create index certificate_shares_recipient
+  on certificate_shares (recipient_id, created_at desc);
+
+create table certificate_reports (
+  id uuid primary key default gen_random_uuid(),
+  certificate_id uuid not null references certificates (certificate_id),
+  institution_id uuid not null references institutions (id),
+  recipient_id uuid references recipients (id) on delete set null,
+  message text not null,
+  corrections jsonb not null default '{}', -- { field: "correct value" }
+  status text not null default 'open'
+    check (status in ('open', 'resolved', 'dismissed')),
+  resolution_note text,
+  resolved_by uuid references users (id),
+  resolved_at timestamptz,
+  created_at timestamptz not null default now()
+);
+create index certificate_reports_institution
+  on certificate_reports (institution_id, status, created_at desc);
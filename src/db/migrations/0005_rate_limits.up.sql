@@ -0,0 +1,7 @@
+-- rate-limit counters when RATE_LIMIT_STORE=postgres (fixed windows)
+create table rate_limits (
+  key text primary key, -- "<limit name>:<ip or account>"
+  count int not null,
+  reset_at timestamptz not null
+);
+create index rate_limits_reset on rate_limits (reset_at);
@@ -0,0 +1,4 @@
+alter table webhook_endpoints
+  drop column consecutive_failures,
+  drop column disabled_at,
+  drop column disabled_reason;
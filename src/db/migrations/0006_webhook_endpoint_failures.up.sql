@@ -0,0 +1,5 @@
+-- an endpoint whose deliveries keep failing is switched off (see lib/webhooks.js)
+alter table webhook_endpoints
+  add column consecutive_failures int not null default 0, -- failed deliveries since the last success
+  add column disabled_at timestamptz,
+  add column disabled_reason text;
@@ -0,0 +1,2 @@
+alter table generation_jobs
+  drop column cgpa_max;
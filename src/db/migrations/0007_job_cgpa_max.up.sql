@@ -0,0 +1,3 @@
+-- the CGPA scale a job's rows are checked against, as in the upload preview
+alter table generation_jobs
+  add column cgpa_max numeric not null default 5;
@@ -0,0 +1,3 @@
+-- the copied rows are ordinary rows now, removed with their tables by the
+-- migrations below; the hand-made tables aren't recreated
+select 1;
@@ -0,0 +1,66 @@
+-- Copy the rows of a hand-made database (set aside by 0000) into the
+-- current tables: one institution per institution name (case-insensitive,
+-- the first registration's logo), its users, and its certificates as they
+-- were issued, unsigned. Roles other than admin and registrar become staff.
+-- Any other database is left alone.
+do $$
+begin
+  if not exists (select 1 from pg_namespace where nspname = 'hand_made') then
+    return;
+  end if;
+
+  insert into institutions (name, logo_url)
+  select distinct on (lower(institution_name)) institution_name, institution_logo
+  from hand_made.users
+  where institution_name is not null
+  order by lower(institution_name), created_at
+  on conflict do nothing;
+
+  insert into users (id, institution_id, full_name, user_type, email, password_hash, created_at)
+  select
+    u.id::text::uuid,
+    i.id,
+    coalesce(u.full_name, u.email),
+    case when u.user_type in ('admin', 'registrar') then u.user_type else 'staff' end,
+    u.email,
+    u.password_hash,
+    coalesce(u.created_at, now())
+  from hand_made.users u
+  join institutions i on lower(i.name) = lower(u.institution_name)
+  on conflict do nothing;
+
+  if to_regclass('hand_made.certificates') is not null then
+    insert into institutions (name)
+    select distinct on (lower(institution_name)) institution_name
+    from hand_made.certificates
+    where institution_name is not null
+    order by lower(institution_name)
+    on conflict do nothing;
+
+    insert into certificates (
+      certificate_id, institution_id, institution_name, full_name, program, certificate,
+      cgpa, image_url, logo_url, pdf_path, pdf_url, verify_url, status, created_by, created_at
+    )
+    select
+      c.certificate_id::text::uuid,
+      i.id,
+      c.institution_name,
+      coalesce(c.full_name, ''),
+      c.program,
+      c.certificate,
+      c.cgpa::text,
+      c.image_url,
+      c.logo_url,
+      c.pdf_path,
+      c.pdf_url,
+      c.verify_url,
+      case when c.status in ('valid', 'suspended', 'revoked') then c.status else 'valid' end,
+      nullif(c.created_by::text, '')::uuid,
+      coalesce(c.created_at, now())
+    from hand_made.certificates c
+    join institutions i on lower(i.name) = lower(c.institution_name)
+    on conflict do nothing;
+  end if;
+
+  drop schema hand_made cascade;
+end $$;
@@ -0,0 +1,3 @@
+drop index verification_events_requested_not_found;
+alter table verification_events
+  drop column requested_by;
@@ -0,0 +1,6 @@
+-- the institution whose signed-in staff or API key made a bulk check, so
+-- an institution can see the codes it tried that matched nothing
+alter table verification_events
+  add column requested_by uuid references institutions (id);
+create index verification_events_requested_not_found
+  on verification_events (requested_by, created_at desc) where not found;
@@ -1,32 +1,94 @@
 import express from "express";
 import cors from "cors";
 import dotenv from "dotenv";
+import { pathToFileURL } from "url";
 import authRoutes from "./routes/auth.routes.js";
+import userRoutes from "./routes/users.routes.js";
+import apiKeyRoutes from "./routes/apikeys.routes.js";
+import webhookRoutes from "./routes/webhooks.routes.js";
 import certRoutes from "./routes/certificates.routes.js";
+import mappingRoutes from "./routes/mappings.routes.js";
+import templateRoutes from "./routes/templates.routes.js";
+import signatoryRoutes from "./routes/signatories.routes.js";
+import analyticsRoutes from "./routes/analytics.routes.js";
+import wellKnownRoutes from "./routes/wellknown.routes.js";
+import credentialRoutes from "./routes/credentials.routes.js";
+import portalRoutes from "./routes/portal.routes.js";
+import reportRoutes from "./routes/reports.routes.js";
+import fileRoutes from "./routes/files.routes.js";
 import { requestId, httpLogger } from "./middleware/logger.js";
+import { errorHandler, routeNotFound } from "./middleware/errors.js";
 import sql from "./db/db.js";
+import { pendingMigrations } from "./db/migrate.js";
+import { resumeJobs } from "./lib/jobs.js";
+import { startWebhookWorker } from "./lib/webhooks.js";
+import { startEmailWorker } from "./lib/certificateEmails.js";
 
 dotenv.config();
 
 const app = express();
-app.use(cors());
-app.use(express.json());
-
-// logging — add requestId first, then logger
+// behind a proxy or load balancer, TRUST_PROXY (e.g. 1, or "loopback") makes
+// req.ip the client's address, which rate limits are keyed on
+const trustProxy = process.env.TRUST_PROXY;
+if (trustProxy)
+  app.set(
+    "trust proxy",
+    trustProxy === "true" ? true : /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy
+  );
+// logging — add requestId first (error responses carry it), then logger
 app.use(requestId);
 app.use(httpLogger);
 
+app.use(cors());
+app.use(express.json());
+
 // health
 app.get("/health", (_, res) => res.send("ok"));
 
 // routes
 app.use("/auth", authRoutes);
+app.use("/users", userRoutes);
+app.use("/api-keys", apiKeyRoutes);
+app.use("/webhooks", webhookRoutes);
+app.use("/certificates/mappings", mappingRoutes);
+app.use("/certificates/templates", templateRoutes);
+app.use("/certificates/signatories", signatoryRoutes);
+app.use("/certificates/analytics", analyticsRoutes);
+app.use("/certificates/reports", reportRoutes);
 app.use("/certificates", certRoutes);
+app.use("/.well-known", wellKnownRoutes);
+app.use("/credentials", credentialRoutes);
+app.use("/portal", portalRoutes);
+app.use("/files", fileRoutes);
+
+// last: unknown routes, then everything a handler threw
+app.use(routeNotFound);
+app.use(errorHandler);
 
 async function start() {
+  // reset-password and invitation links open forms in the front end; only
+  // the console mailer (development) may go without one
+  if (!process.env.APP_URL && (process.env.MAIL_DRIVER || "console") !== "console") {
+    console.error("❌ APP_URL is required unless MAIL_DRIVER is console");
+    process.exit(1);
+  }
   try {
     await sql`select 1`;
     console.log("✅ Database connected");
+    // the workers below need every table, so don't start on an old schema
+    const pending = await pendingMigrations();
+    if (pending.length) {
+      console.error(
+        `❌ ${pending.length} pending migration(s), run \`npm run migrate\` first`
+      );
+      process.exit(1);
+    }
+    const resumed = await resumeJobs();
+    if (resumed) console.log(`🔁 Resumed ${resumed} generation job(s)`);
+    const waiting = await startWebhookWorker();
+    if (waiting) console.log(`🔁 ${waiting} webhook deliveries waiting`);
+    const emails = await startEmailWorker();
+    if (emails) console.log(`🔁 ${emails} certificate email(s) queued`);
     const port = process.env.PORT || 8080;
     app.listen(port, () => console.log(`🚀 Server running on port ${port}`));
   } catch (e) {
@@ -34,4 +96,8 @@ async function start() {
     process.exit(1);
   }
 }
-start();
+
+// `node src/index.js` serves; tests import the app without listening
+if (import.meta.url === pathToFileURL(process.argv[1] ?? "").href) start();
+
+export default app;
@@ -0,0 +1,114 @@
+import { randomBytes } from "crypto";
+import sql from "../db/db.js";
+import { hashToken } from "../utils/tokens.js";
+
+// Institution API keys for machine-to-machine calls (e.g. a student
+// information system pushing graduates). Keys look like
+//   zk_<8 hex prefix>_<secret>
+// Only a hash is stored; the prefix is kept in clear so admins can tell
+// keys apart. A key carries scopes instead of a role.
+
+export const API_KEY_SCOPES = {
+  "certificates:issue": "Upload sheets, preview and run generation jobs",
+  "certificates:read": "List, download and check certificates and jobs",
+};
+
+// shortcuts admins can pick instead of listing scopes
+export const SCOPE_PRESETS = {
+  "issue-only": ["certificates:issue"],
+  "read-only": ["certificates:read"],
+  "issue-and-read": ["certificates:issue", "certificates:read"],
+};
+
+const KEY_FORMAT = /^zk_[0-9a-f]{8}_[A-Za-z0-9_-]{20,}$/;
+
+export const looksLikeApiKey = (value) => KEY_FORMAT.test(String(value || ""));
+
+// columns safe to return to admins (never the hash)
+const COLUMNS = sql`
+  id, institution_id, name, prefix, scopes, created_by, created_at,
+  last_used_at, revoked_at
+`;
+
+/**
+ * Create a key. The plain key is only ever returned from here.
+ * @returns {Promise<{ apiKey: object, key: string }>}
+ */
+export async function createApiKey({ institutionId, name, scopes, createdBy }) {
+  const prefix = randomBytes(4).toString("hex");
+  const key = `zk_${prefix}_${randomBytes(24).toString("base64url")}`;
+  const [apiKey] = await sql`
+    insert into api_keys (institution_id, name, prefix, key_hash, scopes, created_by)
+    values (${institutionId}, ${name}, ${prefix}, ${hashToken(key)}, ${scopes}, ${createdBy})
+    returning ${COLUMNS}
+  `;
+  return { apiKey, key };
+}
+
+export async function listApiKeys(institutionId) {
+  return sql`
+    select ${COLUMNS} from api_keys
+    where institution_id = ${institutionId}
+    order by created_at desc
+  `;
+}
+
+/** Revoke a key. Returns the row, or null if it isn't an active key. */
+export async function revokeApiKey(id, institutionId) {
+  const [row] = await sql`
+    update api_keys set revoked_at = now()
+    where id = ${id} and institution_id = ${institutionId} and revoked_at is null
+    returning ${COLUMNS}
+  `;
+  if (row) keyCache.delete(row.id);
+  return row || null;
+}
+
+// key id -> { key, expires }; hash -> key id
+const keyCache = new Map();
+const hashIndex = new Map();
+const CACHE_MS = 30 * 1000;
+// last_used_at is written at most this often per key
+const TOUCH_MS = 60 * 1000;
+const lastTouched = new Map();
+
+/**
+ * Look up an active key: { id, institutionId, institutionName, name, scopes }
+ * or null. Records last use.
+ */
+export async function authenticateApiKey(key) {
+  if (!looksLikeApiKey(key)) return null;
+  const hash = hashToken(key);
+
+  let found = keyCache.get(hashIndex.get(hash));
+  if (!(found?.expires > Date.now())) {
+    const [row] = await sql`
+      select k.id, k.institution_id, k.name, k.scopes, i.name as institution_name
+      from api_keys k
+      join institutions i on i.id = k.institution_id
+      where k.key_hash = ${hash} and k.revoked_at is null
+    `;
+    if (!row) return null;
+    found = {
+      key: {
+        id: row.id,
+        institutionId: row.institution_id,
+        institutionName: row.institution_name,
+        name: row.name,
+        scopes: row.scopes,
+      },
+      expires: Date.now() + CACHE_MS,
+    };
+    keyCache.set(row.id, found);
+    hashIndex.set(hash, row.id);
+  }
+
+  const { id } = found.key;
+  if (!(lastTouched.get(id) > Date.now() - TOUCH_MS)) {
+    lastTouched.set(id, Date.now());
+    sql`update api_keys set last_used_at = now() where id = ${id}`.catch((e) =>
+      console.error("Failed to record API key use:", e.message)
+    );
+  }
+  return found.key;
+}
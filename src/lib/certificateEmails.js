@@ -0,0 +1,162 @@
+import { getMailer } from "./mailer/index.js";
+import { getStorage } from "./storage/index.js";
+import { fill } from "./templates.js";
+import { eachLimit } from "../utils/concurrency.js";
+import {
+  claimQueuedEmail,
+  queueEmails,
+  queueJobEmails,
+  queuedEmailIds,
+  recordEmailResult,
+  requeueInterruptedEmails,
+} from "../repositories/certificates.js";
+
+// Emailing certificates to their holders. Queuing marks rows "queued"; a
+// worker sends them and records sent / bounced / failed on the certificate.
+// Queued rows are in the database, so they survive a restart.
+
+// attach (default) the PDF, or link to it
+const PDF_MODE = () => (process.env.CERTIFICATE_EMAIL_PDF === "link" ? "link" : "attach");
+const MAX_ATTACHMENT = 10 * 1024 * 1024; // bigger PDFs are linked instead
+const LINK_TTL = 7 * 24 * 60 * 60; // seconds a private download link lasts
+const CONCURRENCY = 3;
+
+/**
+ * Default message. Jobs can override subject and body; placeholders:
+ * full_name, program, certificate, cgpa, institution_name, certificate_id,
+ * verify_url, pdf_note (says the PDF is attached, or gives its link).
+ */
+export const DEFAULT_EMAIL = {
+  subject: "Your certificate from {{institution_name}}",
+  body: `Dear {{full_name}},
+
+Congratulations! {{institution_name}} has issued your certificate: {{certificate}}, {{program}}.
+
+{{pdf_note}}
+
+Anyone can check that it is genuine here:
+{{verify_url}}
+
+Certificate ID: {{certificate_id}}`,
+};
+
+/**
+ * Queue the certificates' emails. Skips ones without an address and ones
+ * already on their way. Returns the ids that were queued.
+ */
+export async function queueCertificateEmails(institutionId, certificateIds) {
+  const queued = await queueEmails(institutionId, certificateIds);
+  if (queued.length) kick();
+  return queued;
+}
+
+/**
+ * Queue every certificate of a batch that has an address and hasn't been
+ * emailed yet (never tried, or the last try failed). Bounced addresses are
+ * left alone until someone corrects them. Returns how many were queued.
+ */
+export async function queueBatchEmails(jobId) {
+  const queued = await queueJobEmails(jobId);
+  if (queued) kick();
+  return queued;
+}
+
+// a permanent SMTP rejection (5xx) means the address doesn't take mail
+const isBounce = (e) => e?.responseCode >= 500 && e?.responseCode < 600;
+
+async function message(cert) {
+  const storage = getStorage();
+  const attachments = [];
+  let pdfNote = "";
+
+  if (PDF_MODE() === "attach" && cert.pdf_path) {
+    const pdf = await storage.get(cert.pdf_path);
+    if (pdf && pdf.length <= MAX_ATTACHMENT) {
+      const safeName = cert.full_name.replace(/[\/\\:*?"<>|]/g, "-") || "certificate";
+      attachments.push({
+        filename: `${safeName}.pdf`,
+        content: pdf,
+        contentType: "application/pdf",
+      });
+      pdfNote = "Your certificate is attached as a PDF.";
+    }
+  }
+  if (!attachments.length) {
+    const link =
+      cert.pdf_url || (cert.pdf_path && (await storage.signedUrl(cert.pdf_path, LINK_TTL)));
+    if (!link) throw new Error("PDF not found");
+    pdfNote = cert.pdf_url
+      ? `Download your certificate:\n${link}`
+      : `Download your certificate (the link works for 7 days):\n${link}`;
+  }
+
+  const vars = { ...cert, pdf_note: pdfNote };
+  return {
+    to: cert.recipient_email,
+    subject: fill(cert.email_subject || DEFAULT_EMAIL.subject, vars),
+    text: fill(cert.email_body || DEFAULT_EMAIL.body, vars),
+    attachments,
+  };
+}
+
+async function attempt(certificateId) {
+  // claim it, so an overlapping run doesn't send it twice
+  const cert = await claimQueuedEmail(certificateId);
+  if (!cert) return;
+
+  const update = { email_attempts: (cert.email_attempts || 0) + 1 };
+  try {
+    const { id } = await getMailer().send(await message(cert));
+    Object.assign(update, {
+      email_status: "sent",
+      email_error: null,
+      email_message_id: id || null,
+      email_sent_at: new Date(),
+    });
+  } catch (e) {
+    Object.assign(update, {
+      email_status: isBounce(e) ? "bounced" : "failed",
+      email_error: String(e?.response || e?.message || "Sending failed").slice(0, 500),
+    });
+  }
+
+  await recordEmailResult(certificateId, update).catch((e) =>
+    console.error(`Certificate email ${certificateId} update failed:`, e)
+  );
+}
+
+let running = false;
+let again = false;
+
+/** Send every queued email, until none are left. */
+async function runQueued() {
+  if (running) {
+    again = true;
+    return;
+  }
+  running = true;
+  try {
+    do {
+      again = false;
+      const ids = await queuedEmailIds(100);
+      await eachLimit(ids, CONCURRENCY, (id) => attempt(id));
+      if (ids.length === 100) again = true;
+    } while (again);
+  } catch (e) {
+    console.error("Certificate email worker error:", e.message || e);
+  } finally {
+    running = false;
+  }
+}
+
+const kick = () => setImmediate(runQueued);
+
+/**
+ * Start sending. Emails left "sending" by a crash are queued again first
+ * (at worst someone gets theirs twice). Returns how many are queued.
+ */
+export async function startEmailWorker() {
+  const count = await requeueInterruptedEmails();
+  kick();
+  return count;
+}
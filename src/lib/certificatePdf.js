@@ -0,0 +1,281 @@
+import QRCode from "qrcode";
+import PDFDocument from "pdfkit";
+import { DEFAULT_TEMPLATE, fill } from "./templates.js";
+import { publicUrlError } from "./publicUrl.js";
+
+/**
+ * Fetch an image or font a template points at into a Buffer. Returns null
+ * on failure. The links come from templates and sheet cells, so only public
+ * http(s) URLs are fetched (see publicUrl.js) and redirects aren't followed:
+ * never a file on this server or an internal address.
+ */
+export async function fetchBuffer(url, { timeoutMs = 8000 } = {}) {
+  try {
+    if (!url || (await publicUrlError(url))) return null;
+
+    const ctrl = new AbortController();
+    const t = setTimeout(() => ctrl.abort(), timeoutMs);
+
+    const res = await fetch(url, { signal: ctrl.signal, redirect: "manual" });
+    clearTimeout(t);
+
+    if (!res.ok) return null;
+    const arr = await res.arrayBuffer();
+    return Buffer.from(arr);
+  } catch {
+    return null;
+  }
+}
+
+const STANDARD_FONTS = [
+  "Courier",
+  "Courier-Bold",
+  "Courier-Oblique",
+  "Courier-BoldOblique",
+  "Helvetica",
+  "Helvetica-Bold",
+  "Helvetica-Oblique",
+  "Helvetica-BoldOblique",
+  "Times-Roman",
+  "Times-Bold",
+  "Times-Italic",
+  "Times-BoldItalic",
+  "Symbol",
+  "ZapfDingbats",
+];
+
+// width of the "_____________________" signature line at 12pt Helvetica
+const SIG_WIDTH = 140;
+
+/** Resolve a template position: a number, or "<anchor>±<n>". */
+function position(value, anchors, fallback) {
+  if (value === undefined || value === null) return fallback;
+  if (typeof value === "number") return value;
+  const m = String(value).match(/^\s*([a-z_]\w*)\s*(?:([+-])\s*(\d+(?:\.\d+)?))?\s*$/i);
+  if (!m || !(m[1] in anchors)) return fallback;
+  const offset = m[3] ? Number(m[3]) * (m[2] === "-" ? -1 : 1) : 0;
+  return anchors[m[1]] + offset;
+}
+
+/**
+ * Render one certificate PDF into a Buffer.
+ * @param {{
+ *   institution_name: string,
+ *   full_name: string,
+ *   program: string,
+ *   certificate: string,
+ *   cgpa: string,
+ *   certificate_id: string,
+ *   verify_url: string,
+ *   issue_date: string,
+ *   signature?: string,
+ *   logo_url?: string,
+ *   image_url?: string,
+ *   signatories?: { name: string, title: string, image?: Buffer | null }[],
+ * }} payload
+ * @param {object} [template]  template definition (see lib/templates.js)
+ * @returns {Promise<Buffer>}
+ */
+export async function renderCertificatePDF(payload, template = DEFAULT_TEMPLATE) {
+  const tpl = {
+    ...DEFAULT_TEMPLATE,
+    ...template,
+    page: { ...DEFAULT_TEMPLATE.page, ...template.page },
+  };
+
+  return new Promise(async (resolve, reject) => {
+    try {
+      const m = tpl.page.margins;
+      const doc = new PDFDocument({
+        size: tpl.page.size,
+        layout: tpl.page.layout,
+        margins:
+          typeof m === "number" ? { top: m, bottom: m, left: m, right: m } : m,
+      });
+
+      const chunks = [];
+      doc.on("data", (c) => chunks.push(c));
+      doc.on("end", () => resolve(Buffer.concat(chunks)));
+
+      const W = doc.page.width;
+      const H = doc.page.height;
+      const xAnchors = { left: 0, center: W / 2, right: W };
+      const yAnchors = { top: 0, bottom: H };
+      const posX = (v, fb) => position(v, xAnchors, fb);
+      const posY = (v, fb) => position(v, yAnchors, fb);
+
+      // ----- Custom fonts (fall back to Helvetica if one can't be loaded) -----
+      const fonts = new Set(STANDARD_FONTS);
+      for (const [name, url] of Object.entries(tpl.fonts || {})) {
+        const buf = await fetchBuffer(url);
+        if (buf) {
+          doc.registerFont(name, buf);
+          fonts.add(name);
+        }
+      }
+      const font = (name) => (fonts.has(name) ? name : "Helvetica");
+
+      // ----- Background and border -----
+      if (tpl.background?.color) doc.rect(0, 0, W, H).fill(tpl.background.color);
+      if (tpl.background?.image) {
+        const bg = await fetchBuffer(fill(tpl.background.image, payload));
+        if (bg) doc.image(bg, 0, 0, { width: W, height: H });
+      }
+      if (tpl.border) {
+        const inset = tpl.border.inset ?? 20;
+        doc
+          .rect(inset, inset, W - inset * 2, H - inset * 2)
+          .lineWidth(tpl.border.width ?? 2)
+          .strokeColor(tpl.border.color || "black")
+          .stroke();
+      }
+      doc.x = doc.page.margins.left;
+      doc.y = doc.page.margins.top;
+
+      // ----- Blocks, top to bottom -----
+      for (const b of tpl.blocks) {
+        if (b.if && !payload[b.if]) continue;
+
+        if (b.type === "text") {
+          if (b.moveDown) doc.moveDown(b.moveDown);
+          doc
+            .font(font(b.font || "Helvetica"))
+            .fontSize(b.size || 12)
+            .fillColor(b.color || "black");
+          const text = fill(b.text, payload);
+          const opts = { align: b.align || "left" };
+          if (b.width) opts.width = b.width;
+          if (b.x !== undefined || b.y !== undefined) {
+            const x = posX(b.x, doc.page.margins.left);
+            opts.width ??= W - x - doc.page.margins.right;
+            doc.text(text, x, posY(b.y, doc.y), opts);
+          } else {
+            doc.text(text, opts);
+          }
+          if (b.moveDownAfter) doc.moveDown(b.moveDownAfter);
+          if (b.anchor) yAnchors[b.anchor] = doc.y;
+        } else if (b.type === "line") {
+          const y = doc.y + (b.offset ?? 8);
+          const inset = b.inset ?? 100;
+          doc
+            .moveTo(inset, y)
+            .lineTo(W - inset, y)
+            .lineWidth(b.width ?? 1)
+            .strokeColor(b.color || "black")
+            .stroke();
+          if (b.anchor) yAnchors[b.anchor] = y;
+        } else if (b.type === "image") {
+          const buf = await fetchBuffer(fill(b.src, payload));
+          if (!buf) continue;
+          if (b.moveDown) doc.moveDown(b.moveDown);
+
+          const w = b.width;
+          const h = b.height;
+          const alignedX =
+            b.align === "center"
+              ? (W - w) / 2
+              : b.align === "right"
+              ? W - doc.page.margins.right - w
+              : doc.page.margins.left;
+          const x = posX(b.x, alignedX);
+          const y = posY(b.y, doc.y);
+
+          if (b.shape === "circle") {
+            const r = w / 2;
+            doc.save();
+            doc.circle(x + r, y + r, r).clip();
+            doc.image(buf, x, y, { width: w, height: h || w });
+            doc.restore();
+            if (b.border) {
+              // border ring
+              doc
+                .circle(x + r, y + r, r)
+                .lineWidth(b.border.width ?? 2)
+                .strokeColor(b.border.color || "#999")
+                .stroke();
+            }
+          } else {
+            doc.image(buf, x, y, h ? { width: w, height: h } : { width: w });
+            if (b.border) {
+              doc
+                .rect(x, y, w, h || w)
+                .lineWidth(b.border.width ?? 2)
+                .strokeColor(b.border.color || "#999")
+                .stroke();
+            }
+          }
+          if (b.moveDownAfter) doc.moveDown(b.moveDownAfter);
+          if (b.anchor) yAnchors[b.anchor] = y + (h || w);
+        }
+      }
+      doc.fillColor("black").strokeColor("black").lineWidth(1);
+
+      // ----- QR code -----
+      // the signed JWS rides in the URL fragment: scanners still open the
+      // verify page, offline verifiers can check it against our JWKS
+      if (tpl.qr && payload.verify_url) {
+        const qrText = payload.signature
+          ? `${payload.verify_url}#${payload.signature}`
+          : payload.verify_url;
+        const qrDataUrl = await QRCode.toDataURL(qrText);
+        const qrImg = Buffer.from(qrDataUrl.split(",")[1], "base64");
+        const qrSize = tpl.qr.size || 120;
+        const qrX = posX(tpl.qr.x, W - qrSize - 60);
+        const qrY = posY(tpl.qr.y, H - qrSize - 60);
+        doc.image(qrImg, qrX, qrY, { width: qrSize });
+        if (tpl.qr.label) {
+          doc
+            .font("Helvetica")
+            .fontSize(10)
+            .fillColor("#666")
+            .text(tpl.qr.label, qrX, qrY - 16, {
+              width: qrSize,
+              align: "center",
+            });
+          doc.fillColor("black");
+        }
+      }
+
+      // ----- Signature lines -----
+      // chosen signatories fill the template's slots in order; with none
+      // chosen every slot is drawn as a blank line with its label
+      const signers = payload.signatories || [];
+      const slots = signers.length
+        ? (tpl.signatures || []).slice(0, signers.length)
+        : tpl.signatures || [];
+      slots.forEach((slot, i) => {
+        const signer = signers[i];
+        const x = posX(slot.x, 120);
+        const y = posY(slot.y, H - 110);
+
+        if (signer?.image) {
+          doc.image(signer.image, x, y - 52, {
+            fit: [SIG_WIDTH, 40],
+            align: "center",
+            valign: "bottom",
+          });
+        }
+        doc.font("Helvetica").fontSize(12).fillColor("black");
+        if (signer?.name)
+          doc.text(signer.name, x, y - 8, {
+            width: SIG_WIDTH,
+            align: "center",
+            lineBreak: false,
+          });
+        doc.text("_____________________", x, y, { lineBreak: false });
+
+        const label = signer?.title || slot.label;
+        if (label)
+          doc.text(label, x, y + 18, {
+            width: SIG_WIDTH,
+            align: "center",
+            lineBreak: false,
+          });
+      });
+
+      doc.end();
+    } catch (err) {
+      reject(err);
+    }
+  });
+}
@@ -0,0 +1,119 @@
+import { STATUSES } from "../utils/certificateStatus.js";
+import { UUID } from "../utils/ids.js";
+import { v } from "../utils/schema.js";
+
+// Filters, sorting and cursors for an institution's certificate list, read
+// from the request. Shared by the list, the spreadsheet export and
+// download-all; the queries live in repositories/certificates.js.
+
+// sort key -> column; cgpa sorts numerically
+export const SORT_COLUMNS = {
+  created_at: "created_at",
+  full_name: "full_name",
+  program: "program",
+  certificate: "certificate",
+  cgpa: "cgpa_num",
+  status: "status",
+  version: "version",
+  reissued_at: "reissued_at",
+};
+
+const EMAIL_STATUSES = ["queued", "sent", "bounced", "failed", "none"];
+
+const text = () => v.string({ max: 200 }).optional();
+
+/**
+ * The list filters and sort, as request schema fields (see utils/schema.js).
+ *   q                  name, program or award contains; or an exact certificate id
+ *   program, certificate   exact match, case-insensitive
+ *   status             one or more, comma-separated
+ *   cgpa_min, cgpa_max numeric range, inclusive
+ *   issued_from, issued_to  YYYY-MM-DD, inclusive
+ *   email_status       queued, sent, bounced, failed, or none (never emailed)
+ *   created_by, api_key_id, job_id
+ *   sort               a key of SORT_COLUMNS, "-" prefix for descending
+ */
+export const LIST_FIELDS = {
+  q: text(),
+  program: text(),
+  certificate: text(),
+  status: v.array(v.oneOf(STATUSES)).optional(),
+  email_status: v.oneOf(EMAIL_STATUSES).optional(),
+  cgpa_min: v.number().optional(),
+  cgpa_max: v.number().optional(),
+  issued_from: v.date().optional(),
+  issued_to: v.date().optional(),
+  created_by: v.uuid().optional(),
+  api_key_id: v.uuid().optional(),
+  job_id: v.uuid().optional(),
+  sort: v.string({ max: 50 }).check((value) => parseSort(value).error ?? null).optional(),
+};
+
+const FILTER_KEYS = Object.keys(LIST_FIELDS).filter((k) => k !== "sort");
+
+/** Pick the filters out of input already checked against LIST_FIELDS. */
+export function parseFilters(input) {
+  return Object.fromEntries(
+    FILTER_KEYS.filter((k) => input[k] !== undefined).map((k) => [k, input[k]])
+  );
+}
+
+/**
+ * Read `sort` (a key of SORT_COLUMNS, "-" prefix for descending).
+ * Default: newest first. Returns { sort: { key, column, ascending } } or { error }.
+ */
+export function parseSort(value) {
+  const raw = String(value ?? "").trim() || "-created_at";
+  const ascending = !raw.startsWith("-");
+  const key = raw.replace(/^[-+]/, "");
+  if (!SORT_COLUMNS[key])
+    return { error: `sort must be one of: ${Object.keys(SORT_COLUMNS).join(", ")}` };
+  return { sort: { key, column: SORT_COLUMNS[key], ascending } };
+}
+
+/** The `sort` parameter for a parsed sort, e.g. "-created_at". */
+export const sortParam = ({ key, ascending }) => `${ascending ? "" : "-"}${key}`;
+
+/**
+ * Cursor for a page's `next` ([sort value, certificate_id], see
+ * pageCertificates). It carries the sort as well, since the value only
+ * places a row in that order.
+ */
+export const encodeCursor = (sort, next) =>
+  Buffer.from(JSON.stringify([sortParam(sort), ...next])).toString("base64url");
+
+// a cursor's sort value is the column as Postgres prints it (::text); the
+// keys not listed here sort text, which any string is
+const TIMESTAMP_TEXT = /^\d{4}-\d{2}-\d{2}[ T]\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}(:?\d{2})?)?$/;
+const CURSOR_VALUES = {
+  created_at: TIMESTAMP_TEXT,
+  reissued_at: TIMESTAMP_TEXT,
+  cgpa: /^-?\d+(\.\d+)?$/,
+  version: /^\d+$/,
+};
+
+/**
+ * Decode a cursor: { sort, after: [value, certificate_id] } or null if it's
+ * malformed, including a value that isn't of its sort column's type.
+ */
+export function decodeCursor(cursor) {
+  let c;
+  try {
+    c = JSON.parse(Buffer.from(String(cursor), "base64url").toString("utf8"));
+  } catch {
+    return null;
+  }
+  if (
+    !Array.isArray(c) ||
+    c.length !== 3 ||
+    typeof c[0] !== "string" ||
+    !(c[1] === null || typeof c[1] === "string") ||
+    !UUID.test(c[2])
+  )
+    return null;
+  const { sort, error } = parseSort(c[0]);
+  if (error) return null;
+  if (c[1] !== null && CURSOR_VALUES[sort.key] && !CURSOR_VALUES[sort.key].test(c[1]))
+    return null;
+  return { sort: c[0], after: c.slice(1) };
+}
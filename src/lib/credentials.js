@@ -0,0 +1,196 @@
+import { publicBase } from "./issuance.js";
+import { decodeJws, signJws, verifyCertificateSignature } from "./signing.js";
+import { findPublicKey } from "../repositories/signingKeys.js";
+import { findCertificates, notFoundResult, verificationResult } from "./verification.js";
+
+// Certificates as Open Badges 3.0 credentials (W3C Verifiable Credentials).
+// The proof is a VC-JWT signed with the institution's certificate key, so the
+// same JWKS that checks QR signatures checks credentials. The JSON form
+// carries the JWT in `proof`, which is what wallets and verifiers read.
+
+const CONTEXTS = [
+  "https://www.w3.org/ns/credentials/v2",
+  "https://purl.imsglobal.org/spec/ob/v3p0/context-3.0.3.json",
+];
+
+/** The issuer id of an institution; it resolves to its profile. */
+export const issuerId = (institutionId) =>
+  `${publicBase()}/credentials/issuers/${institutionId}`;
+
+/** Open Badges issuer Profile for an institution row { id, name, logo_url }. */
+export function issuerProfile(inst) {
+  return {
+    "@context": CONTEXTS,
+    id: issuerId(inst.id),
+    type: ["Profile"],
+    name: inst.name,
+    ...(inst.logo_url ? { image: { id: inst.logo_url, type: "Image" } } : {}),
+  };
+}
+
+/** The unsigned credential for a certificate row. */
+export function buildCredential(cert) {
+  const verifyUrl =
+    cert.verify_url || `${publicBase()}/certificates/verify/${cert.certificate_id}`;
+  const achievementId = `${verifyUrl}#achievement`;
+  const award = cert.certificate || cert.program || "Certificate";
+
+  const achievement = {
+    id: achievementId,
+    type: ["Achievement"],
+    name: award,
+    description: cert.program
+      ? `${award} in ${cert.program}, awarded by ${cert.institution_name}`
+      : `${award}, awarded by ${cert.institution_name}`,
+    criteria: {
+      narrative: cert.program
+        ? `Completed the program: ${cert.program}`
+        : `Met the requirements for ${award}`,
+    },
+    ...(cert.cgpa
+      ? {
+          resultDescription: [
+            {
+              id: `${achievementId}-cgpa`,
+              type: ["ResultDescription"],
+              name: "CGPA",
+              resultType: "GradePointAverage",
+            },
+          ],
+        }
+      : {}),
+  };
+
+  return {
+    "@context": CONTEXTS,
+    id: `urn:uuid:${cert.certificate_id}`,
+    type: ["VerifiableCredential", "OpenBadgeCredential"],
+    issuer: {
+      id: issuerId(cert.institution_id),
+      type: ["Profile"],
+      name: cert.institution_name,
+    },
+    validFrom: new Date(cert.created_at).toISOString(),
+    name: award,
+    credentialSubject: {
+      type: ["AchievementSubject"],
+      identifier: [
+        {
+          type: "IdentityObject",
+          identityType: "name",
+          hashed: false,
+          identityHash: cert.full_name,
+        },
+      ],
+      achievement,
+      ...(cert.cgpa
+        ? {
+            result: [
+              {
+                type: ["Result"],
+                resultDescription: `${achievementId}-cgpa`,
+                value: String(cert.cgpa),
+              },
+            ],
+          }
+        : {}),
+    },
+    evidence: [
+      {
+        id: verifyUrl,
+        type: ["Evidence"],
+        name: "Certificate verification page",
+      },
+    ],
+  };
+}
+
+/**
+ * Sign a certificate's credential.
+ * @returns {Promise<{ credential: object, jwt: string }>} credential includes its proof
+ */
+export async function signCredential(cert) {
+  const vc = buildCredential(cert);
+  const { signature: jwt } = await signJws(
+    {
+      iss: vc.issuer.id,
+      jti: vc.id,
+      nbf: Math.floor(new Date(vc.validFrom).getTime() / 1000),
+      iat: Math.floor(Date.now() / 1000),
+      vc,
+    },
+    cert.institution_id
+  );
+  return { credential: { ...vc, proof: { type: "JwtProof2020", jwt } }, jwt };
+}
+
+// key order doesn't matter when comparing documents
+const stable = (v) =>
+  Array.isArray(v)
+    ? `[${v.map(stable).join(",")}]`
+    : v && typeof v === "object"
+      ? `{${Object.keys(v)
+          .sort()
+          .map((k) => `${JSON.stringify(k)}:${stable(v[k])}`)
+          .join(",")}}`
+      : JSON.stringify(v);
+
+/**
+ * Check a credential someone presents: a VC-JWT string, or the JSON document
+ * with its proof. Returns { error } if it isn't one of ours at all, otherwise
+ * { valid, checks, certificate } where checks are:
+ *   signature  the JWT verifies against the kid's key
+ *   issuer     the issuer is the institution that owns that key
+ *   document   the JSON body matches what was signed (null for a bare JWT)
+ *   status     the certificate's current status, or "not_found"
+ *   current    the credential matches the current version (false once reissued)
+ */
+export async function checkCredential(input) {
+  if (typeof input === "string" && input.trim().startsWith("{")) {
+    try {
+      input = JSON.parse(input);
+    } catch {
+      return { error: "Credential is not valid JSON" };
+    }
+  }
+  const jwt = typeof input === "string" ? input.trim() : input?.proof?.jwt;
+  if (!jwt) return { error: "No signed credential found: send the JWT or the JSON with its proof" };
+
+  const decoded = decodeJws(jwt);
+  const vc = decoded?.payload.vc;
+  if (!vc || typeof vc !== "object") return { error: "Not a credential JWT" };
+
+  const { kid } = decoded.header;
+  const key = typeof kid === "string" && kid ? await findPublicKey(kid) : null;
+  let signature = false;
+  try {
+    signature = !!key && !!verifyCertificateSignature(jwt, key.public_key);
+  } catch {
+    signature = false;
+  }
+  const issuer =
+    !!key &&
+    decoded.payload.iss === issuerId(key.institution_id) &&
+    vc.issuer?.id === decoded.payload.iss;
+
+  let document = null;
+  if (typeof input === "object") {
+    const { proof, ...body } = input;
+    document = stable(body) === stable(vc);
+  }
+
+  const certificateId = String(vc.id || "").replace(/^urn:uuid:/, "");
+  const cert = (await findCertificates([certificateId])).get(certificateId);
+  // a credential only speaks for its own issuer's certificates
+  const owned = !!cert && !!key && cert.institution_id === key.institution_id;
+  const status = owned ? cert.status || "valid" : "not_found";
+  const current = owned && stable(buildCredential(cert)) === stable(vc);
+
+  return {
+    valid:
+      signature && issuer && document !== false && status === "valid" && current,
+    checks: { signature, issuer, document, status, current },
+    certificate: owned ? verificationResult(cert) : notFoundResult(certificateId),
+    cert: owned ? cert : null,
+  };
+}
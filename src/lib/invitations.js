@@ -0,0 +1,108 @@
+import { randomBytes } from "crypto";
+import sql from "../db/db.js";
+import { hashToken } from "../utils/tokens.js";
+import { emailTaken, insertUser } from "../repositories/users.js";
+
+// Staff invitations: an admin invites an email address into their
+// institution with a role. The emailed link works once, for 7 days.
+
+const INVITE_TTL_DAYS = 7;
+
+// columns safe to return to admins (never the token hash)
+const COLUMNS = sql`
+  id, institution_id, email, role, invited_by, created_at, expires_at,
+  accepted_at, revoked_at
+`;
+
+/**
+ * Create an invitation. Any pending invitation for the same address in the
+ * institution is revoked, so only the newest link works.
+ * @returns {Promise<{ invitation: object, token: string }>}
+ */
+export async function createInvitation({ institutionId, email, role, invitedBy }) {
+  const token = randomBytes(32).toString("base64url");
+  const invitation = await sql.begin(async (tx) => {
+    await tx`
+      update invitations set revoked_at = now()
+      where institution_id = ${institutionId}
+        and lower(email) = lower(${email})
+        and accepted_at is null and revoked_at is null
+    `;
+    const [row] = await tx`
+      insert into invitations (institution_id, email, role, token_hash, invited_by, expires_at)
+      values (${institutionId}, ${email}, ${role}, ${hashToken(token)}, ${invitedBy},
+              now() + make_interval(days => ${INVITE_TTL_DAYS}))
+      returning ${COLUMNS}
+    `;
+    return row;
+  });
+  return { invitation, token };
+}
+
+/** Pending (not accepted, revoked or expired) invitation for a token, or null. */
+export async function findPendingInvitation(token, tx = sql) {
+  const [row] = await tx`
+    select ${COLUMNS} from invitations
+    where token_hash = ${hashToken(token)}
+      and accepted_at is null and revoked_at is null and expires_at > now()
+  `;
+  return row || null;
+}
+
+/** Mark an invitation used. False if someone else used it first. */
+export async function markInvitationAccepted(id, tx = sql) {
+  const rows = await tx`
+    update invitations set accepted_at = now()
+    where id = ${id} and accepted_at is null and revoked_at is null
+    returning id
+  `;
+  return rows.length > 0;
+}
+
+/**
+ * Create the invited user's account and use up the invitation, together.
+ * @returns {Promise<{ userId: string } | { error: string } | { conflict: true }>}
+ *   conflict when the address got an account some other way meanwhile
+ */
+export async function acceptInvitation(token, { fullName, passwordHash }) {
+  return sql.begin(async (tx) => {
+    const invitation = await findPendingInvitation(token, tx);
+    if (!invitation) return { error: "Invitation is invalid or has expired" };
+    if (await emailTaken(invitation.email, tx)) return { conflict: true };
+    if (!(await markInvitationAccepted(invitation.id, tx)))
+      return { error: "Invitation is invalid or has expired" };
+
+    // the invite reached their inbox, so the address is verified
+    const user = await insertUser(
+      {
+        institutionId: invitation.institution_id,
+        fullName,
+        role: invitation.role,
+        email: invitation.email,
+        passwordHash,
+        emailVerified: true,
+      },
+      tx
+    );
+    return { userId: user.id };
+  });
+}
+
+export async function listInvitations(institutionId) {
+  return sql`
+    select ${COLUMNS} from invitations
+    where institution_id = ${institutionId}
+    order by created_at desc
+  `;
+}
+
+/** Revoke a pending invitation. Returns the row, or null if not pending. */
+export async function revokeInvitation(id, institutionId) {
+  const [row] = await sql`
+    update invitations set revoked_at = now()
+    where id = ${id} and institution_id = ${institutionId}
+      and accepted_at is null and revoked_at is null
+    returning ${COLUMNS}
+  `;
+  return row || null;
+}
@@ -0,0 +1,171 @@
+import { renderCertificatePDF } from "./certificatePdf.js";
+import { signCertificate } from "./signing.js";
+import { getStorage } from "./storage/index.js";
+import { isEmail } from "./validateRows.js";
+import { publicUrlError } from "./publicUrl.js";
+import { findCertificate, insertCertificate } from "../repositories/certificates.js";
+
+export const publicBase = () =>
+  process.env.PUBLIC_BASE_URL || "https://zap-server-z2ra.onrender.com";
+
+/**
+ * Upload a buffer to the configured storage and return { path, url }.
+ * `url` is a permanent public link, or null when the backend has none
+ * (private bucket, local disk) and downloads need a signed URL.
+ */
+export async function uploadToStorage(
+  buffer,
+  objectPath,
+  { contentType = "application/pdf", publicBucket = true } = {}
+) {
+  const storage = getStorage();
+  await storage.put(objectPath, buffer, { contentType });
+  const url = publicBucket ? storage.publicUrl(objectPath) : null;
+  return { path: objectPath, url };
+}
+
+/** Upload a pdf buffer to storage and return { path, url } */
+export const uploadPdfToStorage = (buffer, objectPath, opts = {}) =>
+  uploadToStorage(buffer, objectPath, { ...opts, contentType: "application/pdf" });
+
+/** Map a sheet row to the renderCertificatePDF payload. */
+export function issuePayload({
+  row,
+  certificateId,
+  institutionName,
+  logoUrl = "",
+  issueDate,
+}) {
+  return {
+    institution_name: institutionName,
+    full_name: String(row["Full Name"] || "").trim(),
+    program: String(row["Program"] || "").trim(),
+    certificate: String(row["Certificate"] || "").trim(),
+    cgpa: String(row["CGPA"] || "").trim(),
+    image_url: String(row["Image Url"] || "").trim(),
+    logo_url: logoUrl,
+    certificate_id: certificateId,
+    verify_url: `${publicBase()}/certificates/verify/${certificateId}`,
+    issue_date: issueDate,
+  };
+}
+
+/**
+ * Why a certificate's "Image Url" mustn't be fetched, e.g. "points to a
+ * private or internal address", or null. The server downloads the photo
+ * while rendering, so an http(s) link must stay public (see publicUrl.js);
+ * anything else is left out of the PDF, as the upload preview warns.
+ */
+export async function imageUrlError(imageUrl) {
+  if (!/^https?:\/\//i.test(imageUrl || "")) return null;
+  return publicUrlError(imageUrl);
+}
+
+/**
+ * Sign a render payload, render the PDF and upload it as
+ * `<folder>/<recipient name>.pdf`. Sets payload.signature.
+ * @returns {Promise<{ kid: string, signature: string, pdf_path: string, pdf_url: string | null }>}
+ */
+export async function signRenderUpload(payload, { institutionId, template, folder }) {
+  // fails the row rather than issue a certificate that fetched it
+  const imageError = await imageUrlError(payload.image_url);
+  if (imageError) throw new Error(`Image Url ${imageError}`);
+
+  const { kid, signature } = await signCertificate(
+    { ...payload, institution: payload.institution_name },
+    institutionId
+  );
+  payload.signature = signature;
+
+  // generate PDF buffer
+  const pdfBuf = await renderCertificatePDF(payload, template?.definition);
+
+  // upload to storage
+  const safeName =
+    payload.full_name.replace(/[\/\\:*?"<>|]/g, "-") || "recipient";
+  const { path: pdf_path, url: pdf_url } = await uploadPdfToStorage(
+    pdfBuf,
+    `${folder}/${safeName}.pdf`,
+    {
+      publicBucket: true, // pdf_url stays null if the backend isn't public
+    }
+  );
+  return { kid, signature, pdf_path, pdf_url };
+}
+
+/**
+ * Render, sign, upload and insert one certificate.
+ * `certificateId` is fixed up front so a retried row never issues a second
+ * certificate: storage upserts and an existing DB row is returned as-is.
+ * @param {{
+ *   row: Record<string, any>,
+ *   certificateId: string,
+ *   institutionId: string,
+ *   institutionName: string,
+ *   logoUrl?: string,
+ *   issueDate: string,
+ *   createdBy?: string | null,
+ *   apiKeyId?: string | null,
+ *   jobId?: string | null,
+ *   template?: { id: string, definition: object },
+ *   signatories?: { id: string, name: string, title: string, image?: Buffer | null }[],
+ * }} input
+ */
+export async function issueCertificate({
+  row,
+  certificateId,
+  institutionId,
+  institutionName,
+  logoUrl = "",
+  issueDate,
+  createdBy = null,
+  apiKeyId = null,
+  jobId = null,
+  template,
+  signatories = [],
+}) {
+  const payload = issuePayload({
+    row,
+    certificateId,
+    institutionName,
+    logoUrl,
+    issueDate,
+  });
+  payload.signatories = signatories;
+
+  const { kid, signature, pdf_path, pdf_url } = await signRenderUpload(payload, {
+    institutionId,
+    template,
+    folder: `certificates/${institutionId}/${certificateId}`,
+  });
+
+  // insert metadata row
+  const cert = await insertCertificate({
+    certificate_id: certificateId,
+    full_name: payload.full_name,
+    program: payload.program,
+    certificate: payload.certificate,
+    cgpa: payload.cgpa,
+    institution_id: institutionId,
+    institution_name: payload.institution_name,
+    image_url: payload.image_url || null,
+    logo_url: payload.logo_url || null,
+    pdf_path,
+    pdf_url, // null if storage is private
+    verify_url: payload.verify_url,
+    signature,
+    signing_kid: kid,
+    template_id: template?.id || null,
+    signatories: signatories.map(({ id, name, title }) => ({ id, name, title })),
+    status: "valid",
+    created_by: createdBy,
+    api_key_id: apiKeyId,
+    job_id: jobId,
+    // an invalid address is kept out, as the upload preview warns
+    recipient_email: isEmail(row["Email"])
+      ? String(row["Email"]).trim().toLowerCase()
+      : null,
+  });
+  // null = already inserted by an earlier attempt of this row
+  return cert ?? (await findCertificate(certificateId));
+}
@@ -0,0 +1,194 @@
+import { v4 as uuidv4 } from "uuid";
+import { issueCertificate } from "./issuance.js";
+import { validateRows } from "./validateRows.js";
+import { loadSignatories } from "./signatories.js";
+import { emitEvent } from "./webhooks.js";
+import { queueBatchEmails } from "./certificateEmails.js";
+import { eachLimit } from "../utils/concurrency.js";
+import {
+  countJobRows,
+  insertJob,
+  pendingJobRows,
+  resetFailedRows,
+  setJobStatus,
+  unfinishedJobIds,
+  updateJobRow,
+} from "../repositories/jobs.js";
+import { findTemplate } from "../repositories/templates.js";
+
+// how many rows of a job are rendered/uploaded at the same time
+const CONCURRENCY = Number(process.env.GENERATION_CONCURRENCY) || 4;
+
+// job ids waiting for the worker; jobs run one at a time, rows in parallel
+const queue = [];
+let draining = false;
+
+/** Create a job and its rows, then queue it. Returns the job row. */
+export async function createGenerationJob({
+  rows,
+  institutionId,
+  institutionName,
+  logoUrl,
+  issueDate,
+  cgpaMax = 5,
+  createdBy,
+  apiKeyId = null,
+  templateId = null,
+  signatoryIds = [],
+  sendEmail = false,
+  emailSubject = null,
+  emailBody = null,
+}) {
+  const job = await insertJob(
+    {
+      institution_id: institutionId,
+      institution_name: institutionName,
+      logo_url: logoUrl || null,
+      template_id: templateId,
+      signatory_ids: signatoryIds,
+      issue_date: issueDate,
+      cgpa_max: cgpaMax,
+      created_by: createdBy,
+      api_key_id: apiKeyId,
+      send_email: sendEmail,
+      email_subject: emailSubject,
+      email_body: emailBody,
+      status: "queued",
+      total: rows.length,
+    },
+    rows.map((data, i) => ({
+      row_index: i,
+      data,
+      certificate_id: uuidv4(), // fixed now so retries reuse it
+      status: "pending",
+    }))
+  );
+
+  enqueueJob(job.id);
+  return job;
+}
+
+export function enqueueJob(jobId) {
+  if (!queue.includes(jobId)) queue.push(jobId);
+  drain();
+}
+
+async function drain() {
+  if (draining) return;
+  draining = true;
+  try {
+    while (queue.length) {
+      const jobId = queue.shift();
+      try {
+        await runJob(jobId);
+      } catch (e) {
+        console.error(`Generation job ${jobId} failed:`, e);
+        await setJobStatus(jobId, "failed").catch((err) =>
+          console.error(`Marking job ${jobId} failed didn't work:`, err.message || err)
+        );
+      }
+    }
+  } finally {
+    draining = false;
+  }
+}
+
+async function runJob(jobId) {
+  const job = await setJobStatus(jobId, "running");
+  if (!job) throw new Error("Job no longer exists");
+
+  let template;
+  if (job.template_id) {
+    const tpl = await findTemplate(job.template_id, job.institution_id);
+    if (!tpl) throw new Error("The job's template no longer exists");
+    template = { id: job.template_id, definition: tpl.definition };
+  }
+
+  // signature images are downloaded once for the whole job
+  const signatories = await loadSignatories(job.signatory_ids || [], {
+    withImages: true,
+  });
+  if (!signatories) throw new Error("A chosen signatory no longer exists");
+
+  const pending = await pendingJobRows(jobId);
+
+  await eachLimit(pending, CONCURRENCY, async (jobRow) => {
+    const update = { attempts: (jobRow.attempts || 0) + 1 };
+    try {
+      // the row errors the upload preview reports fail the row here; it can
+      // be corrected (PATCH .../rows/:rowIndex) and retried
+      const [{ errors }] = validateRows([jobRow.data], { cgpaMax: Number(job.cgpa_max) });
+      if (errors.length) throw new Error(errors.join("; "));
+
+      const cert = await issueCertificate({
+        row: jobRow.data,
+        certificateId: jobRow.certificate_id,
+        institutionId: job.institution_id,
+        institutionName: job.institution_name,
+        logoUrl: job.logo_url || "",
+        issueDate: job.issue_date,
+        createdBy: job.created_by,
+        apiKeyId: job.api_key_id,
+        jobId: job.id,
+        template,
+        signatories,
+      });
+      Object.assign(update, { status: "succeeded", error: null });
+      await emitEvent(job.institution_id, "certificate.issued", {
+        job_id: job.id,
+        certificate_id: cert.certificate_id,
+        full_name: cert.full_name,
+        program: cert.program,
+        certificate: cert.certificate,
+        cgpa: cert.cgpa,
+        verify_url: cert.verify_url,
+        pdf_url: cert.pdf_url,
+        issued_at: cert.created_at,
+      });
+    } catch (e) {
+      Object.assign(update, {
+        status: "failed",
+        error: e?.message || "Generation failed",
+      });
+    }
+    await updateJobRow(jobRow.id, update).catch((e) =>
+      console.error(`Job row ${jobRow.id} update failed:`, e)
+    );
+  });
+
+  const counts = await getJobCounts(jobId);
+  const status = counts.failed ? "completed_with_errors" : "completed";
+  const { finished_at: finishedAt } = await setJobStatus(jobId, status);
+
+  // recipients with an Email column get their certificates now
+  if (job.send_email)
+    await queueBatchEmails(job.id).catch((e) =>
+      console.error(`Queuing emails for job ${job.id} failed:`, e.message || e)
+    );
+
+  await emitEvent(job.institution_id, "batch.completed", {
+    job_id: job.id,
+    status,
+    total: job.total,
+    succeeded: counts.succeeded,
+    failed: counts.failed,
+    finished_at: finishedAt,
+  });
+}
+
+/** { pending, succeeded, failed } row counts for a job. */
+export const getJobCounts = (jobId) => countJobRows(jobId);
+
+/** Put failed rows back to pending and queue the job again. Returns how many. */
+export async function retryFailedRows(jobId) {
+  const retried = await resetFailedRows(jobId);
+  if (retried) enqueueJob(jobId);
+  return retried;
+}
+
+/** Pick up jobs that were queued or mid-run when the process stopped. */
+export async function resumeJobs() {
+  const ids = await unfinishedJobIds();
+  for (const id of ids) enqueueJob(id);
+  return ids.length;
+}
@@ -0,0 +1,60 @@
+import sql from "../db/db.js";
+
+// Progressive lockout for staff sign-in. Every LOGIN_LOCKOUT_THRESHOLD
+// failed sign-ins in a row lock the account, for LOGIN_LOCKOUT_MINUTES the
+// first time and twice as long each time after (at most a day). Attempts
+// while locked are refused unchecked and count as failures. A correct
+// password, a password reset or an admin's unlock clears the streak.
+
+const THRESHOLD = () => Number(process.env.LOGIN_LOCKOUT_THRESHOLD) || 5;
+const BASE_MINUTES = () => Number(process.env.LOGIN_LOCKOUT_MINUTES) || 15;
+
+/** Seconds until a users row is unlocked; 0 if it isn't locked. */
+export function lockedForSeconds(row) {
+  if (!row?.locked_until) return 0;
+  return Math.max(0, Math.ceil((row.locked_until.getTime() - Date.now()) / 1000));
+}
+
+/**
+ * Count a failed password. Returns { failedLogins, lockedUntil }, where
+ * lockedUntil is set when this failure locked the account.
+ */
+export async function recordFailedLogin(userId) {
+  const threshold = THRESHOLD();
+  const [row] = await sql`
+    update users set
+      failed_logins = failed_logins + 1,
+      last_failed_login_at = now(),
+      locked_until = case
+        when (failed_logins + 1) % ${threshold} = 0
+          then now() + least(
+            make_interval(mins => ${BASE_MINUTES()})
+              * power(2, least((failed_logins + 1) / ${threshold} - 1, 10)),
+            interval '24 hours')
+        else locked_until end
+    where id = ${userId}
+    returning failed_logins, locked_until
+  `;
+  return {
+    failedLogins: row.failed_logins,
+    lockedUntil: row.failed_logins % threshold === 0 ? row.locked_until : null,
+  };
+}
+
+/** Clear the failure streak after a successful sign-in. */
+export async function clearFailedLogins(userId) {
+  await sql`
+    update users set failed_logins = 0, locked_until = null
+    where id = ${userId} and (failed_logins > 0 or locked_until is not null)
+  `;
+}
+
+/** An admin's unlock. Returns the updated row, or null if it wasn't locked. */
+export async function unlockUser(userId) {
+  const [row] = await sql`
+    update users set failed_logins = 0, locked_until = null
+    where id = ${userId} and locked_until > now()
+    returning *
+  `;
+  return row ?? null;
+}
@@ -0,0 +1,17 @@
+import { randomUUID } from "crypto";
+
+/** Dev driver: prints each message to the console instead of sending it. */
+export function createConsoleMailer({ from }) {
+  return {
+    name: "console",
+    async send({ to, subject, text, attachments = [] }) {
+      const id = randomUUID();
+      console.log(
+        `📧 [mail ${id}] from=${from} to=${to} subject="${subject}"` +
+          (attachments.length ? ` attachments=${attachments.length}` : "") +
+          `\n${text}`
+      );
+      return { id };
+    },
+  };
+}
@@ -0,0 +1,35 @@
+import fsp from "fs/promises";
+import path from "path";
+import { randomUUID } from "crypto";
+
+/**
+ * Dev/test driver: writes each message to `<dir>/<timestamp>-<id>.json`
+ * instead of sending it. Attachments are saved as base64.
+ */
+export function createFileMailer({ dir, from }) {
+  return {
+    name: "file",
+    async send({ to, subject, text, html, attachments = [] }) {
+      const id = randomUUID();
+      await fsp.mkdir(dir, { recursive: true });
+      const message = {
+        id,
+        from,
+        to,
+        subject,
+        text,
+        html,
+        attachments: attachments.map((a) => ({
+          ...a,
+          content: Buffer.from(a.content).toString("base64"),
+        })),
+        sentAt: new Date().toISOString(),
+      };
+      await fsp.writeFile(
+        path.join(dir, `${Date.now()}-${id}.json`),
+        JSON.stringify(message, null, 2)
+      );
+      return { id };
+    },
+  };
+}
@@ -0,0 +1,60 @@
+import { createSmtpMailer } from "./smtp.js";
+import { createFileMailer } from "./file.js";
+import { createConsoleMailer } from "./console.js";
+
+/**
+ * Pick the mail transport by MAIL_DRIVER (MAIL_FROM is the sender for all):
+ *   console (default)  print messages to the log
+ *   file               write messages as JSON under MAIL_DIR (default ./mail)
+ *   smtp               SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS
+ *                      (a local catcher such as Mailpit: SMTP_HOST=localhost SMTP_PORT=1025)
+ *
+ * Every driver has send({ to, subject, text, html?, attachments? }) -> { id }.
+ * attachments: [{ filename, content: Buffer, contentType }]
+ */
+function createMailer() {
+  const from = process.env.MAIL_FROM || "no-reply@localhost";
+  const driver = process.env.MAIL_DRIVER || "console";
+  switch (driver) {
+    case "console":
+      return createConsoleMailer({ from });
+    case "file":
+      return createFileMailer({ dir: process.env.MAIL_DIR || "./mail", from });
+    case "smtp":
+      return createSmtpMailer({
+        host: process.env.SMTP_HOST,
+        port: Number(process.env.SMTP_PORT) || 587,
+        secure: process.env.SMTP_SECURE === "true",
+        user: process.env.SMTP_USER,
+        pass: process.env.SMTP_PASS,
+        from,
+      });
+    default:
+      throw new Error(`Unknown MAIL_DRIVER: ${driver}`);
+  }
+}
+
+let mailer;
+
+/** The configured mailer, created on first use (after dotenv has loaded). */
+export function getMailer() {
+  if (!mailer) mailer = createMailer();
+  return mailer;
+}
+
+/**
+ * Send a message without holding up the response, for answers that mustn't
+ * reveal (by content, timing or failure) whether anything was sent.
+ * `compose` builds the message, or returns null to send nothing; it runs
+ * after the current request has been answered, and errors are only logged.
+ */
+export function sendInBackground(what, compose) {
+  setImmediate(async () => {
+    try {
+      const message = await compose();
+      if (message) await getMailer().send(message);
+    } catch (e) {
+      console.error(`Failed to send ${what}:`, e);
+    }
+  });
+}
@@ -0,0 +1,30 @@
+import nodemailer from "nodemailer";
+
+/** SMTP driver (any provider: SES, Postmark, Mailgun, a local relay...). */
+export function createSmtpMailer({ host, port, secure, user, pass, from }) {
+  const transport = nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    auth: user ? { user, pass } : undefined,
+  });
+
+  return {
+    name: "smtp",
+    async send({ to, subject, text, html, attachments = [] }) {
+      const info = await transport.sendMail({
+        from,
+        to,
+        subject,
+        text,
+        html,
+        attachments: attachments.map(({ filename, content, contentType }) => ({
+          filename,
+          content,
+          contentType,
+        })),
+      });
+      return { id: info.messageId };
+    },
+  };
+}
@@ -0,0 +1,78 @@
+import dns from "dns/promises";
+import net from "net";
+
+// Requests the server makes to addresses someone else typed in (image links
+// in a sheet, webhook endpoints) must stay on the public internet: never
+// loopback, private networks or link-local (where cloud metadata lives).
+// ALLOWED_PRIVATE_HOSTS (comma-separated names or IPs, e.g. "localhost")
+// lets through hosts that are meant to be reached, in development or tests.
+
+const BLOCKED = new net.BlockList();
+for (const [address, prefix] of [
+  ["0.0.0.0", 8], // "this" network
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10], // carrier-grade NAT
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16], // link-local, cloud metadata
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15], // benchmarking
+  ["224.0.0.0", 4], // multicast
+  ["240.0.0.0", 4], // reserved, broadcast
+])
+  BLOCKED.addSubnet(address, prefix, "ipv4");
+for (const [address, prefix] of [
+  ["::", 128],
+  ["::1", 128],
+  ["fc00::", 7], // unique local
+  ["fe80::", 10], // link-local
+  ["ff00::", 8], // multicast
+])
+  BLOCKED.addSubnet(address, prefix, "ipv6");
+
+/** Whether an IP address is loopback, private, link-local or otherwise internal. */
+export function isPrivateAddress(address) {
+  const family = net.isIP(address);
+  if (!family) return false;
+  // checks an IPv4-mapped IPv6 address (::ffff:10.0.0.1) against the v4 ranges too
+  return BLOCKED.check(address, family === 6 ? "ipv6" : "ipv4");
+}
+
+const allowedHosts = () =>
+  String(process.env.ALLOWED_PRIVATE_HOSTS || "")
+    .split(",")
+    .map((h) => h.trim().toLowerCase())
+    .filter(Boolean);
+
+/**
+ * Why the server shouldn't request `url`, as a message to follow the
+ * field's name ("points to a private or internal address"), or null if it
+ * may. Host names are resolved, so a public name for an internal address
+ * is refused too.
+ */
+export async function publicUrlError(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return "is not a valid URL";
+  }
+  if (parsed.protocol !== "http:" && parsed.protocol !== "https:")
+    return "must be an http(s) URL";
+
+  const host = parsed.hostname.replace(/^\[(.*)\]$/, "$1").toLowerCase();
+  if (allowedHosts().includes(host)) return null;
+
+  let addresses = [host];
+  if (!net.isIP(host)) {
+    try {
+      addresses = (await dns.lookup(host, { all: true })).map((a) => a.address);
+    } catch {
+      return "has a host name that doesn't resolve";
+    }
+  }
+  return addresses.some(isPrivateAddress)
+    ? "points to a private or internal address"
+    : null;
+}
@@ -0,0 +1,30 @@
+import { createMemoryStore } from "./memory.js";
+import { createPostgresStore } from "./postgres.js";
+
+/**
+ * Pick where rate-limit counters live by RATE_LIMIT_STORE:
+ *   memory (default)  this process only; fine for a single instance
+ *   postgres          the rate_limits table, shared by every instance
+ *
+ * Every store has hit(key, windowMs) -> { count, resetAt: Date }, which
+ * counts one request in the key's current window, and reset(key).
+ */
+function createStore() {
+  const driver = process.env.RATE_LIMIT_STORE || "memory";
+  switch (driver) {
+    case "memory":
+      return createMemoryStore();
+    case "postgres":
+      return createPostgresStore();
+    default:
+      throw new Error(`Unknown RATE_LIMIT_STORE: ${driver}`);
+  }
+}
+
+let store;
+
+/** The configured store, created on first use (after dotenv has loaded). */
+export function getRateLimitStore() {
+  if (!store) store = createStore();
+  return store;
+}
@@ -0,0 +1,33 @@
+/**
+ * In-process store: fixed windows kept in a Map. Counts are per process and
+ * start over on restart, so run several instances with the postgres store.
+ */
+export function createMemoryStore() {
+  const windows = new Map(); // key -> { count, resetAt (ms) }
+
+  // drop finished windows now and then so the map doesn't grow forever
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    for (const [key, w] of windows) if (w.resetAt <= now) windows.delete(key);
+  }, 60 * 1000);
+  sweep.unref();
+
+  return {
+    name: "memory",
+
+    async hit(key, windowMs) {
+      const now = Date.now();
+      let w = windows.get(key);
+      if (!w || w.resetAt <= now) {
+        w = { count: 0, resetAt: now + windowMs };
+        windows.set(key, w);
+      }
+      w.count += 1;
+      return { count: w.count, resetAt: new Date(w.resetAt) };
+    },
+
+    async reset(key) {
+      windows.delete(key);
+    },
+  };
+}
@@ -0,0 +1,39 @@
+import sql from "../../db/db.js";
+
+const CLEANUP_MS = 10 * 60 * 1000;
+
+/**
+ * Store in the rate_limits table, shared by every instance of the API.
+ * One upsert per hit; a window that has ended starts over.
+ */
+export function createPostgresStore() {
+  let lastCleanup = 0;
+
+  return {
+    name: "postgres",
+
+    async hit(key, windowMs) {
+      const [row] = await sql`
+        insert into rate_limits (key, count, reset_at)
+        values (${key}, 1, now() + make_interval(secs => ${windowMs / 1000}))
+        on conflict (key) do update set
+          count = case when rate_limits.reset_at <= now() then 1
+                       else rate_limits.count + 1 end,
+          reset_at = case when rate_limits.reset_at <= now() then excluded.reset_at
+                          else rate_limits.reset_at end
+        returning count, reset_at
+      `;
+      if (Date.now() - lastCleanup > CLEANUP_MS) {
+        lastCleanup = Date.now();
+        sql`delete from rate_limits where reset_at < now()`.catch((e) =>
+          console.error("Rate limit cleanup failed:", e.message || e)
+        );
+      }
+      return { count: row.count, resetAt: row.reset_at };
+    },
+
+    async reset(key) {
+      await sql`delete from rate_limits where key = ${key}`;
+    },
+  };
+}
@@ -0,0 +1,69 @@
+import { randomBytes } from "crypto";
+import sql from "../db/db.js";
+import { hashToken } from "../utils/tokens.js";
+
+// Recipients are the people certificates were issued to. They have no
+// password: they sign in through a one-time link mailed to the address on
+// their certificates, and see every certificate sent to that address.
+
+export const MAGIC_LINK_TTL_MINUTES = 15;
+
+export const normalizeEmail = (email) => String(email ?? "").trim().toLowerCase();
+
+/** The recipient for an address, created on first sign-in. */
+export async function findOrCreateRecipient(email) {
+  const [row] = await sql`
+    insert into recipients (email) values (${normalizeEmail(email)})
+    on conflict (email) do update set email = excluded.email
+    returning id, email
+  `;
+  return row;
+}
+
+/** { id, email, signed_out_at } or null. */
+export async function getRecipient(id) {
+  const [row] = await sql`
+    select id, email, signed_out_at from recipients where id = ${id}
+  `;
+  return row ?? null;
+}
+
+/** Issue a sign-in token; earlier unused ones stop working. */
+export async function createMagicLinkToken(recipientId) {
+  const token = randomBytes(32).toString("base64url");
+  await sql.begin(async (tx) => {
+    await tx`
+      update recipient_tokens set used_at = now()
+      where recipient_id = ${recipientId} and used_at is null
+    `;
+    await tx`
+      insert into recipient_tokens (token_hash, recipient_id, expires_at)
+      values (${hashToken(token)}, ${recipientId},
+              now() + make_interval(mins => ${MAGIC_LINK_TTL_MINUTES}))
+    `;
+  });
+  return token;
+}
+
+/** Use up a sign-in token. Returns the recipient, or null. */
+export async function consumeMagicLinkToken(token) {
+  const [row] = await sql`
+    update recipient_tokens set used_at = now()
+    where token_hash = ${hashToken(token)}
+      and used_at is null
+      and expires_at > now()
+    returning recipient_id
+  `;
+  if (!row) return null;
+  const [recipient] = await sql`
+    update recipients set last_sign_in_at = now()
+    where id = ${row.recipient_id}
+    returning id, email
+  `;
+  return recipient ?? null;
+}
+
+/** Invalidate every portal token issued to the recipient so far. */
+export async function signOutRecipient(recipientId) {
+  await sql`update recipients set signed_out_at = now() where id = ${recipientId}`;
+}
@@ -0,0 +1,133 @@
+import { imageUrlError, issuePayload, signRenderUpload } from "./issuance.js";
+import { saveReissue } from "../repositories/certificates.js";
+import { findTemplate } from "../repositories/templates.js";
+import { loadSignatories } from "./signatories.js";
+import { decodeJws } from "./signing.js";
+
+// Correcting a certificate reissues it under the same certificate_id, so
+// printed QR codes keep working. The superseded version is snapshotted into
+// certificate_versions first; the certificates row always holds the current one.
+
+// fields a reissue may correct
+export const REISSUE_FIELDS = ["full_name", "program", "certificate", "cgpa", "image_url"];
+
+/**
+ * Compare requested corrections with the current row.
+ * Returns { changes: { field: { from, to } } } (only fields that differ) or { error }.
+ */
+export function diffChanges(cert, input) {
+  if (!input || typeof input !== "object" || Array.isArray(input))
+    return { error: "changes must be an object" };
+  const unknown = Object.keys(input).filter((k) => !REISSUE_FIELDS.includes(k));
+  if (unknown.length)
+    return {
+      error: `Cannot change ${unknown.join(", ")}; allowed: ${REISSUE_FIELDS.join(", ")}`,
+    };
+
+  const changes = {};
+  for (const field of REISSUE_FIELDS) {
+    if (input[field] === undefined) continue;
+    const to = String(input[field] ?? "").trim();
+    if (field === "full_name" && !to) return { error: "full_name cannot be empty" };
+    if (field === "image_url" && to && !/^https?:\/\//i.test(to))
+      return { error: "image_url must be an http(s) URL" };
+    const from = cert[field] ?? "";
+    if (to !== String(from)) changes[field] = { from: cert[field] ?? null, to: to || null };
+  }
+  return { changes };
+}
+
+/** The issue date inside the current signature, so a reissue keeps it. */
+const signedIssueDate = (cert) =>
+  decodeJws(cert.signature)?.payload.issue_date ||
+  new Date(cert.created_at).toISOString().slice(0, 10);
+
+/**
+ * Re-render and re-sign a certificate with corrected fields.
+ * Uses the certificate's own template and signatories, and keeps its
+ * issue date. The new PDF goes under v<n>/ so earlier files stay intact.
+ * @param {{ cert: object, changes: Record<string, { from: any, to: any }>, reason: string, changedBy?: string | null }} input
+ * @returns {Promise<{ certificate: object } | { error: string, status: number }>}
+ */
+export async function reissueCertificate({ cert, changes, reason, changedBy = null }) {
+  let template;
+  if (cert.template_id) {
+    const tpl = await findTemplate(cert.template_id, cert.institution_id);
+    if (!tpl)
+      return { error: "The certificate's template no longer exists", status: 409 };
+    template = { id: tpl.id, definition: tpl.definition };
+  }
+
+  // retired signatories still signed the original, so they stay on it
+  const signatories = await loadSignatories(
+    (cert.signatories || []).map((s) => s.id),
+    { institutionId: cert.institution_id, withImages: true }
+  );
+  if (!signatories)
+    return { error: "A signatory on this certificate no longer exists", status: 409 };
+
+  const current = cert.version || 1;
+  const next = current + 1;
+  const fields = { ...cert };
+  for (const [field, { to }] of Object.entries(changes)) fields[field] = to ?? "";
+
+  const payload = issuePayload({
+    row: {
+      "Full Name": fields.full_name,
+      Program: fields.program,
+      Certificate: fields.certificate,
+      CGPA: fields.cgpa,
+      "Image Url": fields.image_url,
+    },
+    certificateId: cert.certificate_id,
+    institutionName: cert.institution_name,
+    logoUrl: cert.logo_url || "",
+    issueDate: signedIssueDate(cert),
+  });
+  payload.signatories = signatories;
+
+  // a new link, or one stored before links were checked
+  const imageError = await imageUrlError(payload.image_url);
+  if (imageError) return { error: `image_url ${imageError}`, status: 400 };
+
+  const { kid, signature, pdf_path, pdf_url } = await signRenderUpload(payload, {
+    institutionId: cert.institution_id,
+    template,
+    folder: `certificates/${cert.institution_id}/${cert.certificate_id}/v${next}`,
+  });
+
+  // the old version is snapshotted and the row updated together; a
+  // concurrent reissue of the same version loses
+  const updated = await saveReissue(cert.certificate_id, {
+    version: current,
+    previous: {
+      full_name: cert.full_name,
+      program: cert.program,
+      certificate: cert.certificate,
+      cgpa: cert.cgpa,
+      image_url: cert.image_url,
+      pdf_path: cert.pdf_path,
+      pdf_url: cert.pdf_url,
+      signature: cert.signature,
+      signing_kid: cert.signing_kid,
+      issued_at: cert.reissued_at || cert.created_at,
+      changes,
+      reason,
+      changed_by: changedBy,
+    },
+    update: {
+      full_name: payload.full_name,
+      program: payload.program,
+      certificate: payload.certificate,
+      cgpa: payload.cgpa,
+      image_url: payload.image_url || null,
+      pdf_path,
+      pdf_url,
+      signature,
+      signing_kid: kid,
+    },
+  });
+  if (!updated)
+    return { error: "Certificate was reissued by someone else, try again", status: 409 };
+  return { certificate: updated };
+}
@@ -0,0 +1,157 @@
+import { randomBytes } from "crypto";
+import sql from "../db/db.js";
+import { hashToken } from "../utils/tokens.js";
+
+// A session is one sign-in. It holds a chain of refresh tokens: each refresh
+// uses up the current token and issues the next. Presenting a used token
+// again means it was copied, so the whole session is revoked.
+
+const REFRESH_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+async function issueRefreshToken(tx, sessionId) {
+  const token = randomBytes(32).toString("base64url");
+  await tx`
+    insert into refresh_tokens (token_hash, session_id, expires_at)
+    values (${hashToken(token)}, ${sessionId},
+            now() + make_interval(days => ${REFRESH_TTL_DAYS}))
+  `;
+  return token;
+}
+
+/**
+ * Start a session for a user who just signed in.
+ * @returns {Promise<{ sessionId: string, refreshToken: string }>}
+ */
+export async function createSession(userId, { ip = null, userAgent = null } = {}) {
+  return sql.begin(async (tx) => {
+    const [session] = await tx`
+      insert into sessions (user_id, ip, user_agent)
+      values (${userId}, ${ip}, ${userAgent})
+      returning id
+    `;
+    const refreshToken = await issueRefreshToken(tx, session.id);
+    return { sessionId: session.id, refreshToken };
+  });
+}
+
+/**
+ * Swap a refresh token for the next one in its session.
+ * @returns {Promise<{ sessionId: string, userId: string, refreshToken: string } | { error: string }>}
+ */
+export async function rotateRefreshToken(refreshToken) {
+  const tokenHash = hashToken(refreshToken);
+  const result = await sql.begin(async (tx) => {
+    // only one caller can use a token, even if two arrive at once
+    const [used] = await tx`
+      update refresh_tokens set used_at = now()
+      where token_hash = ${tokenHash} and used_at is null
+      returning session_id, expires_at
+    `;
+    if (!used) {
+      const [seen] = await tx`
+        select session_id from refresh_tokens where token_hash = ${tokenHash}
+      `;
+      if (!seen) return { error: "Invalid refresh token" };
+      return { reused: seen.session_id };
+    }
+
+    if (used.expires_at < new Date()) return { error: "Refresh token expired" };
+
+    const [session] = await tx`
+      update sessions set last_used_at = now()
+      where id = ${used.session_id} and revoked_at is null
+      returning id, user_id
+    `;
+    if (!session) return { error: "Session has been signed out" };
+
+    const next = await issueRefreshToken(tx, session.id);
+    return { sessionId: session.id, userId: session.user_id, refreshToken: next };
+  });
+
+  // outside the transaction above, so the revocation isn't rolled back
+  if (result.reused) {
+    await revokeSession(result.reused, "refresh_token_reused");
+    return { error: "Refresh token already used; session signed out" };
+  }
+  return result;
+}
+
+// session id -> { user, expires }: the signed-in user's current role/state
+const activeCache = new Map();
+const CACHE_MS = 30 * 1000;
+
+/**
+ * The user behind a session, if the session is still signed in:
+ * { id, email, type, institutionId, active }. Role and deactivation come from the
+ * database, not the token, so changes apply without signing in again.
+ * Answers are cached briefly so every request doesn't hit the database;
+ * changes made through this module clear the cache at once.
+ */
+export async function getSessionUser(sessionId) {
+  if (!sessionId) return null;
+  const hit = activeCache.get(sessionId);
+  if (hit?.expires > Date.now()) return hit.user;
+
+  const [row] = await sql`
+    select u.id, u.email, u.user_type, u.institution_id, u.deactivated_at
+    from sessions s
+    join users u on u.id = s.user_id
+    where s.id = ${sessionId} and s.revoked_at is null
+  `;
+  if (!row) {
+    activeCache.delete(sessionId);
+    return null;
+  }
+  const user = {
+    id: row.id,
+    email: row.email,
+    type: row.user_type,
+    institutionId: row.institution_id,
+    active: !row.deactivated_at,
+  };
+  activeCache.set(sessionId, { user, expires: Date.now() + CACHE_MS });
+  return user;
+}
+
+/** Drop cached session state for a user whose role or status just changed. */
+export function forgetUser(userId) {
+  for (const [sid, { user }] of activeCache)
+    if (user.id === userId) activeCache.delete(sid);
+}
+
+/** Sign out one session. */
+export async function revokeSession(sessionId, reason = "logout") {
+  activeCache.delete(sessionId);
+  await sql`
+    update sessions set revoked_at = now(), revoked_reason = ${reason}
+    where id = ${sessionId} and revoked_at is null
+  `;
+}
+
+/**
+ * Sign out every session of a user, except `except` (e.g. the one that just
+ * changed the password). Returns how many were still active.
+ */
+export async function revokeUserSessions(
+  userId,
+  reason = "logout_all",
+  { except = null } = {}
+) {
+  const rows = await sql`
+    update sessions set revoked_at = now(), revoked_reason = ${reason}
+    where user_id = ${userId} and revoked_at is null
+      ${except ? sql`and id <> ${except}` : sql``}
+    returning id
+  `;
+  for (const { id } of rows) activeCache.delete(id);
+  return rows.length;
+}
+
+/** The session a refresh token belongs to (used or not), or null. */
+export async function sessionForRefreshToken(refreshToken) {
+  const [row] = await sql`
+    select session_id from refresh_tokens
+    where token_hash = ${hashToken(refreshToken)}
+  `;
+  return row?.session_id ?? null;
+}
@@ -0,0 +1,114 @@
+import path from "path";
+import xlsx from "xlsx";
+
+// certificate field -> the header the rest of the pipeline reads
+export const FIELD_HEADERS = {
+  full_name: "Full Name",
+  program: "Program",
+  certificate: "Certificate",
+  cgpa: "CGPA",
+  image_url: "Image Url",
+  email: "Email", // optional: where to email the certificate
+};
+
+// columns every uploaded sheet must have (after mapping)
+export const REQUIRED_COLUMNS = ["Full Name", "Program", "Certificate", "CGPA"];
+
+const SUPPORTED = [".xlsx", ".xls", ".csv", ".ods"];
+
+const norm = (h) => String(h).trim().toLowerCase();
+
+/**
+ * Check a mapping of source header -> certificate field.
+ * Returns an error string, or null if it's usable.
+ */
+export function mappingError(mapping) {
+  if (!mapping || typeof mapping !== "object" || Array.isArray(mapping))
+    return "mapping must be an object of source header -> field";
+  const fields = Object.values(mapping);
+  const unknown = fields.filter((f) => !(f in FIELD_HEADERS));
+  if (unknown.length)
+    return `Unknown fields: ${unknown.join(", ")} (expected ${Object.keys(
+      FIELD_HEADERS
+    ).join(", ")})`;
+  const dupes = fields.filter((f, i) => fields.indexOf(f) !== i);
+  if (dupes.length) return `Fields mapped twice: ${[...new Set(dupes)].join(", ")}`;
+  return null;
+}
+
+/** Rename a row's source headers to our headers. Unmapped columns are kept. */
+function applyMapping(row, mapping) {
+  const byHeader = new Map(
+    Object.entries(mapping).map(([src, field]) => [norm(src), FIELD_HEADERS[field]])
+  );
+  const out = {};
+  for (const [k, v] of Object.entries(row)) {
+    const target = byHeader.get(norm(k)) || k;
+    // an explicitly mapped column wins over a same-named leftover
+    if (!(target in out) || byHeader.has(norm(k))) out[target] = v;
+  }
+  return out;
+}
+
+function readWorkbook(file) {
+  const ext = path.extname(file.originalname || "").toLowerCase();
+  if (ext && !SUPPORTED.includes(ext)) return null;
+  // CSV as a buffer would be decoded as latin-1; read it as UTF-8 text instead
+  if (ext === ".csv" || file.mimetype === "text/csv") {
+    const text = file.buffer.toString("utf8").replace(/^\uFEFF/, "");
+    return xlsx.read(text, { type: "string" });
+  }
+  return xlsx.read(file.buffer, { type: "buffer" });
+}
+
+/**
+ * Parse an uploaded spreadsheet (xlsx, xls, csv or ods) into rows with our
+ * headers. Each row also carries `__sheet` and `__row` for reporting.
+ * @param {{ buffer: Buffer, originalname?: string, mimetype?: string }} file
+ * @param {{ sheet?: string, mapping?: Record<string, string> }} [opts]
+ *   sheet: a sheet name, "all", or empty for the first sheet
+ * @returns {{ rows: Record<string, any>[] } | { error: string }}
+ */
+export function readSheet(file, { sheet = "", mapping = {} } = {}) {
+  if (!file) return { error: "Spreadsheet file (file) is required" };
+
+  let wb;
+  try {
+    wb = readWorkbook(file);
+  } catch {
+    return { error: "The file could not be read as a spreadsheet" };
+  }
+  if (!wb)
+    return {
+      error: `Unsupported file type, expected one of: ${SUPPORTED.join(", ")}`,
+    };
+
+  let names;
+  if (sheet === "all") names = wb.SheetNames;
+  else if (sheet) {
+    if (!wb.SheetNames.includes(sheet))
+      return {
+        error: `Sheet "${sheet}" not found (sheets: ${wb.SheetNames.join(", ")})`,
+      };
+    names = [sheet];
+  } else names = [wb.SheetNames[0]];
+
+  const rows = [];
+  for (const name of names) {
+    const sheetRows = xlsx.utils
+      .sheet_to_json(wb.Sheets[name], { defval: "" })
+      .map((r) => applyMapping(r, mapping));
+    if (!sheetRows.length) continue;
+
+    const missing = REQUIRED_COLUMNS.filter((c) => !(c in sheetRows[0]));
+    if (missing.length)
+      return {
+        error: `Missing required columns in sheet "${name}": ${missing.join(", ")}`,
+      };
+
+    // header is sheet row 1
+    sheetRows.forEach((r, i) => rows.push({ ...r, __sheet: name, __row: i + 2 }));
+  }
+  if (!rows.length) return { error: "No rows in spreadsheet" };
+  return { rows };
+}
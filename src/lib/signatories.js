@@ -0,0 +1,55 @@
+import { findSignatories } from "../repositories/signatories.js";
+import { getStorage } from "./storage/index.js";
+
+/** Download a signatory's signature image from storage. Null if missing. */
+async function downloadImage(path) {
+  if (!path) return null;
+  return getStorage().get(path);
+}
+
+/**
+ * Parse `signatory_ids` from a request body: a JSON array or a
+ * comma-separated string. Order is the order they appear on the certificate.
+ */
+export function parseSignatoryIds(value) {
+  if (!value) return [];
+  if (Array.isArray(value)) return value.map(String);
+  const str = String(value).trim();
+  if (str.startsWith("[")) {
+    try {
+      return JSON.parse(str).map(String);
+    } catch {
+      return null;
+    }
+  }
+  return str
+    .split(",")
+    .map((s) => s.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Load signatories by id, keeping the requested order.
+ * @param {string[]} ids
+ * @param {{ institutionId?: string, activeOnly?: boolean, withImages?: boolean }} [opts]
+ * @returns {Promise<{ id: string, name: string, title: string, image?: Buffer | null }[] | null>}
+ *   null if any id is unknown (or inactive, with activeOnly)
+ */
+export async function loadSignatories(
+  ids,
+  { institutionId, activeOnly = false, withImages = false } = {}
+) {
+  if (!ids?.length) return [];
+
+  const rows = await findSignatories(ids, { institutionId });
+  const byId = new Map(rows.map((s) => [s.id, s]));
+  const out = [];
+  for (const id of ids) {
+    const s = byId.get(id);
+    if (!s || (activeOnly && !s.active)) return null;
+    const item = { id: s.id, name: s.name, title: s.title };
+    if (withImages) item.image = await downloadImage(s.signature_path);
+    out.push(item);
+  }
+  return out;
+}
@@ -0,0 +1,160 @@
+import {
+  createHash,
+  createPrivateKey,
+  createPublicKey,
+  generateKeyPairSync,
+  sign,
+  verify,
+} from "crypto";
+import { findActiveKey, insertKey, listPublicKeys } from "../repositories/signingKeys.js";
+
+// private keys are stored encrypted; keep this secret out of the DB
+const passphrase = () =>
+  process.env.SIGNING_KEY_PASSPHRASE || process.env.JWT_SECRET;
+
+const b64url = (buf) => Buffer.from(buf).toString("base64url");
+
+// fields that go into the signed payload, in a fixed order
+export const SIGNED_FIELDS = [
+  "certificate_id",
+  "full_name",
+  "program",
+  "certificate",
+  "cgpa",
+  "issue_date",
+  "institution",
+];
+
+/** Build the canonical payload object (fixed key order, strings only). */
+export function canonicalPayload(fields) {
+  const out = {};
+  for (const k of SIGNED_FIELDS) out[k] = String(fields[k] ?? "");
+  return out;
+}
+
+/** RFC 7638 thumbprint of an Ed25519 public key, used as the key id. */
+function thumbprint(publicKey) {
+  const { crv, kty, x } = publicKey.export({ format: "jwk" });
+  const json = JSON.stringify({ crv, kty, x });
+  return b64url(createHash("sha256").update(json).digest());
+}
+
+// institution id -> { kid, privateKey }
+const keyCache = new Map();
+
+async function createSigningKey(institutionId) {
+  const { publicKey, privateKey } = generateKeyPairSync("ed25519");
+  // false = another request created the active key first; use that one
+  return insertKey({
+    kid: thumbprint(publicKey),
+    institutionId,
+    publicKey: publicKey.export({ format: "pem", type: "spki" }),
+    privateKey: privateKey.export({
+      format: "pem",
+      type: "pkcs8",
+      cipher: "aes-256-cbc",
+      passphrase: passphrase(),
+    }),
+  });
+}
+
+/** Load (or lazily create) the institution's active signing key. */
+export async function getSigningKey(institutionId) {
+  if (keyCache.has(institutionId)) return keyCache.get(institutionId);
+
+  for (let attempt = 0; attempt < 2; attempt++) {
+    const data = await findActiveKey(institutionId);
+    if (data) {
+      const key = {
+        kid: data.kid,
+        privateKey: createPrivateKey({
+          key: data.private_key,
+          format: "pem",
+          passphrase: passphrase(),
+        }),
+      };
+      keyCache.set(institutionId, key);
+      return key;
+    }
+    await createSigningKey(institutionId);
+  }
+  throw new Error(`No signing key for institution ${institutionId}`);
+}
+
+/**
+ * Sign a certificate as a compact JWS (EdDSA) with the institution's key.
+ * The payload is the canonical payload, so anyone holding our JWKS can
+ * check it without calling us.
+ * @returns {Promise<{ kid: string, signature: string }>}
+ */
+export async function signCertificate(fields, institutionId) {
+  return signJws(canonicalPayload(fields), institutionId);
+}
+
+/**
+ * Sign any JSON payload as a compact JWS (EdDSA) with the institution's key.
+ * @returns {Promise<{ kid: string, signature: string }>}
+ */
+export async function signJws(payload, institutionId) {
+  const { kid, privateKey } = await getSigningKey(institutionId);
+  const header = b64url(JSON.stringify({ alg: "EdDSA", kid, typ: "JWT" }));
+  const body = b64url(JSON.stringify(payload));
+  const sig = sign(null, Buffer.from(`${header}.${body}`), privateKey);
+  return { kid, signature: `${header}.${body}.${b64url(sig)}` };
+}
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === "object" && !Array.isArray(value);
+
+/**
+ * Decode a compact JWS without checking it: { header, payload } or null.
+ * Null too unless header and payload are both JSON objects.
+ */
+export function decodeJws(jws) {
+  const [header, body, sig] = String(jws || "").trim().split(".");
+  if (!header || !body || !sig) return null;
+  try {
+    const decoded = {
+      header: JSON.parse(Buffer.from(header, "base64url").toString("utf8")),
+      payload: JSON.parse(Buffer.from(body, "base64url").toString("utf8")),
+    };
+    return isPlainObject(decoded.header) && isPlainObject(decoded.payload)
+      ? decoded
+      : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Check a compact JWS against a public key (PEM or KeyObject).
+ * Returns the decoded payload, or null if the signature does not match.
+ */
+export function verifyCertificateSignature(jws, publicKey) {
+  const [header, body, sig] = String(jws || "").split(".");
+  if (!header || !body || !sig) return null;
+  const okSig = verify(
+    null,
+    Buffer.from(`${header}.${body}`),
+    createPublicKey(publicKey),
+    Buffer.from(sig, "base64url")
+  );
+  if (!okSig) return null;
+  return JSON.parse(Buffer.from(body, "base64url").toString("utf8"));
+}
+
+/** Public keys as a JWKS. Retired keys stay listed so old certificates still verify. */
+export async function publicJwks({ institutionId } = {}) {
+  const keys = await listPublicKeys({ institutionId });
+  return {
+    keys: keys.map((k) => ({
+      ...createPublicKey(k.public_key).export({ format: "jwk" }),
+      kid: k.kid,
+      use: "sig",
+      alg: "EdDSA",
+      institution_id: k.institution_id,
+      institution: k.institution_name,
+      active: k.active,
+    })),
+  };
+}
@@ -0,0 +1,42 @@
+import { createSupabaseStorage } from "./supabase.js";
+import { createLocalStorage } from "./local.js";
+import { publicBase } from "../issuance.js";
+
+/**
+ * Pick the storage backend for PDFs and signature images by STORAGE_DRIVER:
+ *   supabase (default)  SUPABASE_BUCKET, SUPABASE_PUBLIC_BUCKET=false for private
+ *   local               STORAGE_DIR (default ./storage), STORAGE_SIGNING_SECRET
+ *
+ * Every driver has: put(path, buffer, { contentType }), get(path) -> Buffer,
+ * stream(path) -> Readable, signedUrl(path, seconds), publicUrl(path), delete(path).
+ * get/stream return null when the object doesn't exist.
+ */
+function createStorage() {
+  const driver = process.env.STORAGE_DRIVER || "supabase";
+  switch (driver) {
+    case "supabase":
+      return createSupabaseStorage({
+        bucket: process.env.SUPABASE_BUCKET || "certificates",
+        publicBucket: process.env.SUPABASE_PUBLIC_BUCKET !== "false",
+      });
+    case "local":
+      return createLocalStorage({
+        root: process.env.STORAGE_DIR || "./storage",
+        baseUrl: publicBase,
+        secret:
+          process.env.STORAGE_SIGNING_SECRET ||
+          process.env.JWT_SECRET ||
+          "dev-secret",
+      });
+    default:
+      throw new Error(`Unknown STORAGE_DRIVER: ${driver}`);
+  }
+}
+
+let driver;
+
+/** The configured driver, created on first use (after dotenv has loaded). */
+export function getStorage() {
+  if (!driver) driver = createStorage();
+  return driver;
+}
@@ -0,0 +1,83 @@
+import fs from "fs";
+import fsp from "fs/promises";
+import path from "path";
+import { createHmac, timingSafeEqual } from "crypto";
+
+/**
+ * Local-filesystem driver. Files live under `root`; downloads go through
+ * GET /files/<path>?expires=<unix>&sig=<hmac> served by routes/files.routes.js.
+ * `baseUrl` is a function so PUBLIC_BASE_URL is read when a link is made.
+ */
+export function createLocalStorage({ root, baseUrl, secret }) {
+  const rootDir = path.resolve(root);
+
+  // keep every object inside rootDir, whatever the path says
+  function resolve(objectPath) {
+    const full = path.resolve(rootDir, objectPath);
+    if (!full.startsWith(rootDir + path.sep))
+      throw new Error(`Invalid storage path: ${objectPath}`);
+    return full;
+  }
+
+  const sign = (objectPath, expires) =>
+    createHmac("sha256", secret)
+      .update(`${objectPath}:${expires}`)
+      .digest("base64url");
+
+  return {
+    name: "local",
+
+    async put(objectPath, buffer) {
+      const full = resolve(objectPath);
+      await fsp.mkdir(path.dirname(full), { recursive: true });
+      await fsp.writeFile(full, buffer);
+      return { path: objectPath };
+    },
+
+    async get(objectPath) {
+      try {
+        return await fsp.readFile(resolve(objectPath));
+      } catch {
+        return null;
+      }
+    },
+
+    async stream(objectPath) {
+      const full = resolve(objectPath);
+      try {
+        await fsp.access(full);
+      } catch {
+        return null;
+      }
+      return fs.createReadStream(full);
+    },
+
+    async signedUrl(objectPath, expiresIn = 60) {
+      const expires = Math.floor(Date.now() / 1000) + expiresIn;
+      const encoded = objectPath.split("/").map(encodeURIComponent).join("/");
+      return `${baseUrl()}/files/${encoded}?expires=${expires}&sig=${sign(
+        objectPath,
+        expires
+      )}`;
+    },
+
+    // local files are never public; callers sign a URL instead
+    publicUrl() {
+      return null;
+    },
+
+    async delete(objectPath) {
+      await fsp.rm(resolve(objectPath), { force: true });
+    },
+
+    /** Check a /files link's expiry and signature. */
+    verifySignedUrl(objectPath, expires, sig) {
+      if (!sig || !(Number(expires) > Date.now() / 1000)) return false;
+      const expected = Buffer.from(sign(objectPath, expires));
+      const given = Buffer.from(String(sig));
+      return (
+        expected.length === given.length && timingSafeEqual(expected, given)
+      );
+    },
+  };
+}
@@ -0,0 +1,60 @@
+import { Readable } from "stream";
+import { createClient } from "@supabase/supabase-js";
+
+/**
+ * Supabase Storage driver (SUPABASE_URL, SUPABASE_SERVICE_KEY). Only files
+ * live here; data is in Postgres. `publicBucket` decides whether publicUrl works.
+ */
+export function createSupabaseStorage({
+  bucket = "certificates",
+  publicBucket = true,
+} = {}) {
+  const supabase = createClient(
+    process.env.SUPABASE_URL,
+    process.env.SUPABASE_SERVICE_KEY, // keep server-only!
+    { auth: { persistSession: false } }
+  );
+  const from = () => supabase.storage.from(bucket);
+
+  async function get(path) {
+    const { data, error } = await from().download(path);
+    if (error || !data) return null;
+    return Buffer.from(await data.arrayBuffer());
+  }
+
+  return {
+    name: "supabase",
+
+    async put(path, buffer, { contentType = "application/octet-stream" } = {}) {
+      const { error } = await from().upload(path, buffer, {
+        contentType,
+        upsert: true,
+      });
+      if (error) throw error;
+      return { path };
+    },
+
+    get,
+
+    async stream(path) {
+      const buf = await get(path);
+      return buf ? Readable.from(buf) : null;
+    },
+
+    async signedUrl(path, expiresIn = 60) {
+      const { data, error } = await from().createSignedUrl(path, expiresIn);
+      if (error) throw error;
+      return data.signedUrl;
+    },
+
+    publicUrl(path) {
+      if (!publicBucket) return null;
+      return from().getPublicUrl(path).data.publicUrl;
+    },
+
+    async delete(path) {
+      const { error } = await from().remove([path]);
+      if (error) throw error;
+    },
+  };
+}
@@ -1,6 +0,0 @@
-import { createClient } from "@supabase/supabase-js";
-export const supabase = createClient(
-  process.env.SUPABASE_URL,
-  process.env.SUPABASE_SERVICE_KEY, // keep server-only!
-  { auth: { persistSession: false } }
-);
@@ -0,0 +1,197 @@
+/**
+ * A template describes the whole certificate page. Text supports
+ * `{{field}}` and `{{field|fallback}}` placeholders over the render payload.
+ *
+ * Positions (x / y) are numbers in points, or "<anchor>±<n>" strings:
+ *   x anchors: left, center, right      y anchors: top, bottom
+ * plus any `anchor` name recorded by an earlier block (its y position).
+ * Blocks without x/y flow down the page like normal text.
+ *
+ * Block types:
+ *   text  { text, font?, size?, color?, align?, x?, y?, width? }
+ *   line  { offset?, inset?, color?, width? }   horizontal rule under the flow
+ *   image { src, x?, y?, width, height?, align?, shape?: "circle", border? }
+ * Every block also takes: if (skip when that field is empty),
+ * moveDown (lines before), anchor; text and image take moveDownAfter.
+ */
+export const DEFAULT_TEMPLATE = {
+  page: { size: "A4", layout: "landscape", margins: 50 },
+  blocks: [
+    // top logo (centered)
+    {
+      type: "image",
+      src: "{{logo_url}}",
+      width: 110,
+      align: "center",
+      y: 28,
+      moveDownAfter: 5,
+    },
+    // institution header + decorative line
+    {
+      type: "text",
+      text: "{{institution_name|Institution}}",
+      font: "Helvetica-Bold",
+      size: 32,
+      align: "center",
+    },
+    { type: "line", offset: 8, inset: 100, anchor: "rule" },
+    {
+      type: "text",
+      text: "Certificate of Completion",
+      font: "Helvetica-Bold",
+      size: 24,
+      align: "center",
+      moveDown: 2,
+    },
+    // student photo (circle, left)
+    {
+      type: "image",
+      src: "{{image_url}}",
+      x: 70,
+      y: "rule+50",
+      width: 140,
+      height: 140,
+      shape: "circle",
+      border: { color: "#999", width: 2 },
+    },
+    // main content
+    {
+      type: "text",
+      text: "{{full_name|Recipient Name}}",
+      font: "Helvetica-Bold",
+      size: 28,
+      align: "center",
+      moveDown: 2.7,
+      moveDownAfter: 0.6,
+    },
+    {
+      type: "text",
+      if: "program",
+      text: "has successfully completed the program: {{program}}",
+      font: "Helvetica",
+      size: 18,
+      align: "center",
+    },
+    {
+      type: "text",
+      if: "certificate",
+      text: "Awarded: {{certificate}}",
+      font: "Helvetica",
+      size: 18,
+      align: "center",
+      moveDown: 0.4,
+    },
+    {
+      type: "text",
+      if: "cgpa",
+      text: "CGPA: {{cgpa}}",
+      font: "Helvetica",
+      size: 18,
+      align: "center",
+      moveDown: 0.4,
+    },
+    {
+      type: "text",
+      text: "Issued on: {{issue_date}}",
+      font: "Helvetica-Oblique",
+      size: 14,
+      align: "center",
+      moveDown: 1.2,
+    },
+    {
+      type: "text",
+      text: "Certificate ID: {{certificate_id}}",
+      font: "Helvetica-Oblique",
+      size: 14,
+      align: "center",
+    },
+  ],
+  qr: { x: "right-180", y: "bottom-180", size: 120, label: "Scan to verify" },
+  signatures: [
+    { label: "Dean", x: 120, y: "bottom-110" },
+    { label: "Registrar", x: "center", y: "bottom-110" },
+  ],
+};
+
+// sample data for template previews
+export const SAMPLE_PAYLOAD = {
+  institution_name: "Sample University",
+  full_name: "Jane Doe",
+  program: "Computer Science",
+  certificate: "Bachelor of Science",
+  cgpa: "4.52",
+  certificate_id: "00000000-0000-0000-0000-000000000000",
+  verify_url: "https://example.com/certificates/verify/sample",
+  issue_date: "2025-01-01",
+};
+
+const BLOCK_TYPES = ["text", "line", "image"];
+const POSITION = /^[a-z_]\w*\s*([+-]\s*\d+(\.\d+)?)?$/i;
+
+const isPos = (v) =>
+  v === undefined || Number.isFinite(v) || (typeof v === "string" && POSITION.test(v));
+
+// literal (non-placeholder) image sources must be links, never local paths
+const badSrc = (src) =>
+  typeof src !== "string" || (!src.includes("{{") && !/^https?:\/\//i.test(src));
+
+/**
+ * Check a template definition. Returns an error string, or null if usable.
+ * Anything not listed here falls back to the default layout's values.
+ */
+export function templateError(def) {
+  if (!def || typeof def !== "object" || Array.isArray(def))
+    return "definition must be an object";
+  if (def.page !== undefined && typeof def.page !== "object")
+    return "page must be an object";
+  if (def.fonts !== undefined) {
+    if (typeof def.fonts !== "object") return "fonts must be an object";
+    for (const [name, url] of Object.entries(def.fonts))
+      if (badSrc(url)) return `fonts.${name} must be an http(s) URL`;
+  }
+  if (def.background?.image !== undefined && badSrc(def.background.image))
+    return "background.image must be an http(s) URL or a placeholder";
+
+  if (!Array.isArray(def.blocks)) return "blocks must be an array";
+  for (const [i, b] of def.blocks.entries()) {
+    if (!BLOCK_TYPES.includes(b?.type))
+      return `blocks[${i}].type must be one of: ${BLOCK_TYPES.join(", ")}`;
+    if (!isPos(b.x) || !isPos(b.y))
+      return `blocks[${i}] x/y must be numbers or "<anchor>±<n>"`;
+    if (b.type === "text" && typeof b.text !== "string")
+      return `blocks[${i}].text is required`;
+    if (b.type === "image" && (badSrc(b.src) || !Number.isFinite(b.width)))
+      return `blocks[${i}] needs an http(s)/placeholder src and a width`;
+  }
+
+  if (def.qr && (!isPos(def.qr.x) || !isPos(def.qr.y)))
+    return 'qr x/y must be numbers or "<anchor>±<n>"';
+  if (def.signatures !== undefined) {
+    if (!Array.isArray(def.signatures)) return "signatures must be an array";
+    for (const [i, s] of def.signatures.entries())
+      if (!isPos(s?.x) || !isPos(s?.y))
+        return `signatures[${i}] x/y must be numbers or "<anchor>±<n>"`;
+  }
+  return null;
+}
+
+/** The images a template fetches: [{ at: "blocks[0].src", src }], unfilled. */
+export function imageSources(def) {
+  const sources = (def.blocks || []).flatMap((b, i) =>
+    b?.type === "image" ? [{ at: `blocks[${i}].src`, src: b.src }] : []
+  );
+  if (def.background?.image)
+    sources.unshift({ at: "background.image", src: def.background.image });
+  return sources;
+}
+
+/** Fill `{{field}}` / `{{field|fallback}}` placeholders from the payload. */
+export function fill(text, payload) {
+  return String(text).replace(
+    /\{\{\s*(\w+)\s*(?:\|([^}]*))?\}\}/g,
+    (_, field, fallback = "") => {
+      const v = payload[field];
+      return v === undefined || v === null || v === "" ? fallback : String(v);
+    }
+  );
+}
@@ -0,0 +1,44 @@
+import { randomBytes } from "crypto";
+import sql from "../db/db.js";
+import { hashToken } from "../utils/tokens.js";
+
+// One-time tokens mailed to users (password reset, email verification).
+// Only a hash is stored; a token works once and only until it expires.
+
+export const TOKEN_TTL_MINUTES = {
+  password_reset: 60,
+  email_verification: 60 * 24 * 3,
+};
+
+/**
+ * Issue a token for `purpose`. Earlier unused tokens for the same purpose
+ * stop working, so only the most recent email's link is valid.
+ */
+export async function createUserToken(userId, purpose) {
+  const token = randomBytes(32).toString("base64url");
+  await sql.begin(async (tx) => {
+    await tx`
+      update user_tokens set used_at = now()
+      where user_id = ${userId} and purpose = ${purpose} and used_at is null
+    `;
+    await tx`
+      insert into user_tokens (token_hash, user_id, purpose, expires_at)
+      values (${hashToken(token)}, ${userId}, ${purpose},
+              now() + make_interval(mins => ${TOKEN_TTL_MINUTES[purpose]}))
+    `;
+  });
+  return token;
+}
+
+/** Use up a token. Returns its user id, or null if unknown, used or expired. */
+export async function consumeUserToken(token, purpose) {
+  const [row] = await sql`
+    update user_tokens set used_at = now()
+    where token_hash = ${hashToken(token)}
+      and purpose = ${purpose}
+      and used_at is null
+      and expires_at > now()
+    returning user_id
+  `;
+  return row?.user_id ?? null;
+}
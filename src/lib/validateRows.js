@@ -0,0 +1,116 @@
+import { fetchBuffer } from "./certificatePdf.js";
+import { publicUrlError } from "./publicUrl.js";
+import { eachLimit } from "../utils/concurrency.js";
+
+const str = (v) => String(v ?? "").trim();
+const EMAIL = /^[^@\s]+@[^@\s]+\.[^@\s]+$/;
+
+/** Whether an Email cell is an address certificates can be sent to. */
+export const isEmail = (value) => EMAIL.test(str(value));
+
+// pdfkit can only embed PNG and JPEG
+function isPngOrJpeg(buf) {
+  return (
+    (buf[0] === 0x89 && buf[1] === 0x50 && buf[2] === 0x4e && buf[3] === 0x47) ||
+    (buf[0] === 0xff && buf[1] === 0xd8)
+  );
+}
+
+const isHttp = (url) => /^https?:\/\//i.test(url);
+
+// at most this many distinct image links are fetched per preview
+export const IMAGE_CHECK_LIMIT = 20;
+
+/** Fetch an http(s) "Image Url". Returns { error } / { warning } / {} if it's fine. */
+async function checkImageUrl(url) {
+  const unsafe = await publicUrlError(url);
+  if (unsafe) return { error: `Image Url ${unsafe}` };
+  // a redirect could lead anywhere, so fetchBuffer doesn't follow it
+  const buf = await fetchBuffer(url, { timeoutMs: 5000 });
+  if (!buf)
+    return {
+      warning: "Image Url could not be fetched; the photo will be left out",
+    };
+  // renderCertificatePDF would throw on this one
+  if (!isPngOrJpeg(buf)) return { error: "Image Url is not a PNG or JPEG" };
+  return {};
+}
+
+/**
+ * Check parsed sheet rows before issuing anything.
+ * Errors would produce a wrong certificate; warnings produce a usable one
+ * that is probably not what the registrar wanted.
+ * @param {Record<string, any>[]} rows  rows from readSheet
+ * Image links are only looked at here; checkImages fetches them.
+ * @param {{ cgpaMax?: number }} [opts]
+ * @returns {{ sheet: string, row: number, full_name: string, errors: string[], warnings: string[] }[]}
+ */
+export function validateRows(rows, { cgpaMax = 5 } = {}) {
+  const seen = new Map(); // name|program|certificate -> where we saw it first
+  const multiSheet = new Set(rows.map((r) => r.__sheet)).size > 1;
+
+  const report = rows.map((r, i) => {
+    const sheet = r.__sheet;
+    const row = r.__row ?? i + 2; // header is sheet row 1
+    const errors = [];
+    const warnings = [];
+    const fullName = str(r["Full Name"]);
+
+    if (!fullName) errors.push("Full Name is blank");
+    if (!str(r["Program"])) errors.push("Program is blank");
+    if (!str(r["Certificate"])) errors.push("Certificate is blank");
+
+    const cgpa = str(r["CGPA"]);
+    if (!cgpa) errors.push("CGPA is blank");
+    else if (!Number.isFinite(Number(cgpa)))
+      errors.push(`CGPA "${cgpa}" is not a number`);
+    else if (Number(cgpa) < 0 || Number(cgpa) > cgpaMax)
+      errors.push(`CGPA ${cgpa} is outside 0–${cgpaMax}`);
+
+    const email = str(r["Email"]);
+    if (email && !isEmail(email))
+      warnings.push(`Email "${email}" is not a valid address; it won't be emailed`);
+
+    const imageUrl = str(r["Image Url"]);
+    if (imageUrl && !isHttp(imageUrl)) warnings.push("Image Url is not an http(s) link");
+
+    if (fullName) {
+      const key = [fullName, r["Program"], r["Certificate"]]
+        .map((v) => str(v).toLowerCase())
+        .join("|");
+      if (seen.has(key)) warnings.push(`Duplicate of ${seen.get(key)}`);
+      else seen.set(key, multiSheet ? `row ${row} in "${sheet}"` : `row ${row}`);
+    }
+
+    return { sheet, row, full_name: fullName, errors, warnings };
+  });
+
+  return report;
+}
+
+/**
+ * Fetch the rows' http(s) image links and add what's wrong with them to
+ * `report` (from validateRows). Only the first IMAGE_CHECK_LIMIT distinct
+ * links are fetched, a few at a time; internal addresses are refused
+ * without a request.
+ * @returns {Promise<{ checked: number, skipped: number }>} distinct links
+ */
+export async function checkImages(rows, report) {
+  const byUrl = new Map(); // url -> row indexes
+  rows.forEach((r, i) => {
+    const url = str(r["Image Url"]);
+    if (isHttp(url)) byUrl.set(url, [...(byUrl.get(url) || []), i]);
+  });
+  const urls = [...byUrl.keys()];
+  const checked = urls.slice(0, IMAGE_CHECK_LIMIT);
+
+  await eachLimit(checked, 5, async (url) => {
+    const { error, warning } = await checkImageUrl(url);
+    for (const i of byUrl.get(url)) {
+      if (error) report[i].errors.push(error);
+      if (warning) report[i].warnings.push(warning);
+    }
+  });
+
+  return { checked: checked.length, skipped: urls.length - checked.length };
+}
@@ -0,0 +1,144 @@
+import { findCertificate, findCertificatesByIds } from "../repositories/certificates.js";
+import { insertVerificationEvents } from "../repositories/verificationEvents.js";
+
+// columns the verify page and the JSON API read
+const VERIFY_COLUMNS = [
+  "certificate_id",
+  "full_name",
+  "program",
+  "certificate",
+  "cgpa",
+  "institution_id",
+  "institution_name",
+  "created_at",
+  "pdf_url",
+  "pdf_path",
+  "verify_url",
+  "status",
+  "status_reason",
+  "status_changed_at",
+  "logo_url",
+  "signatories",
+  "signature",
+  "signing_kid",
+  "version",
+  "reissued_at",
+];
+
+/** Load one certificate for verification, or null. */
+export const findCertificateToVerify = (certificateId) =>
+  findCertificate(certificateId, { columns: VERIFY_COLUMNS });
+
+/**
+ * Load certificates for verification by id. Ids that aren't UUIDs can't
+ * exist, so they're never found.
+ * @returns {Promise<Map<string, object>>} certificate_id -> row
+ */
+export async function findCertificates(ids) {
+  const rows = await findCertificatesByIds(ids, { columns: VERIFY_COLUMNS });
+  return new Map(rows.map((c) => [c.certificate_id, c]));
+}
+
+/** The public verification result for one certificate row. */
+export function verificationResult(cert) {
+  const status = cert.status || "valid";
+  return {
+    certificate_id: cert.certificate_id,
+    found: true,
+    status,
+    valid: status === "valid",
+    holder: cert.full_name,
+    program: cert.program || null,
+    award: cert.certificate || null,
+    cgpa: cert.cgpa || null,
+    issue_date: cert.created_at ? new Date(cert.created_at).toISOString().slice(0, 10) : null,
+    institution: { id: cert.institution_id, name: cert.institution_name },
+    // set while the certificate is revoked or suspended
+    revocation:
+      status === "valid"
+        ? null
+        : {
+            status,
+            reason: cert.status_reason || null,
+            changed_at: cert.status_changed_at || null,
+          },
+    // a correction keeps the id; earlier PDFs of it are superseded
+    version: cert.version || 1,
+    reissued_at: cert.reissued_at || null,
+    signatories: (cert.signatories || []).map(({ name, title }) => ({ name, title })),
+    signature: cert.signature || null,
+    signing_kid: cert.signing_kid || null,
+    verify_url: cert.verify_url || null,
+  };
+}
+
+export const notFoundResult = (certificateId) => ({
+  certificate_id: certificateId,
+  found: false,
+});
+
+// "Adaeze  O. Nwosu" and "nwosu adaeze o" are the same name
+const nameTokens = (name) =>
+  String(name ?? "")
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s]/gu, " ")
+    .split(/\s+/)
+    .filter(Boolean)
+    .sort()
+    .join(" ");
+
+/**
+ * Does a claimed name match the holder's? Ignores case, accents,
+ * punctuation, extra spaces and word order.
+ */
+export function namesMatch(claimed, holder) {
+  const a = nameTokens(claimed);
+  return a !== "" && a === nameTokens(holder);
+}
+
+// keep the network, drop the host: 203.0.113.42 -> 203.0.113.0
+function coarseIp(ip) {
+  if (!ip) return null;
+  const v4 = ip.replace(/^::ffff:/, "");
+  if (/^\d+\.\d+\.\d+\.\d+$/.test(v4)) return v4.replace(/\.\d+$/, ".0");
+  const groups = ip.split("::")[0].split(":").filter(Boolean).slice(0, 3);
+  return `${groups.join(":")}::`;
+}
+
+/**
+ * Coarse client info for a verification event. req.ip honours the app's
+ * trust proxy setting (TRUST_PROXY), so X-Forwarded-For is only believed
+ * from a proxy we run.
+ */
+export function clientInfo(req) {
+  return {
+    client_ip: coarseIp(req.ip),
+    user_agent: String(req.headers["user-agent"] || "").slice(0, 300) || null,
+  };
+}
+
+/**
+ * Record verification attempts. Never throws: a failed insert must not
+ * turn a successful verification into an error.
+ * @param {{ certificateId: string, cert?: object | null }[]} attempts
+ * @param {"qr" | "json" | "bulk" | "credential"} channel
+ * @param {{ client_ip: string | null, user_agent: string | null, requested_by?: string }} client
+ *   requested_by: the institution that made a signed-in (bulk) check
+ */
+export async function recordVerifications(attempts, channel, client) {
+  const rows = attempts.map(({ certificateId, cert }) => ({
+    certificate_id: String(certificateId).slice(0, 200),
+    institution_id: cert?.institution_id || null,
+    found: !!cert,
+    status: cert ? cert.status || "valid" : null,
+    channel,
+    ...client,
+  }));
+  try {
+    await insertVerificationEvents(rows);
+  } catch (e) {
+    console.error("Failed to record verification events:", e.message || e);
+  }
+}
@@ -0,0 +1,208 @@
+import { createHmac, randomBytes } from "crypto";
+import { publicUrlError } from "./publicUrl.js";
+import { eachLimit } from "../utils/concurrency.js";
+import {
+  claimDelivery,
+  dueDeliveryIds,
+  findDelivery,
+  insertDeliveries,
+  recordEndpointFailure,
+  recordEndpointSuccess,
+  requeueInterruptedDeliveries,
+  subscribedEndpoints,
+  updateDelivery,
+} from "../repositories/webhooks.js";
+
+// Outbound webhooks. An event is written as one delivery row per subscribed
+// endpoint, then a worker POSTs it, retrying with exponential backoff.
+// The rows are the delivery log, and pending ones survive a restart.
+// After WEBHOOK_DISABLE_AFTER deliveries in a row fail for good, the
+// endpoint is disabled until an admin turns it back on.
+
+export const WEBHOOK_EVENTS = {
+  "certificate.issued": "A certificate was generated",
+  "certificate.status_changed": "A certificate was revoked, suspended or reinstated",
+  "certificate.reissued": "A certificate was corrected and reissued",
+  "certificate.error_reported": "A recipient reported an error on their certificate",
+  "batch.completed": "A generation job finished",
+};
+
+const MAX_ATTEMPTS = Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 8;
+const DISABLE_AFTER = Number(process.env.WEBHOOK_DISABLE_AFTER) || 5;
+const BASE_DELAY_MS = 30 * 1000; // 30s, 1m, 2m, 4m ... between attempts
+const TIMEOUT_MS = 10 * 1000;
+const POLL_MS = 15 * 1000;
+const CONCURRENCY = 5;
+
+export const newWebhookSecret = () => `whsec_${randomBytes(24).toString("base64url")}`;
+
+/**
+ * Signature header for a delivery body: `t=<unix seconds>,v1=<hex>`, where
+ * v1 = HMAC-SHA256(secret, "<t>.<body>"). Receivers recompute it and
+ * reject old timestamps to stop replays.
+ */
+export function signWebhook(secret, body, timestamp = Math.floor(Date.now() / 1000)) {
+  const mac = createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+  return `t=${timestamp},v1=${mac}`;
+}
+
+/**
+ * Queue `event` for every active endpoint of the institution subscribed to it.
+ * Never throws: webhooks must not break issuance or status changes.
+ */
+export async function emitEvent(institutionId, event, data) {
+  try {
+    const targets = await subscribedEndpoints(institutionId, event);
+    if (!targets.length) return;
+
+    const occurredAt = new Date().toISOString();
+    await insertDeliveries(
+      targets.map((e) => ({
+        endpoint_id: e.id,
+        institution_id: institutionId,
+        event,
+        payload: { event, occurred_at: occurredAt, data },
+        next_attempt_at: occurredAt,
+      }))
+    );
+    kick();
+  } catch (e) {
+    console.error(`Failed to queue webhook ${event}:`, e.message || e);
+  }
+}
+
+/** Queue a fresh copy of a logged delivery. Returns the new row, or null. */
+export async function redeliver(deliveryId, institutionId) {
+  const orig = await findDelivery(deliveryId, institutionId);
+  if (!orig) return null;
+
+  const [delivery] = await insertDeliveries([
+    {
+      endpoint_id: orig.endpoint_id,
+      institution_id: orig.institution_id,
+      event: orig.event,
+      payload: orig.payload,
+      next_attempt_at: new Date(),
+      redelivery_of: deliveryId,
+    },
+  ]);
+  kick();
+  return delivery;
+}
+
+/** POST one delivery. Returns { ok, statusCode?, error? }. */
+async function send(endpoint, delivery) {
+  // checked again on every send: the host may resolve somewhere else now
+  const unsafe = await publicUrlError(endpoint.url);
+  if (unsafe) return { ok: false, error: `Endpoint URL ${unsafe}` };
+
+  const body = JSON.stringify({ id: delivery.id, ...delivery.payload });
+  try {
+    const resp = await fetch(endpoint.url, {
+      method: "POST",
+      headers: {
+        "content-type": "application/json",
+        "user-agent": "certificates-webhooks/1",
+        "x-webhook-id": delivery.id,
+        "x-webhook-event": delivery.event,
+        "x-webhook-signature": signWebhook(endpoint.secret, body),
+      },
+      body,
+      redirect: "manual",
+      signal: AbortSignal.timeout(TIMEOUT_MS),
+    });
+    // drain so the connection can be reused
+    await resp.arrayBuffer().catch(() => {});
+    return resp.ok
+      ? { ok: true, statusCode: resp.status }
+      : { ok: false, statusCode: resp.status, error: `HTTP ${resp.status}` };
+  } catch (e) {
+    return { ok: false, error: e.name === "TimeoutError" ? "Timed out" : e.message };
+  }
+}
+
+async function attempt(id) {
+  // claim it, so an overlapping run doesn't send it twice
+  const claimed = await claimDelivery(id);
+  if (!claimed) return;
+
+  const { endpoint } = claimed;
+  const attempts = (claimed.attempts || 0) + 1;
+  const result = endpoint?.active
+    ? await send(endpoint, claimed)
+    : { ok: false, error: "Endpoint disabled" };
+
+  const update = {
+    attempts,
+    last_attempt_at: new Date(),
+    last_status_code: result.statusCode ?? null,
+    last_error: result.ok ? null : result.error,
+  };
+  if (result.ok)
+    Object.assign(update, {
+      status: "succeeded",
+      delivered_at: update.last_attempt_at,
+    });
+  else if (attempts >= MAX_ATTEMPTS || !endpoint?.active)
+    update.status = "failed";
+  else
+    Object.assign(update, {
+      status: "pending",
+      next_attempt_at: new Date(Date.now() + BASE_DELAY_MS * 2 ** (attempts - 1)),
+    });
+
+  await updateDelivery(claimed.id, update).catch((e) =>
+    console.error(`Webhook delivery ${claimed.id} update failed:`, e)
+  );
+  try {
+    if (result.ok) await recordEndpointSuccess(claimed.endpoint_id);
+    // deliveries to an endpoint that's already off don't count against it
+    else if (update.status === "failed" && endpoint?.active)
+      await recordEndpointFailure(claimed.endpoint_id, DISABLE_AFTER);
+  } catch (e) {
+    console.error(`Webhook endpoint ${claimed.endpoint_id} update failed:`, e);
+  }
+}
+
+let running = false;
+let again = false;
+
+/** Send every delivery that's due, until none are left. */
+async function runDue() {
+  if (running) {
+    again = true;
+    return;
+  }
+  running = true;
+  try {
+    do {
+      again = false;
+      const ids = await dueDeliveryIds(100);
+      await eachLimit(ids, CONCURRENCY, (id) => attempt(id));
+      if (ids.length === 100) again = true;
+    } while (again);
+  } catch (e) {
+    console.error("Webhook worker error:", e.message || e);
+  } finally {
+    running = false;
+  }
+}
+
+const kick = () => setImmediate(runDue);
+
+let timer;
+
+/**
+ * Start the delivery worker. Deliveries left "delivering" by a crash are
+ * put back to pending first. Returns how many deliveries are waiting.
+ */
+export async function startWebhookWorker() {
+  const count = await requeueInterruptedDeliveries();
+
+  if (!timer) {
+    timer = setInterval(runDue, POLL_MS);
+    timer.unref();
+  }
+  kick();
+  return count;
+}
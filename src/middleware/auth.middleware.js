@@ -1,14 +1,27 @@
 import { verifyToken } from "../utils/jwt.js";
+import { getSessionUser } from "../lib/sessions.js";
+import { forbidden, unauthorized } from "../utils/responses.js";
 
-export function requireAuth(req, res, next) {
+export async function requireAuth(req, res, next) {
   const hdr = req.headers.authorization || "";
   const token = hdr.startsWith("Bearer ") ? hdr.slice(7) : null;
-  if (!token) return res.status(401).json({ error: "Missing token" });
+  if (!token) return unauthorized(res, "Missing token");
 
+  let payload;
   try {
-    req.user = verifyToken(token);
-    next();
+    payload = verifyToken(token);
   } catch {
-    return res.status(401).json({ error: "Invalid token" });
+    return unauthorized(res, "Invalid token", { code: "invalid_token" });
   }
+  // recipient portal tokens are only good for /portal
+  if (payload.aud === "portal")
+    return unauthorized(res, "Invalid token", { code: "invalid_token" });
+  // tokens without a session (or from a signed-out one) are refused
+  const current = await getSessionUser(payload.sid);
+  if (!current)
+    return unauthorized(res, "Session expired, sign in again", { code: "session_expired" });
+  if (!current.active)
+    return forbidden(res, "Account deactivated", { code: "account_deactivated" });
+  req.user = { ...payload, type: current.type };
+  next();
 }
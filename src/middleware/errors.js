@@ -0,0 +1,34 @@
+import multer from "multer";
+import { notFound, sendError, serverError } from "../utils/responses.js";
+
+/** Requests no route matched. */
+export function routeNotFound(req, res) {
+  return notFound(res, `No route for ${req.method} ${req.path}`);
+}
+
+/**
+ * The last middleware: anything a handler throws (or passes to next) ends
+ * up here. Malformed bodies and rejected uploads are the client's fault;
+ * everything else is logged with the request id and answered with a bare 500.
+ * (Express knows it by its four arguments, so `next` stays.)
+ */
+export function errorHandler(err, req, res, next) {
+  // a streamed response that already started can only be cut short
+  if (res.headersSent) return res.destroy(err);
+
+  // express.json()
+  if (err.type === "entity.parse.failed")
+    return sendError(res, 400, "Request body is not valid JSON", { code: "invalid_json" });
+  if (err.type === "entity.too.large")
+    return sendError(res, 413, "Request body is too large");
+
+  if (err instanceof multer.MulterError)
+    return sendError(res, err.code === "LIMIT_FILE_SIZE" ? 413 : 400, err.message, {
+      code: "invalid_upload",
+      details: err.field
+        ? [{ location: "body", field: err.field, message: err.message }]
+        : undefined,
+    });
+
+  return serverError(res, err);
+}
@@ -0,0 +1,58 @@
+import { getRateLimitStore } from "../lib/rateLimit/index.js";
+import { tooManyRequests } from "../utils/responses.js";
+
+const UNITS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+/** "20/15m" -> { limit: 20, windowMs: 900000 }; "off" -> null. */
+function parseLimit(value) {
+  if (value === "off") return null;
+  const m = /^(\d+)\s*\/\s*(\d*)\s*([smhd])$/.exec(String(value).trim());
+  if (!m || !Number(m[1])) throw new Error(`Invalid rate limit: ${value}`);
+  return { limit: Number(m[1]), windowMs: (Number(m[2]) || 1) * UNITS[m[3]] };
+}
+
+/**
+ * Limit how often one client (by default one IP) can call a route.
+ * `name` also names the override, RATE_LIMIT_<NAME>=<count>/<window>
+ * (e.g. RATE_LIMIT_LOGIN_IP=10/5m, or "off"). `key(req)` picks what is
+ * counted; returning nothing lets the request through uncounted.
+ *
+ * Over the limit: 429 with Retry-After. If the store fails, requests are
+ * let through rather than locking everyone out.
+ */
+export function rateLimit(name, fallback, key = (req) => req.ip) {
+  let config;
+  return async (req, res, next) => {
+    if (config === undefined)
+      config = parseLimit(process.env[`RATE_LIMIT_${name.toUpperCase()}`] || fallback);
+    if (!config) return next();
+    const id = key(req);
+    if (!id) return next();
+
+    let count, resetAt;
+    try {
+      ({ count, resetAt } = await getRateLimitStore().hit(`${name}:${id}`, config.windowMs));
+    } catch (e) {
+      console.error(`Rate limit ${name} failed:`, e.message || e);
+      return next();
+    }
+
+    const retryAfter = Math.max(1, Math.ceil((resetAt.getTime() - Date.now()) / 1000));
+    res.setHeader("RateLimit-Limit", config.limit);
+    res.setHeader("RateLimit-Remaining", Math.max(0, config.limit - count));
+    res.setHeader("RateLimit-Reset", retryAfter);
+    if (count <= config.limit) return next();
+
+    res.setHeader("Retry-After", retryAfter);
+    return tooManyRequests(res, `Too many requests, try again in ${retryAfter} seconds`, {
+      code: "rate_limited",
+      details: { retryAfter },
+    });
+  };
+}
+
+/** Clear a client's count, e.g. when an admin unlocks an account. */
+export const resetRateLimit = (name, id) => getRateLimitStore().reset(`${name}:${id}`);
+
+// the address a sign-in or reset is for, as the per-account key
+export const bodyEmail = (req) => String(req.body?.email ?? "").trim().toLowerCase() || null;
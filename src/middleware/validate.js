@@ -0,0 +1,55 @@
+import { parse } from "../utils/schema.js";
+import { badRequest } from "../utils/responses.js";
+
+const LOCATIONS = ["params", "query", "body"];
+
+/**
+ * Check a request against schemas for its params, query and body (see
+ * utils/schema.js) before the handler runs:
+ *   router.post("/", validate({ body: { email: v.email() } }), handler)
+ * The handler sees the cleaned values (trimmed, numbers as numbers,
+ * defaults filled in). Otherwise the answer is 400 validation_failed with
+ * one entry per problem in `details`.
+ */
+export function validate(schemas) {
+  return (req, res, next) => {
+    const details = [];
+    const values = {};
+    for (const location of LOCATIONS) {
+      if (!schemas[location]) continue;
+      const { value, issues } = parse(schemas[location], req[location]);
+      if (issues) details.push(...issues.map((i) => ({ location, ...i })));
+      else values[location] = value;
+    }
+    if (details.length) {
+      const [first] = details;
+      const more = details.length > 1 ? ` (and ${details.length - 1} more)` : "";
+      return badRequest(res, `${first.message}${more}`, {
+        code: "validation_failed",
+        details,
+      });
+    }
+
+    if (values.params) Object.assign(req.params, values.params);
+    if (values.body) req.body = values.body;
+    // req.query is a getter in Express 5
+    if (values.query)
+      Object.defineProperty(req, "query", {
+        value: values.query,
+        writable: true,
+        configurable: true,
+        enumerable: true,
+      });
+    next();
+  };
+}
+
+/**
+ * The same 400 for a field problem a schema can't express (an uploaded
+ * file, fields that depend on each other). `message` names the field.
+ */
+export const invalidField = (res, field, message, location = "body") =>
+  badRequest(res, message, {
+    code: "validation_failed",
+    details: [{ location, field, message }],
+  });
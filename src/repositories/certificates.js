@@ -0,0 +1,325 @@
+import sql from "../db/db.js";
+import { UUID } from "../utils/ids.js";
+
+// Certificates: issuing, lookups, the filtered list and the email queue.
+// Ids a caller typed in (URLs, bodies) may not be UUIDs; those can't match
+// a row and would make Postgres reject the query, so they find nothing.
+
+// user text in an ilike pattern matches literally
+const likeText = (value) => String(value).replace(/[%_\\]/g, "\\$&");
+
+const and = (conditions) =>
+  conditions.reduce((acc, c) => sql`${acc} and ${c}`, sql`true`);
+
+const select = (columns) => (columns ? sql(columns) : sql`*`);
+
+/** Insert a new certificate. Null if one with its id already exists. */
+export async function insertCertificate(row) {
+  const [cert] = await sql`
+    insert into certificates ${sql({ ...row, signatories: sql.json(row.signatories ?? []) })}
+    on conflict (certificate_id) do nothing
+    returning *
+  `;
+  return cert ?? null;
+}
+
+/**
+ * One certificate by id, or null. `institutionId` / `recipientEmail` scope
+ * the lookup to its owner; `columns` picks what is returned.
+ * @param {string} certificateId
+ * @param {{ institutionId?: string, recipientEmail?: string, columns?: string[] }} [opts]
+ */
+export async function findCertificate(
+  certificateId,
+  { institutionId, recipientEmail, columns } = {}
+) {
+  if (!UUID.test(String(certificateId))) return null;
+  const [cert] = await sql`
+    select ${select(columns)} from certificates
+    where certificate_id = ${certificateId}
+      ${institutionId ? sql`and institution_id = ${institutionId}` : sql``}
+      ${recipientEmail ? sql`and recipient_email = ${recipientEmail}` : sql``}
+  `;
+  return cert ?? null;
+}
+
+/** Certificates by id, in no particular order. Unknown ids are left out. */
+export async function findCertificatesByIds(ids, { institutionId, columns } = {}) {
+  const wanted = [...new Set(ids.map(String).filter((id) => UUID.test(id)))];
+  if (!wanted.length) return [];
+  return sql`
+    select ${select(columns)} from certificates
+    where certificate_id in ${sql(wanted)}
+      ${institutionId ? sql`and institution_id = ${institutionId}` : sql``}
+  `;
+}
+
+/** Conditions for the list filters (see lib/certificateQuery.js). */
+function filterConditions(filters = {}) {
+  const where = [];
+  const { q } = filters;
+  if (q) {
+    const like = `%${likeText(q)}%`;
+    where.push(sql`(
+      full_name ilike ${like} or program ilike ${like} or certificate ilike ${like}
+      ${UUID.test(q) ? sql`or certificate_id = ${q}` : sql``}
+    )`);
+  }
+  if (filters.program) where.push(sql`program ilike ${likeText(filters.program)}`);
+  if (filters.certificate)
+    where.push(sql`certificate ilike ${likeText(filters.certificate)}`);
+  if (filters.status) where.push(sql`status in ${sql(filters.status)}`);
+  if (filters.email_status === "none") where.push(sql`email_status is null`);
+  else if (filters.email_status === "queued")
+    where.push(sql`email_status in ('queued', 'sending')`);
+  else if (filters.email_status) where.push(sql`email_status = ${filters.email_status}`);
+  if (filters.cgpa_min !== undefined) where.push(sql`cgpa_num >= ${filters.cgpa_min}`);
+  if (filters.cgpa_max !== undefined) where.push(sql`cgpa_num <= ${filters.cgpa_max}`);
+  if (filters.issued_from)
+    where.push(sql`created_at >= ${new Date(`${filters.issued_from}T00:00:00Z`)}`);
+  if (filters.issued_to) {
+    const next = new Date(`${filters.issued_to}T00:00:00Z`);
+    next.setUTCDate(next.getUTCDate() + 1);
+    where.push(sql`created_at < ${next}`);
+  }
+  for (const k of ["created_by", "api_key_id", "job_id"])
+    if (filters[k]) where.push(sql`${sql(k)} = ${filters[k]}`);
+  return where;
+}
+
+/** Order by the sort column (empty values last), then certificate_id. */
+function orderBy({ column, ascending }) {
+  const dir = ascending ? sql`asc` : sql`desc`;
+  return sql`order by ${sql(column)} ${dir} nulls last, certificate_id ${dir}`;
+}
+
+/** Rows after the cursor row [value, certificate_id] in orderBy's order. */
+function afterCursor({ column, ascending }, [value, id]) {
+  const op = ascending ? sql`>` : sql`<`;
+  const col = sql(column);
+  if (value === null) return sql`(${col} is null and certificate_id ${op} ${id})`;
+  return sql`(
+    ${col} ${op} ${value}
+    or (${col} = ${value} and certificate_id ${op} ${id})
+    or ${col} is null
+  )`;
+}
+
+/**
+ * A page of an institution's certificates by offset, in sort order.
+ * @param {string} institutionId
+ * @param {{ filters?: object, sort: object, offset?: number, limit?: number, columns?: string[] }} opts
+ */
+export function listCertificates(
+  institutionId,
+  { filters, sort, offset = 0, limit = null, columns }
+) {
+  return sql`
+    select ${select(columns)} from certificates
+    where institution_id = ${institutionId} and ${and(filterConditions(filters))}
+    ${orderBy(sort)}
+    limit ${limit} offset ${offset}
+  `;
+}
+
+/** How many of an institution's certificates match the filters. */
+export async function countCertificates(institutionId, filters = {}, { since } = {}) {
+  const [{ count }] = await sql`
+    select count(*)::int as count from certificates
+    where institution_id = ${institutionId} and ${and(filterConditions(filters))}
+      ${since ? sql`and created_at >= ${since}` : sql``}
+  `;
+  return count;
+}
+
+/**
+ * A page of certificates after a cursor (keyset pagination): every page
+ * costs the same however deep it is.
+ * @returns {Promise<{ items: object[], next: [any, string] | null }>} next is
+ *   the cursor of the last item when more rows follow
+ */
+export async function pageCertificates(
+  institutionId,
+  { filters, sort, after = null, limit, columns }
+) {
+  // the sort value travels as text: a timestamp as a JS Date would lose
+  // its microseconds and skip rows that differ only in those
+  const rows = await sql`
+    select ${select(columns)}, ${sql(sort.column)}::text as sort_value__
+    from certificates
+    where institution_id = ${institutionId} and ${and(filterConditions(filters))}
+      ${after ? sql`and ${afterCursor(sort, after)}` : sql``}
+    ${orderBy(sort)}
+    limit ${limit + 1}
+  `;
+  const items = rows.slice(0, limit).map(({ sort_value__, ...row }) => row);
+  const last = rows[limit - 1];
+  return {
+    items,
+    next: rows.length > limit ? [last.sort_value__, last.certificate_id] : null,
+  };
+}
+
+/**
+ * Move a certificate to a new status, only if it's still `fromStatus`.
+ * Returns the updated row, or null if someone changed it first.
+ */
+export async function updateCertificateStatus(
+  certificateId,
+  institutionId,
+  fromStatus,
+  { status, reason, changedBy }
+) {
+  const [cert] = await sql`
+    update certificates set
+      status = ${status},
+      status_reason = ${reason},
+      status_changed_at = now(),
+      status_changed_by = ${changedBy}
+    where certificate_id = ${certificateId}
+      and institution_id = ${institutionId}
+      and status = ${fromStatus}
+    returning *
+  `;
+  return cert ?? null;
+}
+
+/**
+ * Save a reissue: snapshot `previous` into certificate_versions and apply
+ * `update` to the certificate, both or neither. Returns the updated row, or
+ * null if another reissue got there first.
+ */
+export async function saveReissue(certificateId, { version, previous, update }) {
+  return sql.begin(async (tx) => {
+    // only one reissue can move the row off `version`; a concurrent one
+    // waits for this transaction, then matches nothing
+    const [cert] = await tx`
+      update certificates set ${sql({ ...update, version: version + 1 })},
+        reissued_at = now()
+      where certificate_id = ${certificateId} and version = ${version}
+      returning *
+    `;
+    if (!cert) return null;
+    await tx`
+      insert into certificate_versions ${sql({
+        ...previous,
+        certificate_id: certificateId,
+        version,
+        changes: sql.json(previous.changes),
+      })}
+    `;
+    return cert;
+  });
+}
+
+/** Superseded versions of a certificate, newest first. */
+export const listVersions = (certificateId) => sql`
+  select * from certificate_versions
+  where certificate_id = ${certificateId}
+  order by version desc
+`;
+
+export async function setRecipientEmail(certificateId, email) {
+  await sql`
+    update certificates set recipient_email = ${email}
+    where certificate_id = ${certificateId}
+  `;
+}
+
+/** Every certificate sent to an address, newest first. */
+export const listRecipientCertificates = (email, columns) => sql`
+  select ${select(columns)} from certificates
+  where recipient_email = ${email}
+  order by created_at desc
+`;
+
+export async function hasCertificatesFor(email) {
+  const [row] = await sql`
+    select 1 from certificates where recipient_email = ${email} limit 1
+  `;
+  return !!row;
+}
+
+// --- email queue (see lib/certificateEmails.js) ---
+
+/**
+ * Mark certificates "queued" for emailing: ones with an address that aren't
+ * already on their way. Returns the ids queued.
+ */
+export async function queueEmails(institutionId, certificateIds) {
+  const ids = certificateIds.filter((id) => UUID.test(String(id)));
+  if (!ids.length) return [];
+  const rows = await sql`
+    update certificates set email_status = 'queued', email_error = null
+    where institution_id = ${institutionId}
+      and certificate_id in ${sql(ids)}
+      and recipient_email is not null
+      and (email_status is null or email_status not in ('queued', 'sending'))
+    returning certificate_id
+  `;
+  return rows.map((r) => r.certificate_id);
+}
+
+/**
+ * Queue a batch's valid certificates that have an address and were never
+ * emailed, or whose last try failed. Returns how many.
+ */
+export async function queueJobEmails(jobId) {
+  const rows = await sql`
+    update certificates set email_status = 'queued', email_error = null
+    where job_id = ${jobId}
+      and status = 'valid'
+      and recipient_email is not null
+      and (email_status is null or email_status = 'failed')
+    returning certificate_id
+  `;
+  return rows.length;
+}
+
+/** Ids of queued emails, oldest certificate first. */
+export async function queuedEmailIds(limit) {
+  const rows = await sql`
+    select certificate_id from certificates
+    where email_status = 'queued'
+    order by created_at asc
+    limit ${limit}
+  `;
+  return rows.map((r) => r.certificate_id);
+}
+
+/**
+ * Claim a queued email for sending. Returns the certificate with its job's
+ * email_subject / email_body, or null if it's no longer queued.
+ */
+export async function claimQueuedEmail(certificateId) {
+  const [cert] = await sql`
+    with claimed as (
+      update certificates set email_status = 'sending'
+      where certificate_id = ${certificateId} and email_status = 'queued'
+      returning *
+    )
+    select c.*, j.email_subject, j.email_body
+    from claimed c
+    left join generation_jobs j on j.id = c.job_id
+  `;
+  return cert ?? null;
+}
+
+/** Record how a send went: email_status, email_error, ... */
+export async function recordEmailResult(certificateId, update) {
+  await sql`
+    update certificates set ${sql(update)}
+    where certificate_id = ${certificateId}
+  `;
+}
+
+/** Queue emails a crash left "sending" again. Returns how many are queued now. */
+export async function requeueInterruptedEmails() {
+  await sql`
+    update certificates set email_status = 'queued' where email_status = 'sending'
+  `;
+  const [{ count }] = await sql`
+    select count(*)::int as count from certificates where email_status = 'queued'
+  `;
+  return count;
+}
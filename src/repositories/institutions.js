@@ -0,0 +1,25 @@
+import sql from "../db/db.js";
+
+// Institutions: each one's users, certificates and settings hang off it.
+
+/** Load an institution by id: { id, name, logo_url } or null. */
+export async function getInstitution(id, tx = sql) {
+  const [row] = await tx`
+    select id, name, logo_url from institutions where id = ${id}
+  `;
+  return row ?? null;
+}
+
+/**
+ * Create an institution. Names are unique case-insensitively; returns null
+ * if the name is taken.
+ */
+export async function insertInstitution({ name, logoUrl = null }, tx = sql) {
+  const [row] = await tx`
+    insert into institutions (name, logo_url)
+    values (${name}, ${logoUrl})
+    on conflict ((lower(name))) do nothing
+    returning id, name, logo_url
+  `;
+  return row ?? null;
+}
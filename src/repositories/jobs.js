@@ -0,0 +1,128 @@
+import sql from "../db/db.js";
+
+// Generation jobs and their rows (see lib/jobs.js for the worker).
+
+// issue_date replaced by its YYYY-MM-DD text, the way it's printed and signed
+const JOB = sql`*, issue_date::text as issue_date`;
+
+/** Create a job and its rows in one go. Returns the job. */
+export async function insertJob(job, rows) {
+  return sql.begin(async (tx) => {
+    const [created] = await tx`
+      insert into generation_jobs ${sql({
+        ...job,
+        signatory_ids: sql.json(job.signatory_ids ?? []),
+      })}
+      returning ${JOB}
+    `;
+    // in chunks, so a big sheet doesn't become one giant statement
+    for (let i = 0; i < rows.length; i += 500) {
+      const chunk = rows.slice(i, i + 500).map((r) => ({
+        ...r,
+        job_id: created.id,
+        data: sql.json(r.data),
+      }));
+      await tx`insert into generation_job_rows ${sql(chunk)}`;
+    }
+    return created;
+  });
+}
+
+/** A job, scoped to an institution when one is given. Null if not found. */
+export async function findJob(id, { institutionId } = {}) {
+  const [job] = await sql`
+    select ${JOB} from generation_jobs
+    where id = ${id}
+      ${institutionId ? sql`and institution_id = ${institutionId}` : sql``}
+  `;
+  return job ?? null;
+}
+
+/** Change a job's status, stamping when it started or finished. Returns the job. */
+export async function setJobStatus(id, status) {
+  const finished = !["queued", "running"].includes(status);
+  const [job] = await sql`
+    update generation_jobs set
+      status = ${status},
+      started_at = ${status === "running" ? sql`now()` : sql`started_at`},
+      finished_at = ${finished ? sql`now()` : sql`null`}
+    where id = ${id}
+    returning ${JOB}
+  `;
+  return job ?? null;
+}
+
+/** Ids of jobs that were queued or mid-run, oldest first. */
+export async function unfinishedJobIds() {
+  const rows = await sql`
+    select id from generation_jobs
+    where status in ('queued', 'running')
+    order by created_at asc
+  `;
+  return rows.map((r) => r.id);
+}
+
+/** A job's rows still to do, in sheet order. */
+export const pendingJobRows = (jobId) => sql`
+  select id, row_index, data, certificate_id, attempts
+  from generation_job_rows
+  where job_id = ${jobId} and status = 'pending'
+  order by row_index asc
+`;
+
+/** A page of a job's rows, optionally only one status, in sheet order. */
+export const listJobRows = (jobId, { status, offset = 0, limit }) => sql`
+  select row_index, status, error, certificate_id, attempts, data
+  from generation_job_rows
+  where job_id = ${jobId}
+    ${status ? sql`and status = ${status}` : sql``}
+  order by row_index asc
+  limit ${limit} offset ${offset}
+`;
+
+/**
+ * Merge corrected cells into a failed row's data, ready for a retry.
+ * Returns the row, or null if the job has no failed row at that index.
+ */
+export async function correctFailedRow(jobId, rowIndex, cells) {
+  const [row] = await sql`
+    update generation_job_rows set data = data || ${sql.json(cells)}
+    where job_id = ${jobId} and row_index = ${rowIndex} and status = 'failed'
+    returning row_index, status, error, certificate_id, attempts, data
+  `;
+  return row ?? null;
+}
+
+/** Record a row's outcome: { status, error, attempts }. */
+export async function updateJobRow(id, update) {
+  await sql`update generation_job_rows set ${sql(update)} where id = ${id}`;
+}
+
+/** { pending, succeeded, failed } row counts for a job. */
+export async function countJobRows(jobId) {
+  const rows = await sql`
+    select status, count(*)::int as count from generation_job_rows
+    where job_id = ${jobId}
+    group by status
+  `;
+  const counts = { pending: 0, succeeded: 0, failed: 0 };
+  for (const { status, count } of rows) counts[status] = count;
+  return counts;
+}
+
+/** Put a job's failed rows back to pending and the job back in the queue. Returns how many. */
+export async function resetFailedRows(jobId) {
+  return sql.begin(async (tx) => {
+    const rows = await tx`
+      update generation_job_rows set status = 'pending', error = null
+      where job_id = ${jobId} and status = 'failed'
+      returning id
+    `;
+    if (rows.length)
+      await tx`
+        update generation_jobs set status = 'queued', finished_at = null
+        where id = ${jobId}
+      `;
+    return rows.length;
+  });
+}
@@ -0,0 +1,51 @@
+import sql from "../db/db.js";
+
+// Column-mapping profiles, per institution (see lib/sheets.js).
+// Writes reject a duplicate name with Postgres error 23505.
+
+/** The institution's mappings, by name. */
+export const listMappings = (institutionId) => sql`
+  select * from column_mappings
+  where institution_id = ${institutionId}
+  order by name asc
+`;
+
+/** A mapping owned by the institution, or null. */
+export async function findMapping(id, institutionId) {
+  const [row] = await sql`
+    select * from column_mappings
+    where id = ${id} and institution_id = ${institutionId}
+  `;
+  return row ?? null;
+}
+
+export async function insertMapping({ institutionId, name, mapping, createdBy }) {
+  const [row] = await sql`
+    insert into column_mappings (institution_id, name, mapping, created_by)
+    values (${institutionId}, ${name}, ${sql.json(mapping)}, ${createdBy})
+    returning *
+  `;
+  return row;
+}
+
+/** Change name and/or mapping. Returns the mapping, or null if not found. */
+export async function updateMapping(id, institutionId, { name, mapping }) {
+  const [row] = await sql`
+    update column_mappings set
+      name = coalesce(${name ?? null}, name),
+      mapping = coalesce(${mapping === undefined ? null : sql.json(mapping)}, mapping)
+    where id = ${id} and institution_id = ${institutionId}
+    returning *
+  `;
+  return row ?? null;
+}
+
+/** Delete a mapping. Returns false if not found. */
+export async function deleteMapping(id, institutionId) {
+  const rows = await sql`
+    delete from column_mappings
+    where id = ${id} and institution_id = ${institutionId}
+    returning id
+  `;
+  return rows.length > 0;
+}
@@ -0,0 +1,56 @@
+import sql from "../db/db.js";
+
+// Errors recipients report on their certificates (see reports.routes.js).
+
+export async function insertReport({ certificateId, institutionId, recipientId, message, corrections }) {
+  const [row] = await sql`
+    insert into certificate_reports
+      (certificate_id, institution_id, recipient_id, message, corrections, status)
+    values (${certificateId}, ${institutionId}, ${recipientId}, ${message},
+            ${sql.json(corrections)}, 'open')
+    returning *
+  `;
+  return row;
+}
+
+/**
+ * A page of the institution's reports, newest first, each with the
+ * reported certificate's current values as `certificates`.
+ * @param {{ status?: string, offset: number, limit: number }} opts status
+ *   narrows to one status
+ */
+export async function listReports(institutionId, { status, offset, limit }) {
+  const where = sql`
+    r.institution_id = ${institutionId}
+    ${status ? sql`and r.status = ${status}` : sql``}
+  `;
+  const items = await sql`
+    select r.*, json_build_object(
+      'full_name', c.full_name, 'program', c.program, 'certificate', c.certificate,
+      'cgpa', c.cgpa, 'status', c.status, 'version', c.version
+    ) as certificates
+    from certificate_reports r
+    join certificates c on c.certificate_id = r.certificate_id
+    where ${where}
+    order by r.created_at desc
+    limit ${limit} offset ${offset}
+  `;
+  const [{ count }] = await sql`
+    select count(*)::int as count from certificate_reports r where ${where}
+  `;
+  return { items, count };
+}
+
+/** Close an open report. Returns it, or null if there's no open one with that id. */
+export async function resolveReport(id, institutionId, { status, note, resolvedBy }) {
+  const [row] = await sql`
+    update certificate_reports set
+      status = ${status},
+      resolution_note = ${note},
+      resolved_by = ${resolvedBy},
+      resolved_at = now()
+    where id = ${id} and institution_id = ${institutionId} and status = 'open'
+    returning *
+  `;
+  return row ?? null;
+}
@@ -0,0 +1,48 @@
+import sql from "../db/db.js";
+
+// Share links recipients make for their certificates (see portal.routes.js).
+// Only the hash of a link's token is stored.
+
+/** A share by its token hash, or null. */
+export async function findShareByHash(tokenHash) {
+  const [row] = await sql`
+    select id, certificate_id, expires_at, revoked_at, views
+    from certificate_shares
+    where token_hash = ${tokenHash}
+  `;
+  return row ?? null;
+}
+
+export async function recordShareView(id) {
+  await sql`
+    update certificate_shares set views = views + 1, last_viewed_at = now()
+    where id = ${id}
+  `;
+}
+
+export async function insertShare({ certificateId, recipientId, tokenHash, expiresAt }) {
+  const [row] = await sql`
+    insert into certificate_shares (certificate_id, recipient_id, token_hash, expires_at)
+    values (${certificateId}, ${recipientId}, ${tokenHash}, ${expiresAt})
+    returning id, certificate_id, expires_at, created_at
+  `;
+  return row;
+}
+
+/** A recipient's shares, newest first. */
+export const listShares = (recipientId) => sql`
+  select id, certificate_id, expires_at, revoked_at, views, last_viewed_at, created_at
+  from certificate_shares
+  where recipient_id = ${recipientId}
+  order by created_at desc
+`;
+
+/** Stop a share link working. Returns false if there was no live one. */
+export async function revokeShare(id, recipientId) {
+  const rows = await sql`
+    update certificate_shares set revoked_at = now()
+    where id = ${id} and recipient_id = ${recipientId} and revoked_at is null
+    returning id
+  `;
+  return rows.length > 0;
+}
@@ -0,0 +1,67 @@
+import sql from "../db/db.js";
+import { UUID } from "../utils/ids.js";
+
+// Signatories, per institution (see lib/signatories.js).
+
+const COLUMNS = sql`id, name, title, active, created_at, retired_at`;
+
+/** The institution's signatories, newest first; `active` picks current or retired. */
+export const listSignatories = (institutionId, { active } = {}) => sql`
+  select ${COLUMNS} from signatories
+  where institution_id = ${institutionId}
+    ${active !== undefined ? sql`and active = ${active}` : sql``}
+  order by created_at desc
+`;
+
+/** Signatories by id (with signature_path), in no particular order. Unknown ids are left out. */
+export async function findSignatories(ids, { institutionId } = {}) {
+  const wanted = ids.filter((id) => UUID.test(id));
+  if (!wanted.length) return [];
+  return sql`
+    select id, name, title, signature_path, active from signatories
+    where id in ${sql(wanted)}
+      ${institutionId ? sql`and institution_id = ${institutionId}` : sql``}
+  `;
+}
+
+/** A signatory's signature image path, or null. */
+export async function signaturePath(id, institutionId) {
+  const [row] = await sql`
+    select signature_path from signatories
+    where id = ${id} and institution_id = ${institutionId}
+  `;
+  return row?.signature_path ?? null;
+}
+
+/**
+ * Add a signatory. `storeImage(id)` uploads the signature under the new id
+ * and returns its path; if it throws, the signatory isn't kept.
+ */
+export async function insertSignatory({ institutionId, name, title, createdBy }, storeImage) {
+  return sql.begin(async (tx) => {
+    const [row] = await tx`
+      insert into signatories (institution_id, name, title, active, created_by)
+      values (${institutionId}, ${name}, ${title}, true, ${createdBy})
+      returning id
+    `;
+    const path = await storeImage(row.id);
+    const [saved] = await tx`
+      update signatories set signature_path = ${path}
+      where id = ${row.id}
+      returning id, name, title, active, created_at
+    `;
+    return saved;
+  });
+}
+
+/** Retire (active false) or bring back. Returns the signatory, or null if not found. */
+export async function setSignatoryActive(id, institutionId, active) {
+  const [row] = await sql`
+    update signatories set
+      active = ${active},
+      retired_at = ${active ? null : sql`now()`}
+    where id = ${id} and institution_id = ${institutionId}
+    returning ${COLUMNS}
+  `;
+  return row ?? null;
+}
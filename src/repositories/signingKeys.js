@@ -0,0 +1,45 @@
+import sql from "../db/db.js";
+
+// Certificate signing keys (see lib/signing.js).
+
+/** The institution's active key { kid, private_key }, or null. */
+export async function findActiveKey(institutionId) {
+  const [row] = await sql`
+    select kid, private_key from signing_keys
+    where institution_id = ${institutionId} and active
+  `;
+  return row ?? null;
+}
+
+/**
+ * Store a new active key. Returns false if the institution got one first
+ * (only one key can be active).
+ */
+export async function insertKey({ kid, institutionId, publicKey, privateKey }) {
+  const rows = await sql`
+    insert into signing_keys (kid, institution_id, public_key, private_key, active)
+    values (${kid}, ${institutionId}, ${publicKey}, ${privateKey}, true)
+    on conflict do nothing
+    returning kid
+  `;
+  return rows.length > 0;
+}
+
+/** A public key by kid (retired keys included), or null. */
+export async function findPublicKey(kid) {
+  const [row] = await sql`
+    select kid, institution_id, public_key, active from signing_keys
+    where kid = ${kid}
+  `;
+  return row ?? null;
+}
+
+/** Every public key with its institution's name, oldest first. */
+export const listPublicKeys = ({ institutionId } = {}) => sql`
+  select k.kid, k.institution_id, k.public_key, k.active, k.created_at,
+         i.name as institution_name
+  from signing_keys k
+  join institutions i on i.id = k.institution_id
+  ${institutionId ? sql`where k.institution_id = ${institutionId}` : sql``}
+  order by k.created_at asc
+`;
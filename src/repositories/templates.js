@@ -0,0 +1,55 @@
+import sql from "../db/db.js";
+
+// Stored certificate layouts, per institution (see lib/templates.js).
+// Writes reject a duplicate name with Postgres error 23505.
+
+/** Name and dates of the institution's templates, by name. */
+export const listTemplates = (institutionId) => sql`
+  select id, name, created_at, updated_at from certificate_templates
+  where institution_id = ${institutionId}
+  order by name asc
+`;
+
+/** A template owned by the institution, or null. */
+export async function findTemplate(id, institutionId) {
+  const [tpl] = await sql`
+    select * from certificate_templates
+    where id = ${id} and institution_id = ${institutionId}
+  `;
+  return tpl ?? null;
+}
+
+export async function insertTemplate({ institutionId, name, definition, createdBy }) {
+  const [tpl] = await sql`
+    insert into certificate_templates (institution_id, name, definition, created_by)
+    values (${institutionId}, ${name}, ${sql.json(definition)}, ${createdBy})
+    returning *
+  `;
+  return tpl;
+}
+
+/** Change name and/or definition. Returns the template, or null if not found. */
+export async function updateTemplate(id, institutionId, { name, definition }) {
+  const [tpl] = await sql`
+    update certificate_templates set
+      name = coalesce(${name ?? null}, name),
+      definition = coalesce(${definition === undefined ? null : sql.json(definition)}, definition),
+      updated_at = now()
+    where id = ${id} and institution_id = ${institutionId}
+    returning *
+  `;
+  return tpl ?? null;
+}
+
+/**
+ * Delete a template. Returns false if not found; throws 23503 while
+ * certificates or jobs still use it.
+ */
+export async function deleteTemplate(id, institutionId) {
+  const rows = await sql`
+    delete from certificate_templates
+    where id = ${id} and institution_id = ${institutionId}
+    returning id
+  `;
+  return rows.length > 0;
+}
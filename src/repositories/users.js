@@ -0,0 +1,159 @@
+import sql from "../db/db.js";
+import { insertInstitution } from "./institutions.js";
+
+// Users (staff accounts) of institutions. Emails are unique case-insensitively.
+
+// a user with their institution's name and logo
+const WITH_INSTITUTION = sql`
+  select u.*, i.name as institution_name, i.logo_url as institution_logo
+  from users u
+  join institutions i on i.id = u.institution_id
+`;
+
+/** A user with institution_name / institution_logo, or null. */
+export async function findUser(id) {
+  const [row] = await sql`${WITH_INSTITUTION} where u.id = ${id}`;
+  return row ?? null;
+}
+
+/** A user by email with institution_name / institution_logo, or null. */
+export async function findUserByEmail(email) {
+  const [row] = await sql`${WITH_INSTITUTION} where lower(u.email) = lower(${email})`;
+  return row ?? null;
+}
+
+export async function emailTaken(email, tx = sql) {
+  const [row] = await tx`select 1 from users where lower(email) = lower(${email})`;
+  return !!row;
+}
+
+/** Create a user; `emailVerified` when the address is already known to work. */
+export async function insertUser(
+  { institutionId, fullName, role, email, passwordHash, emailVerified = false },
+  tx = sql
+) {
+  const [row] = await tx`
+    insert into users (institution_id, full_name, user_type, email, password_hash, email_verified_at)
+    values (${institutionId}, ${fullName}, ${role}, ${email}, ${passwordHash},
+            ${emailVerified ? sql`now()` : null})
+    returning *
+  `;
+  return row;
+}
+
+/**
+ * Register a new institution with its first admin. Returns the admin with
+ * institution_name / institution_logo, or null if the institution's name
+ * is taken.
+ */
+export async function registerInstitution({ institutionName, institutionLogo, fullName, email, passwordHash }) {
+  return sql.begin(async (tx) => {
+    const institution = await insertInstitution(
+      { name: institutionName, logoUrl: institutionLogo ?? null },
+      tx
+    );
+    if (!institution) return null;
+    const user = await insertUser(
+      { institutionId: institution.id, fullName, role: "admin", email, passwordHash },
+      tx
+    );
+    return {
+      ...user,
+      institution_name: institution.name,
+      institution_logo: institution.logo_url,
+    };
+  });
+}
+
+export async function markEmailVerified(id) {
+  await sql`
+    update users set email_verified_at = coalesce(email_verified_at, now())
+    where id = ${id}
+  `;
+}
+
+export async function getPasswordHash(id) {
+  const [row] = await sql`select password_hash from users where id = ${id}`;
+  return row?.password_hash ?? null;
+}
+
+export async function setPassword(id, passwordHash) {
+  await sql`update users set password_hash = ${passwordHash} where id = ${id}`;
+}
+
+/**
+ * Set a password through an emailed reset link: the link reached their
+ * inbox, so the address is confirmed too and a lockout has nothing left to
+ * protect.
+ */
+export async function resetUserPassword(id, passwordHash) {
+  await sql`
+    update users
+    set password_hash = ${passwordHash},
+        email_verified_at = coalesce(email_verified_at, now()),
+        failed_logins = 0,
+        locked_until = null
+    where id = ${id}
+  `;
+}
+
+// --- staff management (users.routes.js) ---
+
+/** A user of the institution, or null. */
+export async function findStaff(id, institutionId) {
+  const [row] = await sql`
+    select * from users where id = ${id} and institution_id = ${institutionId}
+  `;
+  return row ?? null;
+}
+
+/** The institution's users, oldest first; `locked` only those locked out of sign-in. */
+export const listStaff = (institutionId, { locked = false } = {}) => sql`
+  select * from users
+  where institution_id = ${institutionId}
+    ${locked ? sql`and locked_until > now()` : sql``}
+  order by created_at asc
+`;
+
+export async function countActiveAdmins(institutionId) {
+  const [{ count }] = await sql`
+    select count(*)::int as count from users
+    where institution_id = ${institutionId}
+      and user_type = 'admin' and deactivated_at is null
+  `;
+  return count;
+}
+
+/** Emails of the institution's active admins and registrars. */
+export async function registrarEmails(institutionId) {
+  const rows = await sql`
+    select email from users
+    where institution_id = ${institutionId}
+      and user_type in ('admin', 'registrar')
+      and deactivated_at is null
+  `;
+  return rows.map((r) => r.email);
+}
+
+export async function setRole(id, role) {
+  const [row] = await sql`update users set user_type = ${role} where id = ${id} returning *`;
+  return row;
+}
+
+export async function deactivateUser(id, deactivatedBy) {
+  const [row] = await sql`
+    update users set deactivated_at = now(), deactivated_by = ${deactivatedBy}
+    where id = ${id}
+    returning *
+  `;
+  return row;
+}
+
+export async function reactivateUser(id) {
+  const [row] = await sql`
+    update users set deactivated_at = null, deactivated_by = null
+    where id = ${id}
+    returning *
+  `;
+  return row;
+}
@@ -0,0 +1,70 @@
+import sql from "../db/db.js";
+
+// Verification attempts (see recordVerifications in lib/verification.js).
+
+/**
+ * Insert events: [{ certificate_id, institution_id, found, status, channel,
+ * client_ip, user_agent, requested_by? }].
+ */
+export async function insertVerificationEvents(rows) {
+  for (let i = 0; i < rows.length; i += 500)
+    await sql`insert into verification_events ${sql(rows.slice(i, i + 500))}`;
+}
+
+// date_trunc's week starts on Monday; a month's key is YYYY-MM
+const PERIOD_FORMAT = { day: "YYYY-MM-DD", week: "YYYY-MM-DD", month: "YYYY-MM" };
+
+/**
+ * An institution's attempts between two instants, counted per UTC period
+ * ("day", "week" or "month"), channel and status.
+ * @returns {Promise<{ period: string, channel: string, status: string, count: number }[]>}
+ */
+export const institutionEventCounts = (institutionId, { from, to, interval }) => sql`
+  select to_char(date_trunc(${interval}, created_at at time zone 'UTC'), ${PERIOD_FORMAT[interval]})
+           as period,
+         channel, status, count(*)::int as count
+  from verification_events
+  where institution_id = ${institutionId}
+    and created_at between ${from} and ${to}
+  group by 1, channel, status
+  order by 1
+`;
+
+/** An institution's most checked certificates between two instants, most first. */
+export const mostVerifiedCertificates = (institutionId, { from, to, limit }) => sql`
+  select certificate_id, count(*)::int as count, max(created_at) as last_verified_at
+  from verification_events
+  where institution_id = ${institutionId}
+    and created_at between ${from} and ${to}
+  group by certificate_id
+  order by count desc, last_verified_at desc
+  limit ${limit}
+`;
+
+/**
+ * Attempts that matched no certificate, between two instants: the total,
+ * the most tried codes and the most recent attempts. With `requestedBy`,
+ * only the bulk checks that institution made.
+ */
+export async function notFoundSummary({ from, to, limit, requestedBy }) {
+  const where = sql`
+    not found and created_at between ${from} and ${to}
+    ${requestedBy ? sql`and requested_by = ${requestedBy}` : sql``}
+  `;
+  const [[{ total }], codes, recent] = await Promise.all([
+    sql`select count(*)::int as total from verification_events where ${where}`,
+    sql`
+      select certificate_id, count(*)::int as count, max(created_at) as last_seen_at
+      from verification_events where ${where}
+      group by certificate_id
+      order by count desc, last_seen_at desc
+      limit ${limit}
+    `,
+    sql`
+      select certificate_id, created_at from verification_events where ${where}
+      order by created_at desc
+      limit ${limit}
+    `,
+  ]);
+  return { total, codes, recent };
+}
@@ -0,0 +1,172 @@
+import sql from "../db/db.js";
+
+// Webhook endpoints and their delivery log (see lib/webhooks.js).
+
+// the secret is only returned when the endpoint is created
+const COLUMNS = sql`
+  id, url, events, description, active, consecutive_failures, disabled_at,
+  disabled_reason, created_by, created_at
+`;
+const DELIVERY_COLUMNS = sql`
+  id, event, status, attempts, next_attempt_at, last_attempt_at, last_status_code,
+  last_error, delivered_at, redelivery_of, created_at, payload
+`;
+
+export const listEndpoints = (institutionId) => sql`
+  select ${COLUMNS} from webhook_endpoints
+  where institution_id = ${institutionId}
+  order by created_at asc
+`;
+
+/** Create an endpoint; the returned row leaves out its secret. */
+export async function insertEndpoint(endpoint) {
+  const [row] = await sql`
+    insert into webhook_endpoints ${sql(endpoint)}
+    returning ${COLUMNS}
+  `;
+  return row;
+}
+
+/** Change url / events / description / active. Returns the endpoint, or null if not found. */
+export async function updateEndpoint(id, institutionId, update) {
+  const [row] = await sql`
+    update webhook_endpoints set ${sql(update)}
+    where id = ${id} and institution_id = ${institutionId}
+    returning ${COLUMNS}
+  `;
+  return row ?? null;
+}
+
+/** Delete an endpoint and its delivery log. Returns false if not found. */
+export async function deleteEndpoint(id, institutionId) {
+  const rows = await sql`
+    delete from webhook_endpoints
+    where id = ${id} and institution_id = ${institutionId}
+    returning id
+  `;
+  return rows.length > 0;
+}
+
+/** Active endpoints of the institution subscribed to `event`. */
+export const subscribedEndpoints = (institutionId, event) => sql`
+  select id from webhook_endpoints
+  where institution_id = ${institutionId} and active and ${event} = any(events)
+`;
+
+/** Queue deliveries: [{ endpoint_id, institution_id, event, payload, redelivery_of? }]. */
+export async function insertDeliveries(deliveries) {
+  return sql`
+    insert into webhook_deliveries ${sql(
+      deliveries.map((d) => ({
+        redelivery_of: null,
+        ...d,
+        payload: sql.json(d.payload),
+        status: "pending",
+      }))
+    )}
+    returning *
+  `;
+}
+
+/** A delivery of the institution, or null. */
+export async function findDelivery(id, institutionId) {
+  const [row] = await sql`
+    select * from webhook_deliveries
+    where id = ${id} and institution_id = ${institutionId}
+  `;
+  return row ?? null;
+}
+
+/** A page of an endpoint's deliveries, newest first, with the total count. */
+export async function listDeliveries(endpointId, institutionId, { status, offset, limit }) {
+  const where = sql`
+    endpoint_id = ${endpointId} and institution_id = ${institutionId}
+    ${status ? sql`and status = ${status}` : sql``}
+  `;
+  const items = await sql`
+    select ${DELIVERY_COLUMNS} from webhook_deliveries
+    where ${where}
+    order by created_at desc
+    limit ${limit} offset ${offset}
+  `;
+  const [{ count }] = await sql`
+    select count(*)::int as count from webhook_deliveries where ${where}
+  `;
+  return { items, count };
+}
+
+/** Ids of pending deliveries that are due, soonest first. */
+export async function dueDeliveryIds(limit) {
+  const rows = await sql`
+    select id from webhook_deliveries
+    where status = 'pending' and next_attempt_at <= now()
+    order by next_attempt_at asc
+    limit ${limit}
+  `;
+  return rows.map((r) => r.id);
+}
+
+/**
+ * Claim a pending delivery for sending. Returns it with
+ * `endpoint: { url, secret, active }`, or null if it's no longer pending.
+ */
+export async function claimDelivery(id) {
+  const [row] = await sql`
+    with claimed as (
+      update webhook_deliveries set status = 'delivering'
+      where id = ${id} and status = 'pending'
+      returning *
+    )
+    select d.*, json_build_object('url', e.url, 'secret', e.secret, 'active', e.active)
+      as endpoint
+    from claimed d
+    join webhook_endpoints e on e.id = d.endpoint_id
+  `;
+  return row ?? null;
+}
+
+/** Record how an attempt went. */
+export async function updateDelivery(id, update) {
+  await sql`update webhook_deliveries set ${sql(update)} where id = ${id}`;
+}
+
+/** A delivery went through: the endpoint's failure streak starts over. */
+export async function recordEndpointSuccess(endpointId) {
+  await sql`
+    update webhook_endpoints set consecutive_failures = 0
+    where id = ${endpointId} and consecutive_failures > 0
+  `;
+}
+
+/**
+ * A delivery failed for good. The endpoint is disabled once `disableAfter`
+ * have failed in a row. Returns { consecutive_failures, active }.
+ */
+export async function recordEndpointFailure(endpointId, disableAfter) {
+  const [row] = await sql`
+    update webhook_endpoints set
+      consecutive_failures = consecutive_failures + 1,
+      active = active and consecutive_failures + 1 < ${disableAfter},
+      disabled_at = case
+        when active and consecutive_failures + 1 >= ${disableAfter} then now()
+        else disabled_at end,
+      disabled_reason = case
+        when active and consecutive_failures + 1 >= ${disableAfter}
+          then (consecutive_failures + 1) || ' deliveries in a row failed'
+        else disabled_reason end
+    where id = ${endpointId}
+    returning consecutive_failures, active
+  `;
+  return row ?? null;
+}
+
+/** Put deliveries a crash left "delivering" back to pending. Returns how many are pending now. */
+export async function requeueInterruptedDeliveries() {
+  await sql`
+    update webhook_deliveries set status = 'pending' where status = 'delivering'
+  `;
+  const [{ count }] = await sql`
+    select count(*)::int as count from webhook_deliveries where status = 'pending'
+  `;
+  return count;
+}
@@ -0,0 +1,137 @@
+import express from "express";
+import dayjs from "dayjs";
+import utc from "dayjs/plugin/utc.js";
+import { findCertificates } from "../lib/verification.js";
+import {
+  institutionEventCounts,
+  mostVerifiedCertificates,
+  notFoundSummary,
+} from "../repositories/verificationEvents.js";
+import { allowRoles, isPlatformAdmin, requireAuth } from "./auth.js";
+import { invalidField, validate } from "../middleware/validate.js";
+import { v } from "../utils/schema.js";
+
+dayjs.extend(utc);
+
+// Verification analytics, from verification_events, counted in SQL.
+// Every endpoint takes ?from=YYYY-MM-DD&to=YYYY-MM-DD (UTC days, default:
+// the last 30).
+const router = express.Router();
+
+router.use(requireAuth, allowRoles("admin"));
+
+const MAX_DAYS = 366;
+const INTERVALS = ["day", "week", "month"];
+
+/** Query schema for a report: the date range plus its own fields. */
+const rangeQuery = (fields = {}) =>
+  validate({ query: { from: v.date().optional(), to: v.date().optional(), ...fields } });
+
+/** Turn ?from / ?to into an ISO range. Returns { error } if it's backwards or too long. */
+function parseRange(query) {
+  const to = query.to ? dayjs.utc(query.to) : dayjs.utc();
+  const from = query.from ? dayjs.utc(query.from) : to.subtract(29, "day");
+  if (from.isAfter(to)) return { error: "from must be before to" };
+  if (to.diff(from, "day") > MAX_DAYS)
+    return { error: `Range can be at most ${MAX_DAYS} days` };
+  return {
+    from: from.startOf("day").toISOString(),
+    to: to.endOf("day").toISOString(),
+  };
+}
+
+// UTC period key: 2025-03-14 (day), 2025-03-10 (week, starts Monday), 2025-03 (month)
+function periodOf(date, interval) {
+  const d = new Date(date);
+  if (interval === "month") return d.toISOString().slice(0, 7);
+  if (interval === "week") d.setUTCDate(d.getUTCDate() - ((d.getUTCDay() + 6) % 7));
+  return d.toISOString().slice(0, 10);
+}
+
+function allPeriods(from, to, interval) {
+  const keys = [];
+  const d = new Date(periodOf(from, interval) + (interval === "month" ? "-01" : ""));
+  const end = new Date(to);
+  while (d <= end) {
+    keys.push(periodOf(d.toISOString(), interval));
+    if (interval === "month") d.setUTCMonth(d.getUTCMonth() + 1);
+    else d.setUTCDate(d.getUTCDate() + (interval === "week" ? 7 : 1));
+  }
+  return keys;
+}
+
+// GET /certificates/analytics/verifications?interval=day|week|month
+// -> how often this institution's certificates were checked, per period
+const verificationsQuery = rangeQuery({ interval: v.oneOf(INTERVALS).default("day") });
+router.get("/verifications", verificationsQuery, async (req, res) => {
+  const range = parseRange(req.query);
+  if (range.error) return invalidField(res, "from", range.error, "query");
+  const { interval } = req.query;
+
+  const counts = await institutionEventCounts(req.user.institutionId, {
+    ...range,
+    interval,
+  });
+
+  const series = new Map(
+    allPeriods(range.from, range.to, interval).map((p) => [
+      p,
+      { period: p, total: 0, channels: {}, statuses: {} },
+    ])
+  );
+  let total = 0;
+  for (const { period, channel, status, count } of counts) {
+    total += count;
+    const p = series.get(period);
+    if (!p) continue;
+    p.total += count;
+    p.channels[channel] = (p.channels[channel] || 0) + count;
+    p.statuses[status] = (p.statuses[status] || 0) + count;
+  }
+
+  res.json({ ...range, interval, total, series: [...series.values()] });
+});
+
+// GET /certificates/analytics/most-verified?limit=10
+const mostVerifiedQuery = rangeQuery({ limit: v.int({ min: 1, max: 100 }).default(10) });
+router.get("/most-verified", mostVerifiedQuery, async (req, res) => {
+  const range = parseRange(req.query);
+  if (range.error) return invalidField(res, "from", range.error, "query");
+  const { limit } = req.query;
+
+  const top = await mostVerifiedCertificates(req.user.institutionId, { ...range, limit });
+
+  const certs = await findCertificates(top.map((c) => c.certificate_id));
+  const items = top.map(({ certificate_id: id, count, last_verified_at }) => ({
+    certificate_id: id,
+    full_name: certs.get(id)?.full_name ?? null,
+    program: certs.get(id)?.program ?? null,
+    status: certs.get(id)?.status ?? null,
+    count,
+    last_verified_at,
+  }));
+
+  res.json({ ...range, items });
+});
+
+// GET /certificates/analytics/not-found?limit=50
+// Codes that were tried and matched nothing: the most tried and the most
+// recent attempts. Such a code belongs to no institution, so an admin sees
+// the ones from their institution's own bulk checks, and only platform
+// operators (PLATFORM_ADMIN_EMAILS) see every attempt on the platform.
+// Who tried them (IP, user agent) isn't included.
+const notFoundQuery = rangeQuery({ limit: v.int({ min: 1, max: 500 }).default(50) });
+router.get("/not-found", notFoundQuery, async (req, res) => {
+  const range = parseRange(req.query);
+  if (range.error) return invalidField(res, "from", range.error, "query");
+
+  const platform = isPlatformAdmin(req.user);
+  const { total, codes, recent } = await notFoundSummary({
+    ...range,
+    limit: req.query.limit,
+    requestedBy: platform ? undefined : req.user.institutionId,
+  });
+  res.json({ ...range, scope: platform ? "platform" : "institution", total, codes, recent });
+});
+
+export default router;
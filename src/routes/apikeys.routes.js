@@ -0,0 +1,60 @@
+import express from "express";
+import {
+  API_KEY_SCOPES,
+  SCOPE_PRESETS,
+  createApiKey,
+  listApiKeys,
+  revokeApiKey,
+} from "../lib/apiKeys.js";
+import { allowRoles, requireAuth } from "./auth.js";
+import { invalidField, validate } from "../middleware/validate.js";
+import { notFound } from "../utils/responses.js";
+import { v } from "../utils/schema.js";
+
+// Institution API keys, managed by admins. The key itself is returned once,
+// from POST; after that only its prefix is visible.
+const router = express.Router();
+
+router.use(requireAuth, allowRoles("admin"));
+
+// GET /api-keys/scopes  -> what can be granted
+router.get("/scopes", (req, res) => {
+  res.json({ scopes: API_KEY_SCOPES, presets: SCOPE_PRESETS });
+});
+
+// GET /api-keys
+router.get("/", async (req, res) => {
+  res.json({ items: await listApiKeys(req.user.institutionId) });
+});
+
+// POST /api-keys  { name, scopes: [...] | preset: "issue-only" | "read-only" | ... }
+const createBody = validate({
+  body: {
+    name: v.string({ max: 200 }),
+    scopes: v.array(v.oneOf(Object.keys(API_KEY_SCOPES)), { min: 1 }).optional(),
+    preset: v.oneOf(Object.keys(SCOPE_PRESETS)).optional(),
+  },
+});
+router.post("/", createBody, async (req, res) => {
+  const { name, preset } = req.body;
+  const scopes = preset ? SCOPE_PRESETS[preset] : req.body.scopes;
+  if (!scopes) return invalidField(res, "scopes", "scopes or preset is required");
+
+  const { apiKey, key } = await createApiKey({
+    institutionId: req.user.institutionId,
+    name,
+    scopes: [...new Set(scopes)],
+    createdBy: req.user.id,
+  });
+  // the only time the key is ever shown
+  res.status(201).json({ ...apiKey, key });
+});
+
+// DELETE /api-keys/:id  -> revoke
+router.delete("/:id", validate({ params: { id: v.uuid() } }), async (req, res) => {
+  const row = await revokeApiKey(req.params.id, req.user.institutionId);
+  if (!row) return notFound(res, "No active key with that id");
+  res.status(204).end();
+});
+
+export default router;
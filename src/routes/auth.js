@@ -1,32 +1,131 @@
 import jwt from "jsonwebtoken";
+import { getSessionUser } from "../lib/sessions.js";
+import { authenticateApiKey, looksLikeApiKey } from "../lib/apiKeys.js";
+import { getRecipient } from "../lib/recipients.js";
+import { forbidden, unauthorized } from "../utils/responses.js";
 
-export function requireAuth(req, res, next) {
-  // Example: Authorization: Bearer <token>
+export async function requireAuth(req, res, next) {
+  // Example: Authorization: Bearer <token>   (or an API key: Bearer zk_... / X-API-Key)
   const auth = req.headers.authorization || "";
   const token = auth.startsWith("Bearer ") ? auth.slice(7) : null;
-  if (!token) return res.status(401).json({ error: "Unauthorized" });
+  const apiKey = req.headers["x-api-key"] || (looksLikeApiKey(token) ? token : null);
+  if (apiKey) {
+    const key = await authenticateApiKey(apiKey);
+    if (!key) return unauthorized(res, "Invalid API key", { code: "invalid_api_key" });
+    // an API key acts for its institution, with scopes instead of a role
+    req.user = {
+      id: null,
+      type: "api_key",
+      apiKeyId: key.id,
+      scopes: key.scopes,
+      institutionId: key.institutionId,
+      institution: key.institutionName,
+    };
+    return next();
+  }
+  if (!token) return unauthorized(res);
 
+  let payload;
   try {
     // Replace with your real JWT secret/verification
-    const payload = jwt.verify(token, process.env.JWT_SECRET || "dev-secret");
-    // Expect payload like { sub: 'userId', type: 'admin'|'registrar'|'user' }
-    req.user = {
-      id: payload.sub,
-      type: payload.type,
-      institution: payload.institution_name,
-    };
-    next();
+    payload = jwt.verify(token, process.env.JWT_SECRET || "dev-secret");
   } catch (e) {
-    return res.status(401).json({ error: "Invalid token" });
+    return unauthorized(res, "Invalid token", { code: "invalid_token" });
   }
+  // recipient portal tokens are only good for /portal (see requireRecipient)
+  if (payload.aud === "portal")
+    return unauthorized(res, "Invalid token", { code: "invalid_token" });
+  // Expect payload like { sub: 'userId', sid, type: 'admin'|'registrar'|'user', institution_id }
+  // tokens from before institutions had ids can't be scoped, so refuse them
+  if (!payload.institution_id)
+    return unauthorized(res, "Token expired, sign in again", { code: "session_expired" });
+  // nor tokens whose session was signed out (logout, stolen device, reuse)
+  const current = await getSessionUser(payload.sid);
+  if (!current)
+    return unauthorized(res, "Session expired, sign in again", { code: "session_expired" });
+  if (!current.active)
+    return forbidden(res, "Account deactivated", { code: "account_deactivated" });
+  req.user = {
+    id: payload.sub,
+    sessionId: payload.sid,
+    email: current.email,
+    type: current.type, // the current role, even if it changed since sign-in
+    institutionId: payload.institution_id,
+    institution: payload.institution_name,
+    active: current.active,
+  };
+  next();
 }
 
+/**
+ * Allow users with one of `roles`. API keys are refused unless the last
+ * argument names scopes, e.g. allowRoles("admin", { scopes: ["certificates:read"] });
+ * a key then needs at least one of them.
+ */
 export function allowRoles(...roles) {
+  const { scopes = [] } =
+    typeof roles.at(-1) === "object" ? roles.pop() : {};
   return (req, res, next) => {
-    if (!req.user?.type) return res.status(403).json({ error: "Forbidden" });
+    if (!req.user?.type) return forbidden(res);
+    if (req.user.type === "api_key") {
+      if (!scopes.some((s) => req.user.scopes.includes(s)))
+        return forbidden(
+          res,
+          scopes.length
+            ? `API key needs scope: ${scopes.join(" or ")}`
+            : "API keys can't use this endpoint",
+          { code: "missing_scope" }
+        );
+      return next();
+    }
+    if (req.user.active === false)
+      return forbidden(res, "Account deactivated", { code: "account_deactivated" });
     if (!roles.includes(req.user.type)) {
-      return res.status(403).json({ error: "Insufficient type" });
+      return forbidden(res, "Insufficient type", { code: "insufficient_role" });
     }
     next();
   };
 }
+
+/**
+ * Whether a signed-in user is a platform operator: their address is listed
+ * in PLATFORM_ADMIN_EMAILS (comma-separated). Nobody is when it's unset.
+ */
+export function isPlatformAdmin(user) {
+  const admins = String(process.env.PLATFORM_ADMIN_EMAILS || "")
+    .split(",")
+    .map((e) => e.trim().toLowerCase())
+    .filter(Boolean);
+  return !!user?.email && admins.includes(user.email.toLowerCase());
+}
+
+/**
+ * Recipient portal sign-in (magic link). Portal tokens carry aud "portal":
+ * requireAuth refuses that audience, and this verifies it, so staff tokens
+ * never pass here.
+ */
+export async function requireRecipient(req, res, next) {
+  const auth = req.headers.authorization || "";
+  const token = auth.startsWith("Bearer ") ? auth.slice(7) : null;
+  if (!token) return unauthorized(res);
+
+  let payload;
+  try {
+    payload = jwt.verify(token, process.env.JWT_SECRET || "dev-secret", {
+      audience: "portal",
+    });
+  } catch {
+    return unauthorized(res, "Invalid token", { code: "invalid_token" });
+  }
+  const recipient = await getRecipient(payload.sub);
+  // signing out invalidates every token issued before it
+  if (
+    !recipient ||
+    (recipient.signed_out_at &&
+      payload.iat <= Math.floor(recipient.signed_out_at.getTime() / 1000))
+  )
+    return unauthorized(res, "Session expired, sign in again", { code: "session_expired" });
+
+  req.recipient = { id: recipient.id, email: recipient.email };
+  next();
+}
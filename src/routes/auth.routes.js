@@ -1,11 +1,96 @@
 import { Router } from "express";
-import { register, login, me } from "../controllers/auth.controller.js";
+import {
+  register,
+  login,
+  me,
+  refresh,
+  logout,
+  logoutAll,
+  verifyEmail,
+  resendVerification,
+  forgotPassword,
+  resetPassword,
+  changePassword,
+  showInvitation,
+  acceptInvitation,
+} from "../controllers/auth.controller.js";
 import { requireAuth } from "../middleware/auth.middleware.js";
+import { bodyEmail, rateLimit } from "../middleware/rateLimit.js";
+import { validate } from "../middleware/validate.js";
+import { v } from "../utils/schema.js";
 
 const router = Router();
 
-router.post("/register", register);
-router.post("/login", login);
+// per IP, and per account for anything naming an email address
+const loginIpLimit = rateLimit("login_ip", "20/15m");
+const loginAccountLimit = rateLimit("login_account", "10/15m", bodyEmail);
+const registerLimit = rateLimit("register_ip", "10/1h");
+const resetIpLimit = rateLimit("password_reset_ip", "10/15m");
+const resetAccountLimit = rateLimit("password_reset_account", "5/1h", bodyEmail);
+
+// passwords are taken as typed: no trimming
+const newPassword = () => v.string({ min: 8, max: 200, trim: false });
+const token = () => v.string({ max: 500 });
+
+const schemas = {
+  register: {
+    body: {
+      institutionName: v.string({ max: 200 }),
+      fullName: v.string({ max: 200 }),
+      email: v.email(),
+      password: newPassword(),
+      userType: v.string().optional(),
+      institutionLogo: v.string({ max: 2000 }).optional(),
+    },
+  },
+  login: { body: { email: v.email(), password: v.string({ max: 200, trim: false }) } },
+  refresh: { body: { refreshToken: token() } },
+  logout: { body: { refreshToken: token().optional() } },
+  verifyEmailLink: { query: { token: token() } },
+  verifyEmail: { body: { token: token() } },
+  forgotPassword: { body: { email: v.email() } },
+  resetPassword: { body: { token: token(), password: newPassword() } },
+  changePassword: {
+    body: {
+      currentPassword: v.string({ max: 200, trim: false }),
+      newPassword: newPassword(),
+    },
+  },
+  invitation: { params: { token: token() } },
+  acceptInvitation: {
+    body: { token: token(), fullName: v.string({ max: 200 }), password: newPassword() },
+  },
+};
+
+router.post("/register", registerLimit, validate(schemas.register), register);
+router.post("/login", loginIpLimit, loginAccountLimit, validate(schemas.login), login);
+router.post("/refresh", validate(schemas.refresh), refresh);
+router.post("/logout", validate(schemas.logout), logout);
+router.post("/logout-all", requireAuth, logoutAll);
 router.get("/me", requireAuth, me);
+router.post("/verify-email", validate(schemas.verifyEmail), verifyEmail);
+router.get("/verify-email", validate(schemas.verifyEmailLink), verifyEmail);
+router.post("/resend-verification", requireAuth, resendVerification);
+router.post(
+  "/forgot-password",
+  resetIpLimit,
+  resetAccountLimit,
+  validate(schemas.forgotPassword),
+  forgotPassword
+);
+router.post("/reset-password", resetIpLimit, validate(schemas.resetPassword), resetPassword);
+router.post(
+  "/change-password",
+  requireAuth,
+  validate(schemas.changePassword),
+  changePassword
+);
+router.get("/invitations/:token", validate(schemas.invitation), showInvitation);
+router.post(
+  "/accept-invite",
+  registerLimit,
+  validate(schemas.acceptInvitation),
+  acceptInvitation
+);
 
 export default router;
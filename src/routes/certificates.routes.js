@@ -1,490 +1,1024 @@
 import express from "express";
 import multer from "multer";
-import xlsx from "xlsx";
-import { v4 as uuidv4 } from "uuid";
-import QRCode from "qrcode";
-import PDFDocument from "pdfkit";
 import dayjs from "dayjs";
+import xlsx from "xlsx";
 
-import fs from "fs/promises";
+import {
+  STATUS_ACTIONS,
+  statusDisplay,
+} from "../utils/certificateStatus.js";
+import { issuePayload } from "../lib/issuance.js";
+import { mappingError, readSheet } from "../lib/sheets.js";
+import { renderCertificatePDF } from "../lib/certificatePdf.js";
+import { DEFAULT_TEMPLATE } from "../lib/templates.js";
+import { loadSignatories, parseSignatoryIds } from "../lib/signatories.js";
+import { checkImages, validateRows } from "../lib/validateRows.js";
+import { publicUrlError } from "../lib/publicUrl.js";
+import {
+  LIST_FIELDS,
+  decodeCursor,
+  encodeCursor,
+  parseFilters,
+  parseSort,
+  sortParam,
+} from "../lib/certificateQuery.js";
+import {
+  createGenerationJob,
+  getJobCounts,
+  retryFailedRows,
+} from "../lib/jobs.js";
 
-// if your renderPDF already exists, keep it — just returns Buffer
-/** Fetch a URL or local path into a Buffer. Returns null on failure. */
-async function fetchBuffer(url, { timeoutMs = 8000 } = {}) {
-  try {
-    if (!url) return null;
+const upload = multer({ storage: multer.memoryStorage() });
+const router = express.Router();
 
-    // If it's a local file path
-    if (!/^https?:\/\//i.test(url)) {
-      return await fs.readFile(url);
-    }
+// multipart fields shared by /generate and its preview; the file is checked
+// by readSheet
+const UPLOAD_FIELDS = {
+  logo_url: v.url().optional(),
+  sheet: v.string({ max: 100 }).optional(),
+  mapping_id: v.uuid().optional(),
+  mapping: v.json().check(mappingError).optional(),
+  template_id: v.uuid().optional(),
+  signatory_ids: v.any().optional(),
+  // rows with a CGPA above it are errors in the preview and fail in a job
+  cgpa_max: v
+    .number()
+    .check((n) => (n > 0 ? null : "cgpa_max must be a positive number"))
+    .default(5),
+};
 
-    const ctrl = new AbortController();
-    const t = setTimeout(() => ctrl.abort(), timeoutMs);
+/**
+ * Resolve the mapping for an upload: a saved profile (mapping_id) or an
+ * inline object (mapping). Returns { mapping } or { error }.
+ */
+async function resolveMapping(req) {
+  const { mapping_id: mappingId, mapping } = req.body;
+  if (!mappingId) return { mapping: mapping ?? {} };
 
-    const res = await fetch(url, { signal: ctrl.signal });
-    clearTimeout(t);
+  const saved = await findMapping(mappingId, req.user.institutionId);
+  if (!saved) return { error: "mapping_id not found" };
+  return { mapping: saved.mapping };
+}
 
-    if (!res.ok) return null;
-    const arr = await res.arrayBuffer();
-    return Buffer.from(arr);
-  } catch {
-    return null;
-  }
+/** Load the template named by template_id. Returns { template } or { error }. */
+async function resolveTemplate(req) {
+  const id = req.body.template_id;
+  if (!id) return { template: undefined };
+  const tpl = await findTemplate(id, req.user.institutionId);
+  if (!tpl) return { error: "template_id not found" };
+  return { template: { id: tpl.id, definition: tpl.definition } };
 }
 
 /**
- * Render one certificate PDF into a Buffer.
- * @param {{
- *   institution_name: string,
- *   full_name: string,
- *   program: string,
- *   certificate: string,
- *   cgpa: string,
- *   certificate_id: string,
- *   verify_url: string,
- *   issue_date: string,
- *   logo_url?: string,
- *   image_url?: string,
- * }} payload
- * @returns {Promise<Buffer>}
+ * Load the signatories named by signatory_ids (in order) and check they fit
+ * the template's signature slots. Returns { signatories } or { error }.
  */
-async function renderCertificatePDF(payload) {
-  return new Promise(async (resolve, reject) => {
-    try {
-      const doc = new PDFDocument({
-        size: "A4",
-        layout: "landscape",
-        margins: { top: 50, bottom: 50, left: 50, right: 50 },
-      });
-
-      const chunks = [];
-      doc.on("data", (c) => chunks.push(c));
-      doc.on("end", () => resolve(Buffer.concat(chunks)));
-
-      // ----- Top logo (centered) -----
-      if (payload.logo_url) {
-        const logoBuf = await fetchBuffer(payload.logo_url);
-        if (logoBuf) {
-          const logoW = 110;
-          const logoX = (doc.page.width - logoW) / 2;
-          doc.image(logoBuf, logoX, 28, { width: logoW });
-          doc.moveDown(5);
-        }
-      }
-
-      // ----- Institution header -----
-      doc
-        .font("Helvetica-Bold")
-        .fontSize(32)
-        .text(payload.institution_name || "Institution", { align: "center" });
-
-      // Decorative line
-      const lineY = doc.y + 8;
-      doc
-        .moveTo(100, lineY)
-        .lineTo(doc.page.width - 100, lineY)
-        .stroke();
-      doc.moveDown(2);
-
-      // Title
-      doc
-        .font("Helvetica-Bold")
-        .fontSize(24)
-        .text("Certificate of Completion", { align: "center" });
-      doc.moveDown(1.2);
-
-      // ----- Student photo (circle, left) -----
-      if (payload.image_url) {
-        const studentBuf = await fetchBuffer(payload.image_url);
-        if (studentBuf) {
-          const size = 140;
-          const x = 70;
-          const y = lineY + 50;
-
-          doc.save();
-          doc.circle(x + size / 2, y + size / 2, size / 2).clip();
-          doc.image(studentBuf, x, y, { width: size, height: size });
-          doc.restore();
-
-          // border ring
-          doc
-            .circle(x + size / 2, y + size / 2, size / 2)
-            .lineWidth(2)
-            .strokeColor("#999")
-            .stroke();
-        }
-      }
+async function resolveSignatories(req, template, { withImages = false } = {}) {
+  const ids = parseSignatoryIds(req.body?.signatory_ids);
+  if (!ids) return { error: "signatory_ids must be a JSON array or a comma-separated list" };
+  if (new Set(ids).size !== ids.length)
+    return { error: "signatory_ids has duplicates" };
+
+  const slots = (template?.definition ?? DEFAULT_TEMPLATE).signatures || [];
+  if (ids.length > slots.length)
+    return {
+      error: `The template has ${slots.length} signature slot(s), got ${ids.length} signatories`,
+    };
+
+  const signatories = await loadSignatories(ids, {
+    institutionId: req.user.institutionId,
+    activeOnly: true,
+    withImages,
+  });
+  if (!signatories)
+    return { error: "signatory_ids contains an unknown or retired signatory" };
+  return { signatories };
+}
 
-      // ----- Main content -----
-      doc.moveDown(1.5);
-      doc
-        .font("Helvetica-Bold")
-        .fontSize(28)
-        .text(payload.full_name || "Recipient Name", { align: "center" });
-
-      doc.moveDown(0.6);
-      if (payload.program) {
-        doc
-          .font("Helvetica")
-          .fontSize(18)
-          .text(`has successfully completed the program: ${payload.program}`, {
-            align: "center",
-          });
-      }
+/**
+ * Read the uploaded sheet with the requested mapping and sheet selection.
+ * Returns { rows } or { error, field } naming the input at fault.
+ */
+async function readUpload(req) {
+  const { mapping, error } = await resolveMapping(req);
+  if (error) return { error, field: "mapping_id" };
+  const result = readSheet(req.file, { sheet: req.body.sheet ?? "", mapping });
+  return result.error ? { ...result, field: "file" } : result;
+}
 
-      if (payload.certificate) {
-        doc.moveDown(0.4);
-        doc
-          .font("Helvetica")
-          .fontSize(18)
-          .text(`Awarded: ${payload.certificate}`, { align: "center" });
-      }
+// POST /certificates/generate  -> queues a job, poll GET /certificates/jobs/:id
+// The institution always comes from the caller's token, never the body.
+// multipart: file (xlsx/xls/csv/ods), logo_url?,
+//            sheet? (name | "all"), mapping_id? | mapping? (JSON), template_id?,
+//            signatory_ids? (JSON array or comma-separated, in slot order),
+//            cgpa_max? (default 5; rows the preview reports as errors fail),
+//            send_email? ("true" emails everyone with an Email column once the
+//            batch is done), email_subject?, email_body? (see DEFAULT_EMAIL)
+const generateBody = validate({
+  body: {
+    ...UPLOAD_FIELDS,
+    send_email: v.boolean().default(false),
+    email_subject: v.string({ max: 200 }).optional(),
+    email_body: v.string({ max: 10000 }).optional(),
+  },
+});
+router.post(
+  "/generate",
+  requireAuth,
+  allowRoles("admin", "registrar", { scopes: ["certificates:issue"] }),
+  upload.single("file"), // spreadsheet field name: "file"
+  generateBody,
+  async (req, res) => {
+    const institution = await getInstitution(req.user.institutionId);
+    if (!institution)
+      return forbidden(res, "Institution not found");
+    // optional, defaults to the institution's logo
+    const logoUrl = (req.body.logo_url || institution.logo_url || "").trim();
+
+    const { rows, error, field } = await readUpload(req);
+    if (error) return invalidField(res, field, error);
+    const { template, error: tErr } = await resolveTemplate(req);
+    if (tErr) return invalidField(res, "template_id", tErr);
+    const { signatories, error: sErr } = await resolveSignatories(req, template);
+    if (sErr) return invalidField(res, "signatory_ids", sErr);
+
+    const job = await createGenerationJob({
+      rows,
+      institutionId: institution.id,
+      institutionName: institution.name,
+      logoUrl,
+      issueDate: dayjs().format("YYYY-MM-DD"),
+      cgpaMax: req.body.cgpa_max,
+      createdBy: req.user?.id || null,
+      apiKeyId: req.user.apiKeyId || null,
+      templateId: template?.id || null,
+      signatoryIds: signatories.map((s) => s.id),
+      sendEmail: req.body.send_email,
+      emailSubject: req.body.email_subject ?? null,
+      emailBody: req.body.email_body ?? null,
+    });
 
-      if (payload.cgpa) {
-        doc.moveDown(0.4);
-        doc
-          .font("Helvetica")
-          .fontSize(18)
-          .text(`CGPA: ${payload.cgpa}`, { align: "center" });
-      }
+    return res.status(202).json({
+      jobId: job.id,
+      status: job.status,
+      total: job.total,
+    });
+  }
+);
 
-      doc.moveDown(1.2);
-      doc
-        .font("Helvetica-Oblique")
-        .fontSize(14)
-        .text(`Issued on: ${payload.issue_date}`, { align: "center" });
-      doc.text(`Certificate ID: ${payload.certificate_id}`, {
-        align: "center",
+// POST /certificates/generate/preview  -> dry run: per-row report + sample PDF
+// Writes nothing: no storage upload, no certificates row, no job.
+// check_images=true also fetches the Image Url links (the first
+// IMAGE_CHECK_LIMIT distinct ones) to catch dead or non-PNG/JPEG images.
+const previewBody = validate({
+  body: {
+    ...UPLOAD_FIELDS,
+    check_images: v.boolean().default(false),
+  },
+});
+router.post(
+  "/generate/preview",
+  requireAuth,
+  allowRoles("admin", "registrar", { scopes: ["certificates:issue"] }),
+  upload.single("file"),
+  previewBody,
+  async (req, res) => {
+    const institution = await getInstitution(req.user.institutionId);
+    if (!institution)
+      return forbidden(res, "Institution not found");
+    const logoUrl = (req.body.logo_url || institution.logo_url || "").trim();
+    const cgpaMax = req.body.cgpa_max;
+
+    const { rows, error, field } = await readUpload(req);
+    if (error) return invalidField(res, field, error);
+    const { template, error: tErr } = await resolveTemplate(req);
+    if (tErr) return invalidField(res, "template_id", tErr);
+    const { signatories, error: sErr } = await resolveSignatories(req, template, {
+      withImages: true,
+    });
+    if (sErr) return invalidField(res, "signatory_ids", sErr);
+
+    const report = validateRows(rows, { cgpaMax });
+    const images = req.body.check_images ? await checkImages(rows, report) : null;
+
+    // sample PDF from the first row without errors
+    const firstValid = report.findIndex((r) => !r.errors.length);
+    let sample = null;
+    if (firstValid !== -1) {
+      const payload = issuePayload({
+        row: rows[firstValid],
+        certificateId: "PREVIEW",
+        institutionName: institution.name,
+        logoUrl,
+        issueDate: dayjs().format("YYYY-MM-DD"),
       });
+      payload.signatories = signatories;
+      // a photo link to an internal address is left out, not fetched
+      if (payload.image_url && (await publicUrlError(payload.image_url)))
+        payload.image_url = "";
+      const pdf = await renderCertificatePDF(payload, template?.definition);
+      sample = { row: report[firstValid].row, pdf: pdf.toString("base64") };
+    }
 
-      // ----- QR code bottom-right -----
-      if (payload.verify_url) {
-        const qrDataUrl = await QRCode.toDataURL(payload.verify_url);
-        const qrImg = Buffer.from(qrDataUrl.split(",")[1], "base64");
-        const qrSize = 120;
-        const qrX = doc.page.width - qrSize - 60;
-        const qrY = doc.page.height - qrSize - 60;
-        doc.image(qrImg, qrX, qrY, { width: qrSize });
-        doc
-          .font("Helvetica")
-          .fontSize(10)
-          .fillColor("#666")
-          .text("Scan to verify", qrX, qrY - 16, {
-            width: qrSize,
-            align: "center",
-          });
-        doc.fillColor("black");
-      }
-
-      // ----- Signature lines -----
-      const sigY = doc.page.height - 110;
-      doc
-        .font("Helvetica")
-        .fontSize(12)
-        .text("_____________________", 120, sigY);
-      doc.text("Dean", 170, sigY + 18);
+    return res.json({
+      total: report.length,
+      valid: report.filter((r) => !r.errors.length).length,
+      withErrors: report.filter((r) => r.errors.length).length,
+      withWarnings: report.filter((r) => r.warnings.length).length,
+      images,
+      rows: report,
+      sample,
+    });
+  }
+);
 
-      doc.text("_____________________", doc.page.width / 2, sigY);
-      doc.text("Registrar", doc.page.width / 2 + 45, sigY + 18);
+/** Load a job scoped to the caller's institution, or null. */
+const findCallerJob = (req) =>
+  findJob(req.params.jobId, { institutionId: req.user.institutionId });
 
-      doc.end();
-    } catch (err) {
-      reject(err);
-    }
-  });
-}
-const upload = multer({ storage: multer.memoryStorage() });
-const router = express.Router();
+const byJobId = validate({ params: { jobId: v.uuid() } });
 
-/** Upload a pdf buffer to Supabase Storage and return { path, publicUrl? } */
-async function uploadPdfToStorage(
-  buffer,
-  objectPath,
-  { publicBucket = true } = {}
-) {
-  const { error: upErr } = await supabase.storage
-    .from("certificates")
-    .upload(objectPath, buffer, {
-      contentType: "application/pdf",
-      upsert: true,
+// GET /certificates/jobs/:jobId?rowStatus=failed&page=1&pageSize=100
+const jobQuery = validate({
+  params: { jobId: v.uuid() },
+  query: {
+    rowStatus: v.oneOf(["pending", "succeeded", "failed"]).optional(),
+    page: v.int({ min: 1 }).default(1),
+    pageSize: v.int({ min: 1, max: 1000 }).default(100),
+  },
+});
+router.get(
+  "/jobs/:jobId",
+  requireAuth,
+  allowRoles("admin", "registrar", {
+    scopes: ["certificates:issue", "certificates:read"],
+  }),
+  jobQuery,
+  async (req, res) => {
+    const job = await findCallerJob(req);
+    if (!job) return notFound(res);
+
+    const { page, pageSize, rowStatus } = req.query;
+    const rows = await listJobRows(job.id, {
+      status: rowStatus,
+      offset: (page - 1) * pageSize,
+      limit: pageSize,
     });
-  if (upErr) throw upErr;
 
-  if (publicBucket) {
-    const { data } = supabase.storage
-      .from("certificates")
-      .getPublicUrl(objectPath);
-    return { path: objectPath, url: data.publicUrl };
+    const counts = await getJobCounts(job.id);
+    return res.json({
+      ...job,
+      progress: {
+        ...counts,
+        done: counts.succeeded + counts.failed,
+        percent: job.total
+          ? Math.round(((counts.succeeded + counts.failed) / job.total) * 100)
+          : 100,
+      },
+      page,
+      pageSize,
+      rows,
+    });
   }
-  return { path: objectPath, url: null };
-}
+);
 
-// POST /certificates/generate  (returns JSON, not a file download)
+// POST /certificates/jobs/:jobId/retry  -> re-run only the failed rows
 router.post(
-  "/generate",
+  "/jobs/:jobId/retry",
   requireAuth,
-  allowRoles("admin", "registrar"),
-  upload.single("file"), // Excel file field name: "file"
+  allowRoles("admin", "registrar", { scopes: ["certificates:issue"] }),
+  byJobId,
   async (req, res) => {
-    try {
-      const institutionName = (req.body.institution_name || "").trim();
-      const logoUrl = (req.body.logo_url || "").trim(); // optional
-      if (!institutionName)
-        return res.status(400).json({ error: "institution_name is required" });
-      if (!req.file)
-        return res.status(400).json({ error: "Excel file (file) is required" });
-
-      // parse Excel
-      const wb = xlsx.read(req.file.buffer, { type: "buffer" });
-      const ws = wb.Sheets[wb.SheetNames[0]];
-      const rows = xlsx.utils.sheet_to_json(ws, { defval: "" });
-      if (!rows.length)
-        return res.status(400).json({ error: "No rows in Excel" });
-
-      const required = ["Full Name", "Program", "Certificate", "CGPA"];
-      const hasCols = required.every((c) => c in rows[0]);
-      if (!hasCols)
-        return res
-          .status(400)
-          .json({ error: `Missing required columns: ${required.join(", ")}` });
-
-      const issueDate = dayjs().format("YYYY-MM-DD");
-      const publicBase =
-        process.env.PUBLIC_BASE_URL || "https://zap-server-z2ra.onrender.com";
-      const createdBy = req.user?.id || null;
-
-      const inserted = [];
-
-      for (const row of rows) {
-        const certificateId = uuidv4();
-        const verifyUrl = `${publicBase}/certificates/verify/${certificateId}`;
-
-        const payload = {
-          institution_name: institutionName,
-          full_name: String(row["Full Name"] || "").trim(),
-          program: String(row["Program"] || "").trim(),
-          certificate: String(row["Certificate"] || "").trim(),
-          cgpa: String(row["CGPA"] || "").trim(),
-          image_url: String(row["Image Url"] || "").trim(),
-          logo_url: logoUrl,
-          certificate_id: certificateId,
-          verify_url: verifyUrl,
-          issue_date: issueDate,
-        };
-
-        // generate PDF buffer
-        const pdfBuf = await renderCertificatePDF(payload);
-
-        // upload to storage
-        const safeName =
-          payload.full_name.replace(/[\/\\:*?"<>|]/g, "-") || "recipient";
-        const objectPath = `certificates/${certificateId}/${safeName}.pdf`;
-        const { path: pdf_path, url: pdf_url } = await uploadPdfToStorage(
-          pdfBuf,
-          objectPath,
-          {
-            publicBucket: true, // set false if bucket is private
-          }
-        );
-
-        // insert metadata row
-        const { data, error } = await supabase
-          .from("certificates")
-          .insert({
-            certificate_id: certificateId,
-            full_name: payload.full_name,
-            program: payload.program,
-            certificate: payload.certificate,
-            cgpa: payload.cgpa,
-            institution_name: payload.institution_name,
-            image_url: payload.image_url || null,
-            logo_url: payload.logo_url || null,
-            pdf_path,
-            pdf_url, // null if bucket is private
-            verify_url: payload.verify_url,
-            status: "valid",
-            created_by: createdBy,
-          })
-          .select()
-          .single();
+    const job = await findCallerJob(req);
+    if (!job) return notFound(res);
+    if (["queued", "running"].includes(job.status))
+      return conflict(res, "Job is still running");
 
-        if (error) throw error;
+    const retried = await retryFailedRows(job.id);
+    return res.status(202).json({ jobId: job.id, retried });
+  }
+);
 
-        inserted.push(data);
-      }
+// PATCH /certificates/jobs/:jobId/rows/:rowIndex
+//   { "Full Name"?, Program?, Certificate?, CGPA?, "Image Url"?, Email? }
+// Corrects a failed row's cells (blank clears one); POST .../retry issues it.
+const ROW_COLUMNS = ["Full Name", "Program", "Certificate", "CGPA", "Image Url", "Email"];
+const rowCorrection = validate({
+  params: { jobId: v.uuid(), rowIndex: v.int({ min: 0 }) },
+  body: Object.fromEntries(ROW_COLUMNS.map((c) => [c, v.string().nullable()])),
+});
+router.patch(
+  "/jobs/:jobId/rows/:rowIndex",
+  requireAuth,
+  allowRoles("admin", "registrar", { scopes: ["certificates:issue"] }),
+  rowCorrection,
+  async (req, res) => {
+    const job = await findCallerJob(req);
+    if (!job) return notFound(res);
+    if (["queued", "running"].includes(job.status))
+      return conflict(res, "Job is still running");
+
+    const cells = Object.fromEntries(
+      ROW_COLUMNS.filter((c) => req.body[c] !== undefined).map((c) => [c, req.body[c] ?? ""])
+    );
+    if (!Object.keys(cells).length)
+      return badRequest(res, `Nothing to change; send any of: ${ROW_COLUMNS.join(", ")}`);
+
+    const row = await correctFailedRow(job.id, req.params.rowIndex, cells);
+    if (!row) return notFound(res, "No failed row with that index");
+    return res.json(row);
+  }
+);
 
-      // return JSON list so your UI can:
-      // - show table
-      // - “Download” per row (use pdf_url or sign a URL)
-      // - “Download all” (call a separate endpoint)
-      return res.json({
-        count: inserted.length,
-        items: inserted,
-      });
-    } catch (err) {
-      console.error(err);
-      return res.status(500).json({ error: "Generation failed" });
-    }
+// POST /certificates/jobs/:jobId/email  -> email everyone in the batch not emailed yet
+router.post(
+  "/jobs/:jobId/email",
+  requireAuth,
+  allowRoles("admin", "registrar", { scopes: ["certificates:issue"] }),
+  byJobId,
+  async (req, res) => {
+    const job = await findCallerJob(req);
+    if (!job) return notFound(res);
+    if (["queued", "running"].includes(job.status))
+      return conflict(res, "Job is still running");
+
+    const queued = await queueBatchEmails(job.id);
+    return res.status(202).json({ jobId: job.id, queued });
   }
 );
 
+/** Filters and sort from a query string or body checked against LIST_FIELDS. */
+function listParams(source) {
+  return { filters: parseFilters(source), sort: parseSort(source.sort).sort };
+}
+
+/**
+ * Every certificate of the institution matching the filters, in sort order,
+ * up to `limit` rows. Walks with the cursor so every page costs the same.
+ */
+async function fetchMatching(institutionId, { filters, sort, columns, limit }) {
+  columns = [...new Set([...columns, "certificate_id"])];
+  const rows = [];
+  let after = null;
+  do {
+    const page = await pageCertificates(institutionId, {
+      filters,
+      sort,
+      after,
+      limit: Math.min(1000, limit - rows.length),
+      columns,
+    });
+    rows.push(...page.items);
+    after = page.next;
+  } while (after && rows.length < limit);
+  return rows;
+}
+
+const MAX_PAGE_SIZE = 100;
+
+const certificateParams = { certificateId: v.string({ max: 100 }) };
+const byCertificateId = validate({ params: certificateParams });
+
 // GET /certificates  (list/paginate)
+//   filters: see LIST_FIELDS; sort=<column> or -<column>
+//   page=&pageSize= for numbered pages, or cursor= (empty for the first
+//   page) to walk large tables; the response then carries nextCursor
+const listQuery = validate({
+  query: {
+    ...LIST_FIELDS,
+    page: v.int({ min: 1 }).default(1),
+    pageSize: v.int({ min: 1, max: MAX_PAGE_SIZE }).default(20),
+    // blank comes through as null: the first page
+    cursor: v.string({ max: 1000 }).nullable(),
+  },
+});
+const invalidCursor = (res, message) =>
+  badRequest(res, message, {
+    code: "invalid_cursor",
+    details: [{ location: "query", field: "cursor", message }],
+  });
 router.get(
   "/",
   requireAuth,
-  allowRoles("admin", "registrar", "staff"),
+  allowRoles("admin", "registrar", "staff", { scopes: ["certificates:read"] }),
+  listQuery,
   async (req, res) => {
-    const { page = "1", pageSize = "20", q = "" } = req.query;
-    const from = (Number(page) - 1) * Number(pageSize);
-    const to = from + Number(pageSize) - 1;
-
-    let query = supabase
-      .from("certificates")
-      .select("*", { count: "exact" })
-      .order("created_at", { ascending: false });
-
-    if (q) {
-      // very simple filter on name or certificate_id
-      query = query
-        .ilike("full_name", `%${q}%`)
-        .or(`certificate_id.ilike.%${q}%`);
+    const { filters, sort } = listParams(req.query);
+    const { page, pageSize } = req.query;
+    const useCursor = req.query.cursor !== undefined;
+
+    const institutionId = req.user.institutionId;
+
+    if (useCursor) {
+      let after = null;
+      if (req.query.cursor) {
+        const cursor = decodeCursor(req.query.cursor);
+        if (!cursor) return invalidCursor(res, "cursor is invalid");
+        // a cursor only makes sense in the order it came from
+        if (cursor.sort !== sortParam(sort))
+          return invalidCursor(
+            res,
+            `cursor is for sort=${cursor.sort}; leave it out to start over in another order`
+          );
+        after = cursor.after;
+      }
+      const { items, next } = await pageCertificates(institutionId, {
+        filters,
+        sort,
+        after,
+        limit: pageSize,
+      });
+      return res.json({
+        pageSize,
+        sort: sortParam(sort),
+        items,
+        nextCursor: next ? encodeCursor(sort, next) : null,
+      });
     }
 
-    const { data, error, count } = await query.range(from, to);
-    if (error) return res.status(500).json({ error: error.message });
+    const [items, count] = await Promise.all([
+      listCertificates(institutionId, {
+        filters,
+        sort,
+        offset: (page - 1) * pageSize,
+        limit: pageSize,
+      }),
+      countCertificates(institutionId, filters),
+    ]);
 
     res.json({
-      page: Number(page),
-      pageSize: Number(pageSize),
+      page,
+      pageSize,
       count,
-      items: data,
+      items,
     });
   }
 );
 
+const EXPORT_LIMIT = 50000;
+const EXPORT_COLUMNS = {
+  certificate_id: "Certificate ID",
+  full_name: "Full Name",
+  program: "Program",
+  certificate: "Certificate",
+  cgpa: "CGPA",
+  status: "Status",
+  status_reason: "Status Reason",
+  created_at: "Issued At",
+  version: "Version",
+  reissued_at: "Reissued At",
+  job_id: "Batch",
+  created_by: "Created By",
+  verify_url: "Verify URL",
+};
+
+// a cell starting with one of these runs as a formula when the sheet is
+// opened in a spreadsheet app; names and programs come from uploaded sheets
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+/** A value as a sheet cell: dates as ISO text, formula-like text quoted with '. */
+function sheetCell(value) {
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === "string" && FORMULA_START.test(value)) return `'${value}`;
+  return value ?? "";
+}
+
+/** Rows as a one-sheet CSV or XLSX file; `columns` maps key -> header. */
+function sheetBuffer(rows, columns, format) {
+  const sheet = xlsx.utils.json_to_sheet(
+    rows.map((r) =>
+      Object.fromEntries(
+        Object.entries(columns).map(([k, header]) => [header, sheetCell(r[k])])
+      )
+    ),
+    { header: Object.values(columns) }
+  );
+  const book = xlsx.utils.book_new();
+  xlsx.utils.book_append_sheet(book, sheet, "Certificates");
+  return xlsx.write(book, { type: "buffer", bookType: format });
+}
+
+// GET /certificates/export?format=csv|xlsx  (same filters and sort as the list)
+const exportQuery = validate({
+  query: { ...LIST_FIELDS, format: v.oneOf(["csv", "xlsx"]).default("csv") },
+});
+router.get(
+  "/export",
+  requireAuth,
+  allowRoles("admin", "registrar", { scopes: ["certificates:read"] }),
+  exportQuery,
+  async (req, res) => {
+    const { format } = req.query;
+    const { filters, sort } = listParams(req.query);
+
+    const rows = await fetchMatching(req.user.institutionId, {
+      filters,
+      sort,
+      columns: Object.keys(EXPORT_COLUMNS),
+      limit: EXPORT_LIMIT + 1,
+    });
+    if (rows.length > EXPORT_LIMIT)
+      return badRequest(
+        res,
+        `More than ${EXPORT_LIMIT} certificates match; narrow the filters`
+      );
+
+    const buf = sheetBuffer(rows, EXPORT_COLUMNS, format);
+
+    const stamp = dayjs().format("YYYYMMDD-HHmm");
+    res.set(
+      "Content-Disposition",
+      `attachment; filename="certificates-${stamp}.${format}"`
+    );
+    res.type(
+      format === "csv"
+        ? "text/csv"
+        : "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+    );
+    return res.send(buf);
+  }
+);
+
 // GET /certificates/download/:id  -> stream a single PDF (or redirect)
 router.get(
   "/download/:certificateId",
   requireAuth,
-  allowRoles("admin", "registrar"),
+  allowRoles("admin", "registrar", { scopes: ["certificates:read"] }),
+  byCertificateId,
   async (req, res) => {
     // If bucket is public and you stored pdf_url, you can 302 redirect:
-    const { data, error } = await supabase
-      .from("certificates")
-      .select("pdf_url, pdf_path")
-      .eq("certificate_id", req.params.certificateId)
-      .single();
-
-    if (error || !data) return res.status(404).json({ error: "Not found" });
+    const data = await findCertificate(req.params.certificateId, {
+      institutionId: req.user.institutionId,
+      columns: ["pdf_url", "pdf_path"],
+    });
+    if (!data) return notFound(res);
 
     // If public URL exists, redirect
     if (data.pdf_url) return res.redirect(302, data.pdf_url);
 
-    // If private bucket: sign a URL and redirect
-    const { data: signed, error: signErr } = await supabase.storage
-      .from("certificates")
-      .createSignedUrl(data.pdf_path, 60); // 60s
-    if (signErr) return res.status(500).json({ error: "Signing failed" });
-
-    return res.redirect(302, signed.signedUrl);
+    // If private storage: sign a URL and redirect
+    const signedUrl = await getStorage().signedUrl(data.pdf_path, 60); // 60s
+    return res.redirect(302, signedUrl);
   }
 );
 
-// GET /certificates/download-all  -> build a ZIP on the fly
 import archiver from "archiver";
-import { supabase } from "../lib/supabase.js";
+import { getStorage } from "../lib/storage/index.js";
+import {
+  clientInfo,
+  findCertificateToVerify,
+  findCertificates,
+  namesMatch,
+  notFoundResult,
+  recordVerifications,
+  verificationResult,
+} from "../lib/verification.js";
+import { emitEvent } from "../lib/webhooks.js";
+import { eachLimit } from "../utils/concurrency.js";
+import {
+  queueBatchEmails,
+  queueCertificateEmails,
+} from "../lib/certificateEmails.js";
+import { checkCredential } from "../lib/credentials.js";
+import { diffChanges, reissueCertificate } from "../lib/reissue.js";
 import { allowRoles, requireAuth } from "./auth.js";
+import { rateLimit } from "../middleware/rateLimit.js";
+import { invalidField, validate } from "../middleware/validate.js";
+import {
+  badRequest,
+  conflict,
+  forbidden,
+  notFound,
+  sendError,
+} from "../utils/responses.js";
+import { v } from "../utils/schema.js";
+import {
+  countCertificates,
+  findCertificate,
+  findCertificatesByIds,
+  listCertificates,
+  listVersions,
+  pageCertificates,
+  setRecipientEmail,
+  updateCertificateStatus,
+} from "../repositories/certificates.js";
+import { getInstitution } from "../repositories/institutions.js";
+import { correctFailedRow, findJob, listJobRows } from "../repositories/jobs.js";
+import { findMapping } from "../repositories/mappings.js";
+import { findTemplate } from "../repositories/templates.js";
+
+// GET|POST /certificates/download-all  -> build a ZIP on the fly
+//   ids (array, or comma-separated in the query), or the list filters
+//   (job_id picks a batch) and sort. Includes manifest.csv listing every
+//   selected certificate and whether its PDF made it into the archive.
+const ZIP_LIMIT = 1000;
+const ZIP_CONCURRENCY = 5;
+const MANIFEST_COLUMNS = {
+  file: "File",
+  certificate_id: "Certificate ID",
+  full_name: "Full Name",
+  program: "Program",
+  certificate: "Certificate",
+  cgpa: "CGPA",
+  status: "Status",
+  created_at: "Issued At",
+  version: "Version",
+  error: "Error",
+};
+const ZIP_FIELDS = {
+  ...LIST_FIELDS,
+  ids: v.array(v.uuid(), { min: 1, max: ZIP_LIMIT }).optional(),
+};
+const zipQuery = validate({ query: ZIP_FIELDS, body: ZIP_FIELDS });
+
+/** The certificates a download-all request asks for: { rows } or { error }. */
+async function zipSelection(req) {
+  const source = { ...req.query, ...req.body };
+  const { filters, sort } = listParams(source);
+  const columns = [...Object.keys(MANIFEST_COLUMNS).slice(1, -1), "pdf_path"];
+
+  if (source.ids === undefined) {
+    const rows = await fetchMatching(req.user.institutionId, {
+      filters,
+      sort,
+      columns,
+      limit: ZIP_LIMIT + 1,
+    });
+    if (rows.length > ZIP_LIMIT)
+      return {
+        error: `More than ${ZIP_LIMIT} certificates match; narrow the filters or pick ids`,
+      };
+    return { rows };
+  }
+
+  const unique = [...new Set(source.ids)];
+  const rows = await findCertificatesByIds(unique, {
+    institutionId: req.user.institutionId,
+    columns: [...columns, "certificate_id"],
+  });
+  // keep the order they were asked in; unknown ids are listed as missing
+  const byId = new Map(rows.map((r) => [r.certificate_id, r]));
+  return {
+    rows: unique.map(
+      (id) => byId.get(id) || { certificate_id: id, missing: true }
+    ),
+  };
+}
+
+/** "Ada.pdf", then "Ada (2).pdf", ... so namesakes don't overwrite each other. */
+function distinctNames() {
+  const used = new Set();
+  return (base) => {
+    const safe =
+      String(base || "").replace(/[\/\\:*?"<>|]/g, "-").trim() || "certificate";
+    let name = `${safe}.pdf`;
+    for (let n = 2; used.has(name.toLowerCase()); n++) name = `${safe} (${n}).pdf`;
+    used.add(name.toLowerCase());
+    return name;
+  };
+}
+
+async function downloadAll(req, res) {
+  const { rows, error } = await zipSelection(req);
+  if (error) return badRequest(res, error);
+
+  res.writeHead(200, {
+    "Content-Type": "application/zip",
+    "Content-Disposition": 'attachment; filename="certificates.zip"',
+  });
+
+  const archive = archiver("zip", { zlib: { level: 9 } });
+  let stopped = false;
+  // headers are gone by now, so a failure can only cut the download short
+  archive.on("error", (e) => {
+    console.error("download-all archive error:", e);
+    stopped = true;
+    res.destroy(e);
+  });
+  archive.on("warning", (e) => console.warn("download-all archive warning:", e));
+  res.on("close", () => {
+    if (!res.writableFinished) {
+      stopped = true;
+      archive.abort();
+    }
+  });
+  archive.pipe(res);
+
+  // names are settled up front so they follow the selection order
+  const nameFor = distinctNames();
+  for (const row of rows) if (!row.missing) row.file = nameFor(row.full_name);
+
+  const storage = getStorage();
+  await eachLimit(rows, ZIP_CONCURRENCY, async (row) => {
+    if (stopped) return;
+    if (row.missing) {
+      row.error = "Certificate not found";
+      return;
+    }
+    try {
+      const buff = row.pdf_path ? await storage.get(row.pdf_path) : null;
+      if (!buff) throw new Error("PDF not found in storage");
+      if (!stopped) archive.append(buff, { name: row.file });
+    } catch (e) {
+      row.error = e.message || "Failed to fetch PDF";
+      row.file = "";
+    }
+  });
+  if (stopped) return;
+
+  archive.append(sheetBuffer(rows, MANIFEST_COLUMNS, "csv"), {
+    name: "manifest.csv",
+  });
+  await archive.finalize();
+}
+
+const downloadAllAccess = [
+  requireAuth,
+  allowRoles("admin", "registrar", { scopes: ["certificates:read"] }),
+  zipQuery,
+];
+router.get("/download-all", ...downloadAllAccess, downloadAll);
+router.post("/download-all", ...downloadAllAccess, downloadAll);
 
 router.get(
-  "/download-all",
+  "/home",
+  requireAuth,
+  allowRoles("admin", "registrar", "staff", { scopes: ["certificates:read"] }),
+  async (req, res) => {
+    const institutionId = req.user.institutionId; // 👈 from JWT
+    const todayIso = new Date().toISOString().slice(0, 10); // YYYY-MM-DD
+    const today = new Date(`${todayIso}T00:00:00Z`);
+
+    const [totalCount, todayCount, latest] = await Promise.all([
+      countCertificates(institutionId), // total (scoped)
+      countCertificates(institutionId, {}, { since: today }), // today (scoped)
+      listCertificates(institutionId, { sort: parseSort("-created_at").sort, limit: 10 }),
+    ]);
+
+    res.json({ totalCount, todayCount, latest });
+  }
+);
+
+const reasonBody = { reason: v.string({ max: 1000 }) };
+
+// POST /certificates/:certificateId/{revoke,suspend,reinstate}  { reason }
+const statusBody = validate({ params: certificateParams, body: reasonBody });
+for (const [action, { from, to }] of Object.entries(STATUS_ACTIONS)) {
+  router.post(
+    `/:certificateId/${action}`,
+    requireAuth,
+    allowRoles("admin", "registrar"),
+    statusBody,
+    async (req, res) => {
+      const certificateId = req.params.certificateId;
+      const { reason } = req.body;
+
+      const cert = await findCertificate(certificateId, {
+        institutionId: req.user.institutionId,
+        columns: ["certificate_id", "status"],
+      });
+      if (!cert) return notFound(res);
+
+      if (!from.includes(cert.status))
+        return conflict(res, `Cannot ${action} a ${cert.status} certificate`);
+
+      // only update if nobody changed the status since we read it
+      const data = await updateCertificateStatus(
+        certificateId,
+        req.user.institutionId,
+        cert.status,
+        { status: to, reason, changedBy: req.user.id }
+      );
+      if (!data)
+        return conflict(res, "Certificate status changed, try again");
+
+      await emitEvent(req.user.institutionId, "certificate.status_changed", {
+        certificate_id: certificateId,
+        from: cert.status,
+        to,
+        reason,
+        changed_at: data.status_changed_at,
+      });
+      return res.json(data);
+    }
+  );
+}
+
+// POST /certificates/:certificateId/reissue  { changes: { full_name?, ... }, reason }
+// corrects the certificate in place: same id, next version, fresh PDF
+const reissueBody = validate({
+  params: certificateParams,
+  body: { ...reasonBody, changes: v.object({}) },
+});
+router.post(
+  "/:certificateId/reissue",
   requireAuth,
   allowRoles("admin", "registrar"),
+  reissueBody,
   async (req, res) => {
-    // fetch recent N or all (careful with huge sets)
-    const { data, error } = await supabase
-      .from("certificates")
-      .select("full_name, pdf_path, pdf_url")
-      .order("created_at", { ascending: false })
-      .limit(1000);
-    if (error) return res.status(500).json({ error: error.message });
-
-    res.writeHead(200, {
-      "Content-Type": "application/zip",
-      "Content-Disposition": 'attachment; filename="certificates.zip"',
-    });
+    const certificateId = req.params.certificateId;
+    const { reason } = req.body;
 
-    const archive = archiver("zip", { zlib: { level: 9 } });
-    archive.on("error", (e) => {
-      throw e;
+    const cert = await findCertificate(certificateId, {
+      institutionId: req.user.institutionId,
     });
-    archive.pipe(res);
-
-    // For each file, get a signed URL (if private) and fetch bytes, then append
-    for (const row of data) {
-      let fileUrl = row.pdf_url;
-      if (!fileUrl) {
-        const { data: signed } = await supabase.storage
-          .from("certificates")
-          .createSignedUrl(row.pdf_path, 60);
-        fileUrl = signed.signedUrl;
-      }
+    if (!cert) return notFound(res);
+    if (cert.status === "revoked")
+      return conflict(res, "Cannot reissue a revoked certificate");
+
+    const { changes, error: cErr } = diffChanges(cert, req.body.changes);
+    if (cErr) return invalidField(res, "changes", cErr);
+    if (!Object.keys(changes).length)
+      return invalidField(res, "changes", "Nothing to change");
+
+    const result = await reissueCertificate({
+      cert,
+      changes,
+      reason,
+      changedBy: req.user.id,
+    });
+    if (result.error) return sendError(res, result.status, result.error);
+
+    await emitEvent(req.user.institutionId, "certificate.reissued", {
+      certificate_id: certificateId,
+      version: result.certificate.version,
+      changes,
+      reason,
+      reissued_at: result.certificate.reissued_at,
+    });
+    return res.json(result.certificate);
+  }
+);
 
-      const resp = await fetch(fileUrl);
-      if (!resp.ok) continue;
-      const buff = Buffer.from(await resp.arrayBuffer());
-      const name = `${row.full_name.replace(/[\/\\:*?"<>|]/g, "-")}.pdf`;
-      archive.append(buff, { name });
-    }
+// POST /certificates/:certificateId/email  { email? }
+// (re)send the certificate to its holder; `email` corrects the address first
+const emailBody = validate({
+  params: certificateParams,
+  body: { email: v.email().optional() },
+});
+router.post(
+  "/:certificateId/email",
+  requireAuth,
+  allowRoles("admin", "registrar"),
+  emailBody,
+  async (req, res) => {
+    const certificateId = req.params.certificateId;
+    const email = req.body.email?.toLowerCase();
 
-    await archive.finalize();
+    const cert = await findCertificate(certificateId, {
+      institutionId: req.user.institutionId,
+      columns: ["certificate_id", "status", "recipient_email", "email_status"],
+    });
+    if (!cert) return notFound(res);
+    if (cert.status !== "valid")
+      return conflict(res, `Cannot email a ${cert.status} certificate`);
+    if (!email && !cert.recipient_email)
+      return invalidField(res, "email", "The certificate has no email address; send `email`");
+    if (["queued", "sending"].includes(cert.email_status))
+      return conflict(res, "An email is already on its way");
+
+    if (email && email !== cert.recipient_email)
+      await setRecipientEmail(certificateId, email);
+    const queued = await queueCertificateEmails(req.user.institutionId, [certificateId]);
+    if (!queued.length)
+      return conflict(res, "An email is already on its way");
+
+    return res.status(202).json({
+      certificate_id: certificateId,
+      recipient_email: email || cert.recipient_email,
+      email_status: "queued",
+    });
   }
 );
 
+// GET /certificates/:certificateId/versions  -> current + superseded versions
+const VERSION_COLUMNS = [
+  "certificate_id", "version", "full_name", "program", "certificate", "cgpa", "image_url",
+  "pdf_path", "pdf_url", "signing_kid", "created_at", "reissued_at",
+];
 router.get(
-  "/home",
+  "/:certificateId/versions",
   requireAuth,
-  allowRoles("admin", "registrar", "staff"),
+  allowRoles("admin", "registrar", "staff", { scopes: ["certificates:read"] }),
+  byCertificateId,
   async (req, res) => {
-    try {
-      const institution = req.user.institution; // 👈 from JWT
-      const todayIso = new Date().toISOString().slice(0, 10); // YYYY-MM-DD
-
-      console.log("Fetching home summary for", req.user);
-
-      // total (scoped)
-      const { count: totalCount, error: cErr } = await supabase
-        .from("certificates")
-        .select("*", { count: "exact", head: true })
-        .eq("institution_name", institution);
-      if (cErr) throw cErr;
-
-      // today (scoped)
-      const { count: todayCount, error: tErr } = await supabase
-        .from("certificates")
-        .select("*", { count: "exact", head: true })
-        .eq("institution_name", institution)
-        .gte("created_at", `${todayIso}T00:00:00Z`);
-      if (tErr) throw tErr;
-
-      const { data: latest, error: lErr } = await supabase
-        .from("certificates")
-        .select("*")
-        .eq("institution_name", institution)
-        .order("created_at", { ascending: false });
-      if (lErr) throw lErr;
-
-      res.json({ totalCount, todayCount, latest });
-    } catch (e) {
-      console.error(e);
-      res.status(500).json({ error: e.message || "Failed to fetch summary" });
-    }
+    const cert = await findCertificate(req.params.certificateId, {
+      institutionId: req.user.institutionId,
+      columns: VERSION_COLUMNS,
+    });
+    if (!cert) return notFound(res);
+
+    const versions = await listVersions(cert.certificate_id);
+    res.json({ current: cert, previous: versions });
+  }
+);
+
+const BULK_VERIFY_LIMIT = 1000;
+
+// POST /certificates/verify/bulk
+//   { certificates: ["<id>", { certificate_id, name? }, ...] }
+// name (optional) is checked against the holder's name -> name_match
+// "<id>" or { certificate_id, name? }
+const bulkEntry = v.any().check((it) =>
+  typeof it === "object" && !String(it.certificate_id ?? "").trim()
+    ? "Every entry needs a certificate_id"
+    : null
+);
+const bulkVerifyBody = validate({
+  body: { certificates: v.array(bulkEntry, { min: 1, max: BULK_VERIFY_LIMIT }) },
+});
+router.post(
+  "/verify/bulk",
+  requireAuth,
+  allowRoles("admin", "registrar", "staff", { scopes: ["certificates:read"] }),
+  bulkVerifyBody,
+  async (req, res) => {
+    const items = req.body.certificates.map((it) =>
+      typeof it === "object"
+        ? { id: String(it.certificate_id).trim(), name: it.name }
+        : { id: String(it).trim() }
+    );
+
+    const found = await findCertificates(items.map((it) => it.id));
+    recordVerifications(
+      items.map(({ id }) => ({ certificateId: id, cert: found.get(id) })),
+      "bulk",
+      { ...clientInfo(req), requested_by: req.user.institutionId }
+    );
+    const results = items.map(({ id, name }) => {
+      const cert = found.get(id);
+      if (!cert) return notFoundResult(id);
+      const result = verificationResult(cert);
+      if (name !== undefined) result.name_match = namesMatch(name, cert.full_name);
+      return result;
+    });
+    res.json({
+      count: results.length,
+      found: results.filter((r) => r.found).length,
+      results,
+    });
+  }
+);
+
+// public verification is per IP, so certificate ids can't be enumerated
+const verifyLimit = rateLimit("verify_ip", "60/1m");
+const credentialVerifyLimit = rateLimit("verify_credential_ip", "30/1m");
+
+// a pasted credential fits in a JSON body; uploads are capped the same way
+const CREDENTIAL_MAX_BYTES = 256 * 1024;
+const credentialUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: CREDENTIAL_MAX_BYTES },
+}).single("file");
+const credentialBody = validate({
+  body: {
+    credential: v.any().optional(),
+    jwt: v.string({ max: CREDENTIAL_MAX_BYTES }).optional(),
+  },
+});
+
+// PUBLIC: POST /certificates/verify/credential
+//   { credential: <VC-JWT string | credential JSON> }, { jwt: <VC-JWT> },
+//   or a `file` upload
+router.post(
+  "/verify/credential",
+  credentialVerifyLimit,
+  credentialUpload, // a file over the cap ends in a 413 from the error handler
+  credentialBody,
+  async (req, res) => {
+    const input = req.file
+      ? req.file.buffer.toString("utf8")
+      : req.body.credential ?? req.body.jwt;
+    if (!input)
+      return invalidField(
+        res,
+        "credential",
+        "Send the credential as `credential` or `jwt`, or upload it as `file`"
+      );
+
+    const { cert, ...result } = await checkCredential(input);
+    if (result.error)
+      return badRequest(res, result.error, { code: "invalid_credential" });
+    recordVerifications(
+      [{ certificateId: result.certificate.certificate_id, cert }],
+      "credential",
+      clientInfo(req)
+    );
+    return res.json(result);
   }
 );
 
 // PUBLIC: GET /verify/:certificateId
-router.get("/verify/:certificateId", async (req, res) => {
-  const code = (req.params.certificateId || "").trim();
+// HTML by default; JSON for `Accept: application/json` or a `.json` suffix
+const verifyParams = validate({
+  params: { certificateId: v.string({ max: 200 }) },
+});
+router.get("/verify/:certificateId", verifyLimit, verifyParams, async (req, res) => {
+  let code = (req.params.certificateId || "").trim();
+  const wantsJson =
+    code.endsWith(".json") || req.accepts(["html", "json"]) === "json";
+  if (code.endsWith(".json")) code = code.slice(0, -".json".length);
+  res.vary("Accept");
 
   // tiny HTML escaper to keep content safe
   const esc = (s = "") =>
@@ -497,15 +1031,21 @@ router.get("/verify/:certificateId", async (req, res) => {
 
   try {
     // pull cert + logo_url so we can show the school logo
-    const { data: cert, error } = await supabase
-      .from("certificates")
-      .select(
-        "full_name, program, certificate, cgpa, institution_name, created_at, pdf_url, pdf_path, certificate_id, status, logo_url"
-      )
-      .eq("certificate_id", code)
-      .single();
+    const cert = await findCertificateToVerify(code);
+
+    // recorded in the background; the visitor doesn't wait for it
+    recordVerifications(
+      [{ certificateId: code, cert }],
+      wantsJson ? "json" : "qr",
+      clientInfo(req)
+    );
+
+    if (wantsJson) {
+      if (!cert) return res.status(404).json(notFoundResult(code));
+      return res.json(verificationResult(cert));
+    }
 
-    if (error || !cert) {
+    if (!cert) {
       return res.status(404).type("html").send(`<!doctype html>
 <html lang="en">
 <head>
@@ -531,13 +1071,15 @@ router.get("/verify/:certificateId", async (req, res) => {
 </html>`);
     }
 
-    // choose a downloadable URL (public, or sign if private)
-    let downloadUrl = cert.pdf_url || null;
-    if (!downloadUrl && cert.pdf_path) {
-      const { data: signed } = await supabase.storage
-        .from("certificates")
-        .createSignedUrl(cert.pdf_path, 60); // 60s
-      downloadUrl = signed?.signedUrl || null;
+    const display = statusDisplay(cert.status);
+    const isValid = (cert.status || "valid") === "valid";
+
+    // choose a downloadable URL (public, or sign if private) — only for valid certificates
+    let downloadUrl = isValid ? cert.pdf_url || null : null;
+    if (isValid && !downloadUrl && cert.pdf_path) {
+      downloadUrl = await getStorage()
+        .signedUrl(cert.pdf_path, 60) // 60s
+        .catch(() => null);
     }
 
     const issued = new Date(cert.created_at);
@@ -547,13 +1089,37 @@ router.get("/verify/:certificateId", async (req, res) => {
       day: "numeric",
     });
 
+    // e.g. "Revoked on March 3, 2025 — issued in error"
+    let statusBanner = "";
+    if (!isValid) {
+      const changedStr = cert.status_changed_at
+        ? new Date(cert.status_changed_at).toLocaleDateString(undefined, {
+            year: "numeric",
+            month: "long",
+            day: "numeric",
+          })
+        : "";
+      statusBanner = `${display.label}${changedStr ? ` on ${changedStr}` : ""}${
+        cert.status_reason ? ` — ${cert.status_reason}` : ""
+      }`;
+    }
+
+    // corrected certificates keep their code; older printouts are superseded
+    const reissuedStr = cert.reissued_at
+      ? new Date(cert.reissued_at).toLocaleDateString(undefined, {
+          year: "numeric",
+          month: "long",
+          day: "numeric",
+        })
+      : "";
+
     return res.status(200).type("html").send(`<!doctype html>
 <html lang="en">
 <head>
   <meta charset="utf-8"><meta name="viewport" content="width=device-width,initial-scale=1">
-  <title>Certificate Verified · ${esc(cert.full_name)}</title>
+  <title>Certificate ${esc(display.badge)} · ${esc(cert.full_name)}</title>
   <style>
-    :root { --brand:#2563eb; --ink:#0f172a; --muted:#64748b; --bg:#f8fafc; --card:#ffffff; --ring:#e5e7eb; --ok:#16a34a; }
+    :root { --brand:#2563eb; --ink:#0f172a; --muted:#64748b; --bg:#f8fafc; --card:#ffffff; --ring:#e5e7eb; --ok:${display.color}; }
     * { box-sizing:border-box; }
     body { margin:0; font-family: system-ui, -apple-system, Segoe UI, Roboto, Arial; color:var(--ink); background:
       radial-gradient(1000px 500px at 20% -10%, rgba(37,99,235,.08), transparent 60%),
@@ -567,7 +1133,8 @@ router.get("/verify/:certificateId", async (req, res) => {
     .brand { font-weight:700; letter-spacing:.2px; }
     .content { padding:26px 26px 18px; }
     .titleRow { display:flex; align-items:center; gap:10px; margin-bottom:6px; }
-    .badge { display:inline-flex; align-items:center; gap:8px; padding:6px 10px; border-radius:999px; background:rgba(22,163,74,.12); color:#065f46; font-weight:600; font-size:.85rem; }
+    .badge { display:inline-flex; align-items:center; gap:8px; padding:6px 10px; border-radius:999px; background:#f1f5f9; color:var(--ok); border:1px solid var(--ok); font-weight:600; font-size:.85rem; }
+    .banner { margin:0 0 18px; padding:12px 16px; border-radius:12px; border:1px solid var(--ok); background:#fafafa; color:var(--ok); font-weight:600; }
     .title { font-size:1.6rem; margin:0; }
     .sub { color:var(--muted); margin:6px 0 0; }
     .grid { display:grid; grid-template-columns: repeat(2, minmax(0,1fr)); gap:16px; margin:22px 0; }
@@ -585,7 +1152,7 @@ router.get("/verify/:certificateId", async (req, res) => {
     .code { font-family: ui-monospace, SFMono-Regular, Menlo, Consolas, monospace; background:#0b1220; color:#e2e8f0; padding:6px 10px; border-radius:8px; font-size:.9rem; }
     .toast { position:fixed; left:50%; bottom:24px; transform:translateX(-50%); background:#0b1220; color:#e2e8f0; padding:10px 14px; border-radius:10px; box-shadow:0 10px 30px rgba(2,6,23,.25); opacity:0; pointer-events:none; transition:opacity .25s ease; }
     .toast.show { opacity:1; }
-    .okdot { width:8px; height:8px; background:var(--ok); border-radius:50%; box-shadow:0 0 0 3px rgba(22,163,74,.15); }
+    .okdot { width:8px; height:8px; background:var(--ok); border-radius:50%; }
   </style>
 </head>
 <body>
@@ -606,13 +1173,23 @@ router.get("/verify/:certificateId", async (req, res) => {
       </div>
 
       <div class="content">
+        ${statusBanner ? `<div class="banner">${esc(statusBanner)}</div>` : ""}
         <div class="titleRow">
-          <span class="badge"><span class="okdot"></span> Verified</span>
+          <span class="badge"><span class="okdot"></span> ${esc(
+            display.badge
+          )}</span>
           <h1 class="title">Certificate of ${esc(cert.certificate)}</h1>
         </div>
         <p class="sub">This certificate belongs to <strong>${esc(
           cert.full_name
         )}</strong>${cert.program ? ` — ${esc(cert.program)}` : ""}.</p>
+        ${
+          reissuedStr
+            ? `<p class="sub">Reissued on ${esc(reissuedStr)} (version ${esc(
+                cert.version
+              )}). Copies issued before then are superseded; the details below are current.</p>`
+            : ""
+        }
 
         <div class="grid">
           <div class="item">
@@ -631,13 +1208,32 @@ router.get("/verify/:certificateId", async (req, res) => {
             <span class="label">Issued</span>
             <span class="value">${esc(issuedStr)}</span>
           </div>
+          ${
+            cert.signatories?.length
+              ? `<div class="item">
+            <span class="label">Signed by</span>
+            <span class="value">${cert.signatories
+              .map((s) => `${esc(s.name)} (${esc(s.title)})`)
+              .join(", ")}</span>
+          </div>`
+              : ""
+          }
         </div>
 
         <div class="actions">
           ${
             downloadUrl
               ? `<a class="btn primary" href="${downloadUrl}" target="_blank" rel="noopener">Download PDF</a>`
-              : `<span class="btn ghost" aria-disabled="true">PDF unavailable</span>`
+              : `<span class="btn ghost" aria-disabled="true">${
+                  isValid ? "PDF unavailable" : `PDF withdrawn (${esc(display.label.toLowerCase())})`
+                }</span>`
+          }
+          ${
+            isValid
+              ? `<a class="btn ghost" href="/credentials/${encodeURIComponent(
+                  cert.certificate_id
+                )}" download="${esc(cert.certificate_id)}.json">Digital credential</a>`
+              : ""
           }
           <button class="btn ghost" id="copyBtn" type="button">Copy Code</button>
           
@@ -648,7 +1244,9 @@ router.get("/verify/:certificateId", async (req, res) => {
         <div>Certificate Code: <span class="code" id="codeEl">${esc(
           cert.certificate_id
         )}</span></div>
-        <div>Status: <strong style="color:var(--ok)">Valid</strong></div>
+        <div>Status: <strong style="color:var(--ok)">${esc(
+          display.label
+        )}</strong></div>
       </div>
     </div>
   </div>
@@ -671,6 +1269,8 @@ router.get("/verify/:certificateId", async (req, res) => {
 </body>
 </html>`);
   } catch (e) {
+    // the error handler logs it and answers with the JSON error envelope
+    if (wantsJson) throw e;
     console.error("Verify error:", e);
     return res.status(500).type("html").send("<h1>Server error</h1>");
   }
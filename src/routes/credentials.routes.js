@@ -0,0 +1,49 @@
+import { Router } from "express";
+import { getInstitution } from "../repositories/institutions.js";
+import { issuerProfile, signCredential } from "../lib/credentials.js";
+import { findCertificates } from "../lib/verification.js";
+import { rateLimit } from "../middleware/rateLimit.js";
+import { validate } from "../middleware/validate.js";
+import { conflict, notFound } from "../utils/responses.js";
+import { v } from "../utils/schema.js";
+
+const router = Router();
+
+// looking a certificate up by id counts against the verify page's budget
+const verifyLimit = rateLimit("verify_ip", "60/1m");
+
+// PUBLIC: GET /credentials/issuers/:institutionId  -> Open Badges issuer profile
+const issuerParams = validate({ params: { institutionId: v.uuid() } });
+router.get("/issuers/:institutionId", issuerParams, async (req, res) => {
+  const inst = await getInstitution(req.params.institutionId);
+  if (!inst) return notFound(res);
+  res.set("Cache-Control", "public, max-age=3600");
+  return res.type("application/ld+json").send(JSON.stringify(issuerProfile(inst)));
+});
+
+// PUBLIC: GET /credentials/:certificateId
+// Open Badges 3.0 credential as JSON (proof included), or the bare VC-JWT
+// for `?format=jwt` / `Accept: application/jwt`. Same data as the verify page.
+const credentialQuery = validate({
+  params: { certificateId: v.string({ max: 100 }) },
+  query: { format: v.oneOf(["json", "jwt"]).optional() },
+});
+router.get("/:certificateId", verifyLimit, credentialQuery, async (req, res) => {
+  const { certificateId } = req.params;
+  const wantsJwt =
+    req.query.format === "jwt" ||
+    req.accepts(["json", "application/ld+json", "application/jwt"]) === "application/jwt";
+  res.vary("Accept");
+
+  const cert = (await findCertificates([certificateId])).get(certificateId);
+  if (!cert) return notFound(res);
+  if ((cert.status || "valid") !== "valid")
+    return conflict(res, `Cannot export a ${cert.status} certificate`);
+
+  const { credential, jwt } = await signCredential(cert);
+  res.set("Content-Disposition", `inline; filename="${certificateId}.${wantsJwt ? "jwt" : "json"}"`);
+  if (wantsJwt) return res.type("application/jwt").send(jwt);
+  return res.type("application/ld+json").send(JSON.stringify(credential, null, 2));
+});
+
+export default router;
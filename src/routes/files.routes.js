@@ -0,0 +1,28 @@
+import express from "express";
+import path from "path";
+import { getStorage } from "../lib/storage/index.js";
+import { forbidden, notFound } from "../utils/responses.js";
+
+// Signed download links for the local storage driver:
+// GET /files/<object path>?expires=<unix seconds>&sig=<hmac>
+const router = express.Router();
+
+router.get("/*objectPath", async (req, res) => {
+  const storage = getStorage();
+  if (!storage.verifySignedUrl) return notFound(res);
+
+  const objectPath = req.params.objectPath.join("/");
+  const { expires, sig } = req.query;
+  if (!storage.verifySignedUrl(objectPath, expires, sig))
+    return forbidden(res, "Link is invalid or has expired");
+
+  const stream = await storage.stream(objectPath).catch(() => null);
+  if (!stream) return notFound(res);
+
+  res.type(path.extname(objectPath) || "application/octet-stream");
+  res.setHeader("Cache-Control", "private, no-store");
+  stream.on("error", () => res.destroy());
+  stream.pipe(res);
+});
+
+export default router;
@@ -0,0 +1,76 @@
+import express from "express";
+import { mappingError } from "../lib/sheets.js";
+import {
+  deleteMapping,
+  insertMapping,
+  listMappings,
+  updateMapping,
+} from "../repositories/mappings.js";
+import { allowRoles, requireAuth } from "./auth.js";
+import { validate } from "../middleware/validate.js";
+import { badRequest, conflict, notFound } from "../utils/responses.js";
+import { v } from "../utils/schema.js";
+
+// Column-mapping profiles: source header -> certificate field, per institution.
+// e.g. { "Student Name": "full_name", "Course": "program", "GPA": "cgpa" }
+const router = express.Router();
+
+router.use(requireAuth, allowRoles("admin", "registrar"));
+
+const byId = validate({ params: { id: v.uuid() } });
+const name = () => v.string({ max: 200 });
+const mapping = () => v.any().check(mappingError);
+
+// GET /certificates/mappings
+router.get("/", async (req, res) => {
+  res.json({ items: await listMappings(req.user.institutionId) });
+});
+
+// POST /certificates/mappings  { name, mapping }
+const createBody = validate({ body: { name: name(), mapping: mapping() } });
+router.post("/", createBody, async (req, res) => {
+  const { name, mapping } = req.body;
+  try {
+    const row = await insertMapping({
+      institutionId: req.user.institutionId,
+      name,
+      mapping,
+      createdBy: req.user.id,
+    });
+    res.status(201).json(row);
+  } catch (e) {
+    if (e.code === "23505") return conflict(res, "A mapping with that name exists");
+    throw e;
+  }
+});
+
+// PUT /certificates/mappings/:id  { name?, mapping? }
+const updateBody = validate({
+  body: { name: name().optional(), mapping: mapping().optional() },
+});
+router.put("/:id", byId, updateBody, async (req, res) => {
+  const { name, mapping } = req.body;
+  if (name === undefined && mapping === undefined)
+    return badRequest(res, "Nothing to update");
+
+  try {
+    const row = await updateMapping(req.params.id, req.user.institutionId, {
+      name,
+      mapping,
+    });
+    if (!row) return notFound(res);
+    res.json(row);
+  } catch (e) {
+    if (e.code === "23505") return conflict(res, "A mapping with that name exists");
+    throw e;
+  }
+});
+
+// DELETE /certificates/mappings/:id
+router.delete("/:id", byId, async (req, res) => {
+  if (!(await deleteMapping(req.params.id, req.user.institutionId)))
+    return notFound(res);
+  res.status(204).end();
+});
+
+export default router;
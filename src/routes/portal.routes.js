@@ -0,0 +1,284 @@
+import express from "express";
+import { randomBytes } from "crypto";
+import { getMailer, sendInBackground } from "../lib/mailer/index.js";
+import { getStorage } from "../lib/storage/index.js";
+import { publicBase } from "../lib/issuance.js";
+import { REISSUE_FIELDS } from "../lib/reissue.js";
+import { verificationResult } from "../lib/verification.js";
+import { emitEvent } from "../lib/webhooks.js";
+import {
+  MAGIC_LINK_TTL_MINUTES,
+  consumeMagicLinkToken,
+  createMagicLinkToken,
+  findOrCreateRecipient,
+  normalizeEmail,
+  signOutRecipient,
+} from "../lib/recipients.js";
+import { signToken } from "../utils/jwt.js";
+import { hashToken } from "../utils/tokens.js";
+import {
+  findCertificate,
+  hasCertificatesFor,
+  listRecipientCertificates,
+} from "../repositories/certificates.js";
+import { insertReport } from "../repositories/reports.js";
+import {
+  findShareByHash,
+  insertShare,
+  listShares,
+  recordShareView,
+  revokeShare,
+} from "../repositories/shares.js";
+import { registrarEmails } from "../repositories/users.js";
+import { requireRecipient } from "./auth.js";
+import { bodyEmail, rateLimit } from "../middleware/rateLimit.js";
+import { validate } from "../middleware/validate.js";
+import { badRequest, conflict, created, notFound } from "../utils/responses.js";
+import { v } from "../utils/schema.js";
+
+// Recipient self-service: sign in by email link, see your certificates from
+// every institution, download them, share them and report mistakes.
+const router = express.Router();
+
+const PORTAL_COLUMNS = [
+  "certificate_id", "full_name", "program", "certificate", "cgpa", "institution_id",
+  "institution_name", "created_at", "status", "status_reason", "version", "reissued_at",
+  "verify_url",
+];
+
+// sign-in mails go to real inboxes, so keep them from being sent in bulk
+const loginIpLimit = rateLimit("portal_login_ip", "10/15m");
+const loginEmailLimit = rateLimit("portal_login_email", "5/1h", bodyEmail);
+const sessionLimit = rateLimit("portal_session_ip", "20/15m");
+const sharedLimit = rateLimit("portal_shared_ip", "60/1m");
+// each error report emails the institution's registrars
+const reportLimit = rateLimit("portal_report_recipient", "10/1d", (req) => req.recipient.id);
+// per certificate, counted within its own recipient's reports so nobody
+// else can use up a certificate's allowance
+const reportCertificateLimit = rateLimit(
+  "portal_report_certificate",
+  "3/1d",
+  (req) => `${req.recipient.id}:${req.params.certificateId}`
+);
+
+const appLink = (path, token) =>
+  `${process.env.APP_URL || publicBase()}${path}?token=${encodeURIComponent(token)}`;
+
+// POST /portal/login  { email }  -> mails a sign-in link
+// Always answers the same way, at once, so it can't be used to find out who
+// has certificates: the lookup and the email happen after the response.
+const loginBody = validate({ body: { email: v.email() } });
+router.post("/login", loginIpLimit, loginEmailLimit, loginBody, (req, res) => {
+  const email = normalizeEmail(req.body.email);
+
+  sendInBackground("portal sign-in link", async () => {
+    if (!(await hasCertificatesFor(email))) return null;
+    const recipient = await findOrCreateRecipient(email);
+    const token = await createMagicLinkToken(recipient.id);
+    const link = process.env.APP_URL
+      ? appLink("/portal/sign-in", token)
+      : appLink("/portal/session", token);
+    return {
+      to: email,
+      subject: "Your sign-in link",
+      text: `Hello,\n\nUse this link to see your certificates:\n${link}\n\nThe link works once and expires in ${MAGIC_LINK_TTL_MINUTES} minutes. If you didn't ask for it, ignore this email.`,
+    };
+  });
+  return res.json({ sent: true });
+});
+
+async function startSession(token, res) {
+  const recipient = await consumeMagicLinkToken(token);
+  if (!recipient)
+    return badRequest(res, "Sign-in link is invalid or has expired", {
+      code: "invalid_link",
+    });
+  const accessToken = signToken(
+    { sub: recipient.id, type: "recipient", email: recipient.email },
+    { expiresIn: process.env.PORTAL_TOKEN_TTL || "12h", audience: "portal" }
+  );
+  return res.json({ token: accessToken, recipient });
+}
+
+// POST /portal/session  { token }   (GET ?token= for links opened directly)
+const sessionToken = { token: v.string({ max: 200 }) };
+router.post("/session", sessionLimit, validate({ body: sessionToken }), (req, res) =>
+  startSession(req.body.token, res)
+);
+router.get("/session", sessionLimit, validate({ query: sessionToken }), (req, res) =>
+  startSession(req.query.token, res)
+);
+
+// PUBLIC: GET /portal/shared/:token  -> what a share link shows
+const sharedParams = validate({ params: { token: v.string({ max: 200 }) } });
+router.get("/shared/:token", sharedLimit, sharedParams, async (req, res) => {
+  const share = await findShareByHash(hashToken(req.params.token));
+  if (!share || share.revoked_at || new Date(share.expires_at) <= new Date())
+    return notFound(res, "This link is invalid or has expired", { code: "invalid_link" });
+
+  const cert = await findCertificate(share.certificate_id, {
+    columns: [
+      ...PORTAL_COLUMNS,
+      "pdf_url", "pdf_path", "signatories", "signature", "signing_kid",
+    ],
+  });
+  await recordShareView(share.id);
+
+  const result = verificationResult(cert);
+  let downloadUrl = null;
+  if (result.valid)
+    downloadUrl =
+      cert.pdf_url ||
+      (await getStorage().signedUrl(cert.pdf_path, 300).catch(() => null));
+  return res.json({ ...result, download_url: downloadUrl, expires_at: share.expires_at });
+});
+
+// everything below is for a signed-in recipient; requireRecipient goes on
+// each route, so a path that doesn't exist is a 404 rather than a 401
+// POST /portal/logout  -> signs out every device
+router.post("/logout", requireRecipient, async (req, res) => {
+  await signOutRecipient(req.recipient.id);
+  res.json({ ok: true });
+});
+
+const certificateParams = { certificateId: v.string({ max: 100 }) };
+
+/** One of the recipient's certificates, or null. */
+const ownCertificate = (req, columns = PORTAL_COLUMNS) =>
+  findCertificate(req.params.certificateId, {
+    recipientEmail: req.recipient.email,
+    columns,
+  });
+
+// GET /portal/certificates  -> every certificate sent to this address
+router.get("/certificates", requireRecipient, async (req, res) => {
+  const items = await listRecipientCertificates(req.recipient.email, PORTAL_COLUMNS);
+  res.json({ email: req.recipient.email, items });
+});
+
+// GET /portal/certificates/:certificateId/download  -> redirect to the PDF
+const byCertificateId = validate({ params: certificateParams });
+router.get(
+  "/certificates/:certificateId/download",
+  requireRecipient,
+  byCertificateId,
+  async (req, res) => {
+    const cert = await ownCertificate(req, ["status", "pdf_url", "pdf_path"]);
+    if (!cert) return notFound(res);
+    if (cert.status !== "valid")
+      return conflict(res, `This certificate is ${cert.status}`);
+    if (cert.pdf_url) return res.redirect(302, cert.pdf_url);
+    return res.redirect(302, await getStorage().signedUrl(cert.pdf_path, 60));
+  }
+);
+
+// POST /portal/certificates/:certificateId/share  { expires_in_days? = 30 }
+// The link is returned once; only its hash is kept.
+const shareBody = validate({
+  params: certificateParams,
+  body: { expires_in_days: v.int({ min: 1, max: 365 }).default(30) },
+});
+router.post(
+  "/certificates/:certificateId/share",
+  requireRecipient,
+  shareBody,
+  async (req, res) => {
+    const days = req.body.expires_in_days;
+
+    const cert = await ownCertificate(req, ["certificate_id", "status"]);
+    if (!cert) return notFound(res);
+    if (cert.status !== "valid")
+      return conflict(res, `Cannot share a ${cert.status} certificate`);
+
+    const token = randomBytes(24).toString("base64url");
+    const data = await insertShare({
+      certificateId: cert.certificate_id,
+      recipientId: req.recipient.id,
+      tokenHash: hashToken(token),
+      expiresAt: new Date(Date.now() + days * 86400 * 1000),
+    });
+    return created(res, { ...data, url: `${publicBase()}/portal/shared/${token}` });
+  }
+);
+
+// GET /portal/shares
+router.get("/shares", requireRecipient, async (req, res) => {
+  res.json({ items: await listShares(req.recipient.id) });
+});
+
+// DELETE /portal/shares/:id  -> the link stops working
+const byShareId = validate({ params: { id: v.uuid() } });
+router.delete("/shares/:id", requireRecipient, byShareId, async (req, res) => {
+  if (!(await revokeShare(req.params.id, req.recipient.id))) return notFound(res);
+  res.status(204).end();
+});
+
+// POST /portal/certificates/:certificateId/report
+//   { message, corrections?: { full_name?, program?, certificate?, cgpa?, image_url? } }
+// goes to the issuing institution's registrars
+const reportBody = validate({
+  params: certificateParams,
+  body: {
+    message: v.string({ max: 5000 }),
+    corrections: v
+      .object(
+        Object.fromEntries(REISSUE_FIELDS.map((f) => [f, v.string({ max: 1000 }).optional()]))
+      )
+      .check((fixes) => {
+        const unknown = Object.keys(fixes).filter((k) => !REISSUE_FIELDS.includes(k));
+        return unknown.length
+          ? `Unknown fields: ${unknown.join(", ")} (expected ${REISSUE_FIELDS.join(", ")})`
+          : null;
+      })
+      .default({}),
+  },
+});
+router.post(
+  "/certificates/:certificateId/report",
+  requireRecipient,
+  reportLimit,
+  reportCertificateLimit,
+  reportBody,
+  async (req, res) => {
+    const { message, corrections } = req.body;
+
+    const cert = await ownCertificate(req);
+    if (!cert) return notFound(res);
+
+    const report = await insertReport({
+      certificateId: cert.certificate_id,
+      institutionId: cert.institution_id,
+      recipientId: req.recipient.id,
+      message,
+      corrections,
+    });
+
+    await notifyRegistrars(cert, report).catch((e) =>
+      console.error("Failed to notify registrars:", e.message || e)
+    );
+    await emitEvent(cert.institution_id, "certificate.error_reported", {
+      report_id: report.id,
+      certificate_id: cert.certificate_id,
+      message,
+      corrections: report.corrections,
+      reported_at: report.created_at,
+    });
+    return created(res, report);
+  }
+);
+
+/** Email the institution's admins and registrars about a report. */
+async function notifyRegistrars(cert, report) {
+  const staff = await registrarEmails(cert.institution_id);
+  const fixes = Object.entries(report.corrections)
+    .map(([field, value]) => `  ${field}: "${cert[field] ?? ""}" -> "${value}"`)
+    .join("\n");
+  for (const email of staff)
+    await getMailer().send({
+      to: email,
+      subject: `Error reported on ${cert.full_name}'s certificate`,
+      text: `${cert.full_name} reported a problem with certificate ${cert.certificate_id} (${cert.certificate}, ${cert.program}):\n\n${report.message}${fixes ? `\n\nRequested corrections:\n${fixes}` : ""}\n\nReview it under certificate reports; a correction can be made with a reissue.`,
+    });
+}
+
+export default router;
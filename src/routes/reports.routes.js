@@ -0,0 +1,53 @@
+import express from "express";
+import { listReports, resolveReport } from "../repositories/reports.js";
+import { allowRoles, requireAuth } from "./auth.js";
+import { validate } from "../middleware/validate.js";
+import { notFound } from "../utils/responses.js";
+import { v } from "../utils/schema.js";
+
+// Errors recipients reported on their certificates (see portal.routes.js).
+// Fixing one is a reissue; resolving the report just closes it.
+const router = express.Router();
+
+router.use(requireAuth, allowRoles("admin", "registrar"));
+
+const REPORT_STATUSES = ["open", "resolved", "dismissed"];
+
+// GET /certificates/reports?status=open&page=1&pageSize=50
+const listQuery = validate({
+  query: {
+    status: v.oneOf(["all", ...REPORT_STATUSES]).default("open"),
+    page: v.int({ min: 1 }).default(1),
+    pageSize: v.int({ min: 1, max: 100 }).default(50),
+  },
+});
+router.get("/", listQuery, async (req, res) => {
+  const { status, page, pageSize } = req.query;
+  const { items, count } = await listReports(req.user.institutionId, {
+    status: status === "all" ? undefined : status,
+    offset: (page - 1) * pageSize,
+    limit: pageSize,
+  });
+  res.json({ page, pageSize, count, items });
+});
+
+// POST /certificates/reports/:id/resolve  { status: "resolved" | "dismissed", note? }
+const resolveBody = validate({
+  params: { id: v.uuid() },
+  body: {
+    status: v.oneOf(["resolved", "dismissed"]).default("resolved"),
+    note: v.string({ max: 2000 }).optional(),
+  },
+});
+router.post("/:id/resolve", resolveBody, async (req, res) => {
+  const { status, note } = req.body;
+  const data = await resolveReport(req.params.id, req.user.institutionId, {
+    status,
+    note: note ?? null,
+    resolvedBy: req.user.id,
+  });
+  if (!data) return notFound(res, "No open report with that id");
+  res.json(data);
+});
+
+export default router;
@@ -0,0 +1,93 @@
+import express from "express";
+import multer from "multer";
+import { uploadToStorage } from "../lib/issuance.js";
+import { getStorage } from "../lib/storage/index.js";
+import {
+  insertSignatory,
+  listSignatories,
+  setSignatoryActive,
+  signaturePath,
+} from "../repositories/signatories.js";
+import { allowRoles, requireAuth } from "./auth.js";
+import { invalidField, validate } from "../middleware/validate.js";
+import { notFound } from "../utils/responses.js";
+import { v } from "../utils/schema.js";
+
+// People who sign certificates (Dean, Registrar, ...), per institution.
+// Signatories are never edited or deleted, only retired, so certificates
+// issued earlier keep pointing at who actually signed them.
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 2 * 1024 * 1024 },
+});
+const router = express.Router();
+
+router.use(requireAuth);
+
+const byId = validate({ params: { id: v.uuid() } });
+
+const isPng = (buf) =>
+  buf?.length > 8 &&
+  buf[0] === 0x89 &&
+  buf[1] === 0x50 &&
+  buf[2] === 0x4e &&
+  buf[3] === 0x47;
+
+// GET /certificates/signatories?active=true
+const listQuery = validate({ query: { active: v.boolean().optional() } });
+router.get("/", allowRoles("admin", "registrar"), listQuery, async (req, res) => {
+  const items = await listSignatories(req.user.institutionId, {
+    active: req.query.active,
+  });
+  res.json({ items });
+});
+
+// POST /certificates/signatories  multipart: name, title, image (PNG)
+router.post(
+  "/",
+  allowRoles("admin"),
+  upload.single("image"),
+  validate({ body: { name: v.string({ max: 200 }), title: v.string({ max: 200 }) } }),
+  async (req, res) => {
+    const { name, title } = req.body;
+    if (!isPng(req.file?.buffer))
+      return invalidField(res, "image", "image must be a PNG (transparent background)");
+
+    const saved = await insertSignatory(
+      { institutionId: req.user.institutionId, name, title, createdBy: req.user.id },
+      async (id) => {
+        const { path } = await uploadToStorage(
+          req.file.buffer,
+          `signatories/${req.user.institutionId}/${id}.png`,
+          { contentType: "image/png", publicBucket: false }
+        );
+        return path;
+      }
+    );
+
+    res.status(201).json(saved);
+  }
+);
+
+// GET /certificates/signatories/:id/image  -> redirect to a short-lived URL
+router.get("/:id/image", allowRoles("admin", "registrar"), byId, async (req, res) => {
+  const path = await signaturePath(req.params.id, req.user.institutionId);
+  if (!path) return notFound(res);
+
+  const signedUrl = await getStorage().signedUrl(path, 60);
+  return res.redirect(302, signedUrl);
+});
+
+// PATCH /certificates/signatories/:id  { active: false }  -> retire (or bring back)
+const updateBody = validate({ body: { active: v.boolean() } });
+router.patch("/:id", allowRoles("admin"), byId, updateBody, async (req, res) => {
+  const data = await setSignatoryActive(
+    req.params.id,
+    req.user.institutionId,
+    req.body.active
+  );
+  if (!data) return notFound(res);
+  res.json(data);
+});
+
+export default router;
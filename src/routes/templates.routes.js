@@ -0,0 +1,160 @@
+import express from "express";
+import { renderCertificatePDF } from "../lib/certificatePdf.js";
+import {
+  DEFAULT_TEMPLATE,
+  SAMPLE_PAYLOAD,
+  fill,
+  imageSources,
+  templateError,
+} from "../lib/templates.js";
+import { publicUrlError } from "../lib/publicUrl.js";
+import {
+  deleteTemplate,
+  findTemplate,
+  insertTemplate,
+  listTemplates,
+  updateTemplate,
+} from "../repositories/templates.js";
+import { allowRoles, requireAuth } from "./auth.js";
+import { invalidField, validate } from "../middleware/validate.js";
+import { badRequest, conflict, notFound } from "../utils/responses.js";
+import { v } from "../utils/schema.js";
+
+// Stored certificate layouts, per institution. See lib/templates.js for the
+// definition format; GET /default returns the built-in one as a starting point.
+const router = express.Router();
+
+router.use(requireAuth, allowRoles("admin", "registrar"));
+
+const byId = validate({ params: { id: v.uuid() } });
+const name = () => v.string({ max: 200 });
+const definition = () => v.any().check(templateError);
+
+/**
+ * An image the preview would fetch from a local path or an internal
+ * address, as [field, message], or null. A filled-in placeholder is blamed
+ * on its `data` field.
+ */
+async function unsafeImage(definition, data = {}) {
+  const payload = { ...SAMPLE_PAYLOAD, ...data };
+  for (const { at, src } of imageSources(definition)) {
+    const url = fill(src, payload);
+    if (!url) continue;
+    const unsafe = await publicUrlError(url);
+    if (!unsafe) continue;
+    const field = [...String(src).matchAll(/\{\{\s*(\w+)/g)]
+      .map((m) => m[1])
+      .find((f) => data[f]);
+    return field
+      ? [`data.${field}`, `${field} ${unsafe}`]
+      : [`definition.${at}`, `${at} ${unsafe}`];
+  }
+  return null;
+}
+
+/** Render a template with sample data (overridable via `data`) and send it. */
+async function sendPreview(req, res, definition, data = {}) {
+  const pdf = await renderCertificatePDF(
+    {
+      ...SAMPLE_PAYLOAD,
+      institution_name: req.user.institution || SAMPLE_PAYLOAD.institution_name,
+      ...data,
+    },
+    definition
+  );
+  res.set({
+    "Content-Type": "application/pdf",
+    "Content-Disposition": 'inline; filename="template-preview.pdf"',
+  });
+  return res.send(pdf);
+}
+
+// GET /certificates/templates
+router.get("/", async (req, res) => {
+  res.json({ items: await listTemplates(req.user.institutionId) });
+});
+
+// GET /certificates/templates/default
+router.get("/default", (req, res) => res.json({ definition: DEFAULT_TEMPLATE }));
+
+// POST /certificates/templates/preview  { definition, data? }  -> PDF
+const previewBody = validate({
+  body: { definition: definition(), data: v.object({}).optional() },
+});
+router.post("/preview", previewBody, async (req, res) => {
+  const unsafe = await unsafeImage(req.body.definition, req.body.data);
+  if (unsafe) return invalidField(res, ...unsafe);
+  try {
+    return await sendPreview(req, res, req.body.definition, req.body.data);
+  } catch (e) {
+    console.error(`[${req.id}]`, e);
+    return badRequest(res, "Template could not be rendered", { code: "render_failed" });
+  }
+});
+
+// GET /certificates/templates/:id
+router.get("/:id", byId, async (req, res) => {
+  const tpl = await findTemplate(req.params.id, req.user.institutionId);
+  if (!tpl) return notFound(res);
+  res.json(tpl);
+});
+
+// GET /certificates/templates/:id/preview  -> PDF with sample data
+router.get("/:id/preview", byId, async (req, res) => {
+  const tpl = await findTemplate(req.params.id, req.user.institutionId);
+  if (!tpl) return notFound(res);
+  return sendPreview(req, res, tpl.definition);
+});
+
+// POST /certificates/templates  { name, definition }
+const createBody = validate({ body: { name: name(), definition: definition() } });
+router.post("/", createBody, async (req, res) => {
+  try {
+    const tpl = await insertTemplate({
+      institutionId: req.user.institutionId,
+      name: req.body.name,
+      definition: req.body.definition,
+      createdBy: req.user.id,
+    });
+    res.status(201).json(tpl);
+  } catch (e) {
+    if (e.code === "23505") return conflict(res, "A template with that name exists");
+    throw e;
+  }
+});
+
+// PUT /certificates/templates/:id  { name?, definition? }
+const updateBody = validate({
+  body: { name: name().optional(), definition: definition().optional() },
+});
+router.put("/:id", byId, updateBody, async (req, res) => {
+  const { name, definition } = req.body;
+  if (name === undefined && definition === undefined)
+    return badRequest(res, "Nothing to update");
+
+  try {
+    const tpl = await updateTemplate(req.params.id, req.user.institutionId, {
+      name,
+      definition,
+    });
+    if (!tpl) return notFound(res);
+    res.json(tpl);
+  } catch (e) {
+    if (e.code === "23505") return conflict(res, "A template with that name exists");
+    throw e;
+  }
+});
+
+// DELETE /certificates/templates/:id  (refused once certificates use it)
+router.delete("/:id", byId, async (req, res) => {
+  try {
+    if (!(await deleteTemplate(req.params.id, req.user.institutionId)))
+      return notFound(res);
+    res.status(204).end();
+  } catch (e) {
+    if (e.code === "23503") return conflict(res, "Template is used by certificates");
+    throw e;
+  }
+});
+
+export default router;
@@ -0,0 +1,163 @@
+import express from "express";
+import { getMailer } from "../lib/mailer/index.js";
+import { publicBase } from "../lib/issuance.js";
+import {
+  createInvitation,
+  listInvitations,
+  revokeInvitation,
+} from "../lib/invitations.js";
+import { forgetUser, revokeUserSessions } from "../lib/sessions.js";
+import { lockedForSeconds, unlockUser } from "../lib/loginLockout.js";
+import { resetRateLimit } from "../middleware/rateLimit.js";
+import {
+  countActiveAdmins,
+  deactivateUser,
+  emailTaken,
+  findStaff,
+  listStaff,
+  reactivateUser,
+  setRole,
+} from "../repositories/users.js";
+import { INVITE_ROLES, ROLES } from "../utils/roles.js";
+import { allowRoles, requireAuth } from "./auth.js";
+import { validate } from "../middleware/validate.js";
+import { conflict, notFound } from "../utils/responses.js";
+import { v } from "../utils/schema.js";
+
+// Staff management inside the admin's own institution.
+const router = express.Router();
+
+router.use(requireAuth, allowRoles("admin"));
+
+const byId = validate({ params: { id: v.uuid() } });
+
+function toStaff(row) {
+  return {
+    id: row.id,
+    fullName: row.full_name,
+    email: row.email,
+    type: row.user_type,
+    active: !row.deactivated_at,
+    emailVerified: !!row.email_verified_at,
+    createdAt: row.created_at,
+    deactivatedAt: row.deactivated_at,
+    // locked after too many wrong passwords (see lib/loginLockout.js)
+    locked: lockedForSeconds(row) > 0,
+    lockedUntil: lockedForSeconds(row) ? row.locked_until : null,
+    failedLogins: row.failed_logins,
+    lastFailedLoginAt: row.last_failed_login_at,
+  };
+}
+
+/** A user of the admin's institution, or null. */
+const findMember = (req) => findStaff(req.params.id, req.user.institutionId);
+
+/** Would this change leave the institution without an active admin? */
+async function isLastAdmin(row) {
+  if (row.user_type !== "admin" || row.deactivated_at) return false;
+  return (await countActiveAdmins(row.institution_id)) <= 1;
+}
+
+// GET /users  (?locked=true for accounts locked out of sign-in)
+const listQuery = validate({ query: { locked: v.boolean().optional() } });
+router.get("/", listQuery, async (req, res) => {
+  const rows = await listStaff(req.user.institutionId, { locked: req.query.locked });
+  res.json({ items: rows.map(toStaff) });
+});
+
+// GET /users/invitations
+router.get("/invitations", async (req, res) => {
+  res.json({ items: await listInvitations(req.user.institutionId) });
+});
+
+// POST /users/invitations  { email, role: "registrar" | "staff" }
+const inviteBody = validate({ body: { email: v.email(), role: v.oneOf(INVITE_ROLES) } });
+router.post("/invitations", inviteBody, async (req, res) => {
+  const { email, role } = req.body;
+  if (await emailTaken(email)) return conflict(res, "Email already in use");
+
+  const { invitation, token } = await createInvitation({
+    institutionId: req.user.institutionId,
+    email,
+    role,
+    invitedBy: req.user.id,
+  });
+
+  // the front end's sign-up form; without APP_URL (console mailer only, see
+  // index.js) the API's own view of the invitation
+  const link = process.env.APP_URL
+    ? `${process.env.APP_URL}/accept-invite?token=${encodeURIComponent(token)}`
+    : `${publicBase()}/auth/invitations/${encodeURIComponent(token)}`;
+  await getMailer().send({
+    to: email,
+    subject: `You're invited to ${req.user.institution} certificates`,
+    text: `You've been invited to join ${req.user.institution} as ${role}.\n\nSet up your account here:\n${link}\n\nThe link expires in 7 days.`,
+  });
+
+  res.status(201).json(invitation);
+});
+
+// DELETE /users/invitations/:id  -> revoke a pending invitation
+router.delete("/invitations/:id", byId, async (req, res) => {
+  const row = await revokeInvitation(req.params.id, req.user.institutionId);
+  if (!row) return notFound(res, "No pending invitation");
+  res.status(204).end();
+});
+
+// PATCH /users/:id  { role }
+const roleBody = validate({ body: { role: v.oneOf(ROLES) } });
+router.patch("/:id", byId, roleBody, async (req, res) => {
+  const { role } = req.body;
+  const row = await findMember(req);
+  if (!row) return notFound(res);
+  if (row.id === req.user.id)
+    return conflict(res, "You can't change your own role");
+  if (role !== "admin" && (await isLastAdmin(row)))
+    return conflict(res, "The institution needs at least one admin");
+
+  const updated = await setRole(row.id, role);
+  forgetUser(row.id);
+  res.json(toStaff(updated));
+});
+
+// POST /users/:id/deactivate  -> block sign-in and end their sessions
+router.post("/:id/deactivate", byId, async (req, res) => {
+  const row = await findMember(req);
+  if (!row) return notFound(res);
+  if (row.id === req.user.id)
+    return conflict(res, "You can't deactivate yourself");
+  if (row.deactivated_at) return conflict(res, "Already deactivated");
+  if (await isLastAdmin(row))
+    return conflict(res, "The institution needs at least one admin");
+
+  const updated = await deactivateUser(row.id, req.user.id);
+  await revokeUserSessions(row.id, "deactivated");
+  forgetUser(row.id);
+  res.json(toStaff(updated));
+});
+
+// POST /users/:id/reactivate
+router.post("/:id/reactivate", byId, async (req, res) => {
+  const row = await findMember(req);
+  if (!row) return notFound(res);
+  if (!row.deactivated_at) return conflict(res, "Account is active");
+
+  const updated = await reactivateUser(row.id);
+  forgetUser(row.id);
+  res.json(toStaff(updated));
+});
+
+// POST /users/:id/unlock  -> let a locked-out user sign in again
+router.post("/:id/unlock", byId, async (req, res) => {
+  const row = await findMember(req);
+  if (!row) return notFound(res);
+  const updated = await unlockUser(row.id);
+  if (!updated) return conflict(res, "Account is not locked");
+  // their per-account sign-in limit starts over too
+  await resetRateLimit("login_account", row.email.toLowerCase()).catch((e) =>
+    console.error("Failed to reset sign-in limit:", e.message || e)
+  );
+  res.json(toStaff(updated));
+});
+
+export default router;
@@ -0,0 +1,122 @@
+import express from "express";
+import { WEBHOOK_EVENTS, newWebhookSecret, redeliver } from "../lib/webhooks.js";
+import { publicUrlError } from "../lib/publicUrl.js";
+import {
+  deleteEndpoint,
+  insertEndpoint,
+  listDeliveries,
+  listEndpoints,
+  updateEndpoint,
+} from "../repositories/webhooks.js";
+import { allowRoles, requireAuth } from "./auth.js";
+import { invalidField, validate } from "../middleware/validate.js";
+import { badRequest, notFound } from "../utils/responses.js";
+import { v } from "../utils/schema.js";
+
+// Webhook endpoints and their delivery log, per institution.
+// Each delivery is a JSON POST signed with the endpoint's secret, see
+// signWebhook() in lib/webhooks.js for the header format.
+const router = express.Router();
+
+router.use(requireAuth, allowRoles("admin"));
+
+const byId = validate({ params: { id: v.uuid() } });
+const events = () => v.array(v.oneOf(Object.keys(WEBHOOK_EVENTS)), { min: 1 });
+
+/** 400 if `url` would have deliveries sent into our own network. */
+async function refuseInternalUrl(req, res, next) {
+  if (req.body.url === undefined) return next();
+  const unsafe = await publicUrlError(req.body.url);
+  if (unsafe) return invalidField(res, "url", `url ${unsafe}`);
+  next();
+}
+
+// GET /webhooks/events  -> what can be subscribed to
+router.get("/events", (req, res) => {
+  res.json({ events: WEBHOOK_EVENTS });
+});
+
+// GET /webhooks
+router.get("/", async (req, res) => {
+  res.json({ items: await listEndpoints(req.user.institutionId) });
+});
+
+// POST /webhooks  { url, events, description? }
+const createBody = validate({
+  body: { url: v.url(), events: events(), description: v.string({ max: 500 }).optional() },
+});
+router.post("/", createBody, refuseInternalUrl, async (req, res) => {
+  const secret = newWebhookSecret();
+  const data = await insertEndpoint({
+    institution_id: req.user.institutionId,
+    url: req.body.url,
+    events: [...new Set(req.body.events)],
+    description: req.body.description || null,
+    secret,
+    created_by: req.user.id,
+  });
+  // keep the secret: it's how receivers check the signature
+  res.status(201).json({ ...data, secret });
+});
+
+// PATCH /webhooks/:id  { url?, events?, description?, active? }
+// Turning an endpoint back on (active: true) also clears its failure streak.
+const updateBody = validate({
+  body: {
+    url: v.url().optional(),
+    events: events().optional(),
+    description: v.string({ max: 500 }).nullable(),
+    active: v.boolean().optional(),
+  },
+});
+router.patch("/:id", byId, updateBody, refuseInternalUrl, async (req, res) => {
+  const body = req.body;
+  const update = {};
+  if (body.url !== undefined) update.url = body.url;
+  if (body.events !== undefined) update.events = [...new Set(body.events)];
+  if (body.description !== undefined) update.description = body.description || null;
+  if (body.active !== undefined) update.active = body.active;
+  if (body.active)
+    Object.assign(update, { consecutive_failures: 0, disabled_at: null, disabled_reason: null });
+  if (!Object.keys(update).length)
+    return badRequest(res, "Nothing to update");
+
+  const data = await updateEndpoint(req.params.id, req.user.institutionId, update);
+  if (!data) return notFound(res);
+  res.json(data);
+});
+
+// DELETE /webhooks/:id  (its delivery log goes with it)
+router.delete("/:id", byId, async (req, res) => {
+  if (!(await deleteEndpoint(req.params.id, req.user.institutionId)))
+    return notFound(res);
+  res.status(204).end();
+});
+
+// GET /webhooks/:id/deliveries?status=&page=&pageSize=
+const deliveriesQuery = validate({
+  query: {
+    status: v.string({ max: 50 }).optional(),
+    page: v.int({ min: 1 }).default(1),
+    pageSize: v.int({ min: 1, max: 200 }).default(50),
+  },
+});
+router.get("/:id/deliveries", byId, deliveriesQuery, async (req, res) => {
+  const { status, page, pageSize: size } = req.query;
+  const { items, count } = await listDeliveries(req.params.id, req.user.institutionId, {
+    status,
+    offset: (page - 1) * size,
+    limit: size,
+  });
+  res.json({ page, pageSize: size, count, items });
+});
+
+// POST /webhooks/deliveries/:deliveryId/redeliver  -> send it again as a new delivery
+const byDeliveryId = validate({ params: { deliveryId: v.uuid() } });
+router.post("/deliveries/:deliveryId/redeliver", byDeliveryId, async (req, res) => {
+  const delivery = await redeliver(req.params.deliveryId, req.user.institutionId);
+  if (!delivery) return notFound(res);
+  res.status(202).json(delivery);
+});
+
+export default router;
@@ -0,0 +1,17 @@
+import { Router } from "express";
+import { publicJwks } from "../lib/signing.js";
+import { validate } from "../middleware/validate.js";
+import { v } from "../utils/schema.js";
+
+const router = Router();
+
+// PUBLIC: GET /.well-known/jwks.json[?institution=<institution id>]
+// Certificate signing keys, so verifiers can check QR signatures offline.
+const jwksQuery = validate({ query: { institution: v.uuid().optional() } });
+router.get("/jwks.json", jwksQuery, async (req, res) => {
+  const jwks = await publicJwks({ institutionId: req.query.institution });
+  res.set("Cache-Control", "public, max-age=3600");
+  return res.json(jwks);
+});
+
+export default router;
@@ -0,0 +1,29 @@
+// every row from /generate starts as "valid"
+export const STATUSES = ["valid", "suspended", "revoked"];
+
+// action -> which statuses it may be applied to, and what it moves to.
+// Revoked is final: nothing moves a certificate out of it, nor reissues it;
+// suspend one that may come back.
+export const STATUS_ACTIONS = {
+  revoke: { from: ["valid", "suspended"], to: "revoked" },
+  suspend: { from: ["valid"], to: "suspended" },
+  reinstate: { from: ["suspended"], to: "valid" },
+};
+
+// how each status shows up on the public verify page
+const DISPLAY = {
+  valid: { label: "Valid", badge: "Verified", color: "#16a34a" },
+  suspended: { label: "Suspended", badge: "Suspended", color: "#d97706" },
+  revoked: { label: "Revoked", badge: "Revoked", color: "#dc2626" },
+};
+
+/** Display info for a status. Older rows without a status count as valid. */
+export function statusDisplay(status) {
+  return (
+    DISPLAY[status || "valid"] || {
+      label: "Unknown",
+      badge: "Not verified",
+      color: "#64748b",
+    }
+  );
+}
@@ -0,0 +1,13 @@
+/** Run `fn` over `items` with at most `limit` in flight. */
+export async function eachLimit(items, limit, fn) {
+  let next = 0;
+  const workers = Array.from({ length: Math.min(limit, items.length) }, () =>
+    (async () => {
+      while (next < items.length) {
+        const i = next++;
+        await fn(items[i], i);
+      }
+    })()
+  );
+  await Promise.all(workers);
+}
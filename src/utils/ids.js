@@ -0,0 +1,3 @@
+// A UUID in canonical text form, any case. Ids a caller typed in are
+// checked against it before they reach a uuid column.
+export const UUID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
@@ -1,8 +1,9 @@
 import jwt from "jsonwebtoken";
 
+// access tokens are short-lived; clients renew them with a refresh token
 export function signToken(payload, options = {}) {
   return jwt.sign(payload, process.env.JWT_SECRET, {
-    expiresIn: "7d",
+    expiresIn: process.env.ACCESS_TOKEN_TTL || "15m",
     ...options,
   });
 }
@@ -1,12 +1,47 @@
+// the `code` an error response carries when the handler doesn't pick one
+const ERROR_CODES = {
+  400: "bad_request",
+  401: "unauthorized",
+  403: "forbidden",
+  404: "not_found",
+  409: "conflict",
+  413: "payload_too_large",
+  429: "too_many_requests",
+  500: "internal_error",
+};
+
 export const ok = (res, data = {}) => res.json(data);
 export const created = (res, data = {}) => res.status(201).json(data);
-export const badRequest = (res, msg = "Bad request") =>
-  res.status(400).json({ error: msg });
-export const unauthorized = (res, msg = "Unauthorized") =>
-  res.status(401).json({ error: msg });
-export const conflict = (res, msg = "Conflict") =>
-  res.status(409).json({ error: msg });
+
+/**
+ * Every error response has the same shape:
+ *   { error: { code, message, details?, requestId } }
+ * `code` is stable for clients to branch on; `message` is for people;
+ * `details` lists field problems ({ location, field, message }) or other
+ * specifics; `requestId` matches the x-request-id header and the logs.
+ */
+export function sendError(res, status, message, { code, details } = {}) {
+  return res.status(status).json({
+    error: {
+      code: code || ERROR_CODES[status] || "error",
+      message,
+      ...(details !== undefined && { details }),
+      requestId: res.req?.id,
+    },
+  });
+}
+
+export const badRequest = (res, msg = "Bad request", opts) => sendError(res, 400, msg, opts);
+export const unauthorized = (res, msg = "Unauthorized", opts) =>
+  sendError(res, 401, msg, opts);
+export const forbidden = (res, msg = "Forbidden", opts) => sendError(res, 403, msg, opts);
+export const notFound = (res, msg = "Not found", opts) => sendError(res, 404, msg, opts);
+export const conflict = (res, msg = "Conflict", opts) => sendError(res, 409, msg, opts);
+export const tooManyRequests = (res, msg = "Too many requests", opts) =>
+  sendError(res, 429, msg, opts);
+
+/** Log an unexpected error and answer 500 without leaking what went wrong. */
 export const serverError = (res, e) => {
-  console.error(e);
-  return res.status(500).json({ error: "Server error" });
+  console.error(`[${res.req?.id}]`, e);
+  return sendError(res, 500, "Something went wrong");
 };
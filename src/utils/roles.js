@@ -0,0 +1,5 @@
+// user roles, most privileged first
+export const ROLES = ["admin", "registrar", "staff"];
+
+// roles an admin can invite into their institution
+export const INVITE_ROLES = ["registrar", "staff"];
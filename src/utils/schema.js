@@ -0,0 +1,209 @@
+import { UUID } from "./ids.js";
+
+// Declarative request schemas. A schema is a plain object of fields, e.g.
+//   { email: v.email(), role: v.oneOf(ROLES), note: v.string({ max: 500 }).optional() }
+// Fields are required unless marked optional(), nullable() or given a default().
+// Query strings and multipart fields arrive as text, so numbers and
+// booleans are accepted as text too. Keys a schema doesn't name are kept.
+
+const EMAIL = /^[^@\s]+@[^@\s]+\.[^@\s]+$/;
+const DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * A field. `parse(value, fail, path)` returns the cleaned value, or calls
+ * fail("must be ...") and returns anything. Messages name the field, so
+ * each one reads on its own: "email must be a valid email address".
+ */
+function field(parse) {
+  return {
+    parse,
+    isOptional: false,
+    isNullable: false,
+    defaultValue: undefined,
+    checks: [],
+    /** Missing (absent, null or blank) is fine; the value is then undefined. */
+    optional() {
+      return { ...this, isOptional: true };
+    },
+    /** Like optional(), but null or blank comes through as null (to clear a value). */
+    nullable() {
+      return { ...this, isOptional: true, isNullable: true };
+    },
+    /** Use `value` when missing. */
+    default(value) {
+      return { ...this, isOptional: true, defaultValue: value };
+    },
+    /** An extra check on the parsed value: `fn(value)` returns an error message or null. */
+    check(fn) {
+      return { ...this, checks: [...this.checks, fn] };
+    },
+  };
+}
+
+const isMissing = (value) =>
+  value === undefined || value === null || (typeof value === "string" && !value.trim());
+
+const plural = (n, word) => `${n} ${word}${n === 1 ? "" : "s"}`;
+
+function string({ min = 0, max = 1000, pattern, trim = true, lowercase = false } = {}) {
+  return field((value, fail) => {
+    if (typeof value !== "string" && typeof value !== "number")
+      return fail("must be a string");
+    let s = String(value);
+    if (trim) s = s.trim();
+    if (lowercase) s = s.toLowerCase();
+    if (s.length < min) return fail(`must be at least ${plural(min, "character")}`);
+    if (s.length > max) return fail(`must be at most ${plural(max, "character")}`);
+    if (pattern && !pattern.test(s)) return fail("has an invalid format");
+    return s;
+  });
+}
+
+function number({ min, max, integer = false } = {}) {
+  return field((value, fail) => {
+    const n = typeof value === "number" ? value : Number(String(value).trim());
+    if (typeof value === "boolean" || !Number.isFinite(n))
+      return fail(integer ? "must be an integer" : "must be a number");
+    if (integer && !Number.isInteger(n)) return fail("must be an integer");
+    if (min !== undefined && n < min) return fail(`must be at least ${min}`);
+    if (max !== undefined && n > max) return fail(`must be at most ${max}`);
+    return n;
+  });
+}
+
+export const v = {
+  string,
+
+  email: () =>
+    field((value, fail) => {
+      const s = String(value).trim();
+      if (typeof value !== "string" || s.length > 254 || !EMAIL.test(s))
+        return fail("must be a valid email address");
+      return s;
+    }),
+
+  /** An absolute http(s) URL. */
+  url: () =>
+    field((value, fail) => {
+      try {
+        const url = new URL(String(value).trim());
+        if (["http:", "https:"].includes(url.protocol)) return String(value).trim();
+      } catch {
+        // not a URL at all
+      }
+      return fail("must be an absolute http(s) URL");
+    }),
+
+  uuid: () =>
+    field((value, fail) =>
+      UUID.test(String(value)) ? String(value) : fail("must be a UUID")
+    ),
+
+  number,
+  int: (opts) => number({ ...opts, integer: true }),
+
+  boolean: () =>
+    field((value, fail) => {
+      if (typeof value === "boolean") return value;
+      const s = String(value).trim().toLowerCase();
+      if (["true", "1", "yes"].includes(s)) return true;
+      if (["false", "0", "no"].includes(s)) return false;
+      return fail("must be true or false");
+    }),
+
+  oneOf: (values) =>
+    field((value, fail) =>
+      values.includes(value) ? value : fail(`must be one of: ${values.join(", ")}`)
+    ),
+
+  /** YYYY-MM-DD, a day that exists (not 2025-02-30) */
+  date: () =>
+    field((value, fail) => {
+      const s = String(value);
+      // Date rolls an impossible day over into the next month
+      const valid =
+        DATE.test(s) &&
+        !Number.isNaN(Date.parse(s)) &&
+        new Date(`${s}T00:00:00Z`).toISOString().slice(0, 10) === s;
+      return valid ? s : fail("must be a date (YYYY-MM-DD)");
+    }),
+
+  /** An array of `item`; a comma-separated string is accepted too. */
+  array: (item, { min = 0, max = 1000 } = {}) =>
+    field((value, fail, path) => {
+      const list = Array.isArray(value)
+        ? value
+        : typeof value === "string"
+          ? value.split(",").map((s) => s.trim()).filter(Boolean)
+          : null;
+      if (!list) return fail("must be a list");
+      if (list.length < min) return fail(`must have at least ${plural(min, "item")}`);
+      if (list.length > max) return fail(`must have at most ${plural(max, "item")}`);
+      return list.map((el, i) => check(item, el, `${path}[${i}]`, fail.issues));
+    }),
+
+  /** A nested object with its own fields. */
+  object: (shape) =>
+    field((value, fail, path) => {
+      if (typeof value !== "object" || Array.isArray(value)) return fail("must be an object");
+      return parseShape(shape, value, path, fail.issues);
+    }),
+
+  /** An object or a JSON text of one (multipart fields are text). */
+  json: () =>
+    field((value, fail) => {
+      if (typeof value === "object") return value;
+      try {
+        return JSON.parse(value);
+      } catch {
+        return fail("must be valid JSON");
+      }
+    }),
+
+  /** Anything present; the handler checks it. */
+  any: () => field((value) => value),
+};
+
+function check(rule, value, path, issues) {
+  if (isMissing(value)) {
+    if (rule.defaultValue !== undefined) return rule.defaultValue;
+    if (rule.isNullable && value !== undefined) return null;
+    if (!rule.isOptional) issues.push({ field: path, message: `${path} is required` });
+    return undefined;
+  }
+  const before = issues.length;
+  const fail = (message) => {
+    issues.push({ field: path, message: `${path} ${message}` });
+  };
+  fail.issues = issues;
+  const parsed = rule.parse(value, fail, path);
+  if (issues.length > before) return undefined;
+  for (const fn of rule.checks) {
+    const message = fn(parsed);
+    if (message) {
+      issues.push({ field: path, message });
+      return undefined;
+    }
+  }
+  return parsed;
+}
+
+function parseShape(shape, input, prefix, issues) {
+  const out = { ...input };
+  for (const [key, rule] of Object.entries(shape)) {
+    const value = check(rule, input?.[key], prefix ? `${prefix}.${key}` : key, issues);
+    if (value === undefined) delete out[key];
+    else out[key] = value;
+  }
+  return out;
+}
+
+/**
+ * Check `input` against a schema (an object of fields).
+ * Returns { value } or { issues: [{ field, message }] }.
+ */
+export function parse(shape, input) {
+  const issues = [];
+  const value = parseShape(shape, input ?? {}, "", issues);
+  return issues.length ? { issues } : { value };
+}
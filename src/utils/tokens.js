@@ -0,0 +1,5 @@
+import { createHash } from "crypto";
+
+// Secrets handed out in clear (refresh tokens, emailed links, share links,
+// API keys) are stored only as this hash.
+export const hashToken = (token) => createHash("sha256").update(String(token)).digest("hex");
@@ -0,0 +1,130 @@
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { startApp, waitFor } from "./helpers/app.js";
+
+// Verification events and the analytics built on them.
+
+let app, call;
+let admin, operator; // auth headers
+let certificateId;
+const unknownCode = "00000000-0000-4000-8000-000000000000";
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+before(async () => {
+  app = await startApp({ PLATFORM_ADMIN_EMAILS: "ops@platform.test" });
+  ({ call } = app);
+  admin = await app.register("Analytics University", "admin@analytics.test");
+  operator = await app.register("Platform Ops", "ops@platform.test");
+  ({ certificateId } = await app.issueOne(admin));
+
+  await call("GET", `/certificates/verify/${certificateId}.json`);
+  await call("GET", `/certificates/verify/${certificateId}.json`);
+  await call("GET", `/certificates/verify/${unknownCode}.json`);
+  // events are written after the response
+  await waitFor(
+    async () =>
+      (await app.sql`select count(*)::int as n from verification_events`)[0].n === 3,
+    { message: "verification events" }
+  );
+});
+
+after(() => app?.stop());
+
+describe("verification analytics", () => {
+  test("count an institution's verifications per UTC day and channel", async () => {
+    const { status, json } = await call(
+      "GET",
+      `/certificates/analytics/verifications?from=${today()}&to=${today()}`,
+      { headers: admin }
+    );
+    assert.equal(status, 200);
+    assert.equal(json.from, `${today()}T00:00:00.000Z`);
+    assert.equal(json.to, `${today()}T23:59:59.999Z`);
+    assert.equal(json.total, 2);
+    assert.deepEqual(json.series, [
+      { period: today(), total: 2, channels: { json: 2 }, statuses: { valid: 2 } },
+    ]);
+  });
+
+  test("group months by their UTC start", async () => {
+    const { json } = await call(
+      "GET",
+      `/certificates/analytics/verifications?interval=month&from=${today()}&to=${today()}`,
+      { headers: admin }
+    );
+    assert.equal(json.series.length, 1);
+    assert.equal(json.series[0].period, today().slice(0, 7));
+    assert.equal(json.series[0].total, 2);
+  });
+
+  test("rank the most verified certificates", async () => {
+    const { json } = await call("GET", "/certificates/analytics/most-verified?limit=5", {
+      headers: admin,
+    });
+    assert.equal(json.items.length, 1);
+    assert.equal(json.items[0].certificate_id, certificateId);
+    assert.equal(json.items[0].count, 2);
+    assert.equal(json.items[0].full_name, "Ada Lovelace");
+  });
+
+  test("don't count another institution's certificates", async () => {
+    const { json } = await call("GET", "/certificates/analytics/verifications", {
+      headers: operator,
+    });
+    assert.equal(json.total, 0);
+  });
+});
+
+describe("not-found attempts", () => {
+  const bulkCode = "00000000-0000-4000-8000-00000000b01c";
+  const notFound = (headers) =>
+    call("GET", "/certificates/analytics/not-found", { headers });
+
+  test("show institution admins the ones from their own bulk checks", async () => {
+    await call("POST", "/certificates/verify/bulk", {
+      headers: admin,
+      body: { certificates: [certificateId, bulkCode] },
+    });
+    await waitFor(
+      async () =>
+        (await app.sql`select count(*)::int as n from verification_events`)[0].n === 5,
+      { message: "bulk verification events" }
+    );
+
+    const { status, json } = await notFound(admin);
+    assert.equal(status, 200);
+    assert.equal(json.scope, "institution");
+    assert.equal(json.total, 1);
+    assert.deepEqual(json.codes.map((c) => c.certificate_id), [bulkCode]);
+    assert.deepEqual(json.recent.map((c) => c.certificate_id), [bulkCode]);
+
+    const other = await app.register("Other University", "admin@other-analytics.test");
+    const { json: theirs } = await notFound(other);
+    assert.equal(theirs.total, 0);
+  });
+
+  test("are all listed for platform operators", async () => {
+    const { status, json } = await notFound(operator);
+    assert.equal(status, 200);
+    assert.equal(json.scope, "platform");
+    assert.equal(json.total, 2);
+    assert.deepEqual(json.codes.map((c) => c.certificate_id).sort(), [unknownCode, bulkCode]);
+    assert.equal(json.recent[0].certificate_id, bulkCode);
+  });
+});
+
+describe("verification events", () => {
+  test("record the connecting address, not a forged X-Forwarded-For", async () => {
+    await app.sql`delete from verification_events`;
+    await call("GET", `/certificates/verify/${certificateId}.json`, {
+      headers: { "x-forwarded-for": "203.0.113.9" },
+    });
+    const [event] = await waitFor(
+      () => app.sql`select client_ip, channel from verification_events`.then((r) => r.length && r),
+      { message: "verification event" }
+    );
+    assert.equal(event.channel, "json");
+    assert.equal(event.client_ip, "127.0.0.0");
+  });
+});
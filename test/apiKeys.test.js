@@ -0,0 +1,72 @@
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { startApp } from "./helpers/app.js";
+
+// Institution API keys: scopes decide what a key may do, a revoked key
+// stops working, and keys never reach the routes meant for signed-in staff.
+
+let app, call, admin;
+
+before(async () => {
+  app = await startApp();
+  ({ call } = app);
+  admin = await app.register("Keys University", "admin@keys.test");
+});
+
+after(() => app?.stop());
+
+/** Create an API key with a preset; resolves to { id, headers }. */
+async function apiKey(preset) {
+  const { status, json } = await call("POST", "/api-keys", {
+    headers: admin,
+    body: { name: preset, preset },
+  });
+  assert.equal(status, 201);
+  return { id: json.id, headers: { authorization: `Bearer ${json.key}` } };
+}
+
+const upload = (headers) => {
+  const form = new FormData();
+  const csv = "Full Name,Program,Certificate,CGPA\nAda Lovelace,Mathematics,BSc,4.5\n";
+  form.append("file", new Blob([csv], { type: "text/csv" }), "students.csv");
+  return call("POST", "/certificates/generate", { headers, body: form });
+};
+
+describe("API keys", () => {
+  test("need certificates:issue to generate", async () => {
+    const { headers } = await apiKey("read-only");
+    const { status, json } = await upload(headers);
+    assert.equal(status, 403);
+    assert.equal(json.error.code, "missing_scope");
+    assert.match(json.error.message, /certificates:issue/);
+
+    // the job is polled with a key that can read, too
+    const issuer = await apiKey("issue-and-read");
+    assert.equal((await app.generate(issuer.headers)).status, "completed");
+  });
+
+  test("stop working once revoked", async () => {
+    const { id, headers } = await apiKey("issue-and-read");
+    assert.equal((await call("GET", "/certificates", { headers })).status, 200);
+
+    assert.equal((await call("DELETE", `/api-keys/${id}`, { headers: admin })).status, 204);
+    const { status, json } = await call("GET", "/certificates", { headers });
+    assert.equal(status, 401);
+    assert.equal(json.error.code, "invalid_api_key");
+  });
+
+  test("can't use the routes meant for signed-in staff", async () => {
+    const { headers } = await apiKey("issue-and-read");
+    for (const [method, url] of [
+      ["GET", "/api-keys"],
+      ["GET", "/users"],
+      ["GET", "/certificates/analytics/verifications"],
+    ]) {
+      const { status, json } = await call(method, url, { headers });
+      assert.equal(status, 403, url);
+      assert.equal(json.error.code, "missing_scope", url);
+    }
+    const me = await call("GET", "/auth/me", { headers });
+    assert.equal(me.status, 401);
+  });
+});
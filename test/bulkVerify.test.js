@@ -0,0 +1,61 @@
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { startApp } from "./helpers/app.js";
+
+// Bulk verification: who may call it, and its per-id results.
+
+let app, call, admin, certificateId;
+
+before(async () => {
+  app = await startApp();
+  ({ call } = app);
+  admin = await app.register("Bulk University", "admin@bulk.test");
+  ({ certificateId } = await app.issueOne(admin));
+});
+
+after(() => app?.stop());
+
+/** Create an API key with a preset; resolves to its auth headers. */
+async function apiKey(preset) {
+  const { status, json } = await call("POST", "/api-keys", {
+    headers: admin,
+    body: { name: preset, preset },
+  });
+  assert.equal(status, 201);
+  return { authorization: `Bearer ${json.key}` };
+}
+
+const verify = (headers) =>
+  call("POST", "/certificates/verify/bulk", {
+    headers,
+    body: {
+      certificates: [
+        certificateId,
+        { certificate_id: certificateId, name: "ada lovelace" },
+        "00000000-0000-4000-8000-000000000000",
+      ],
+    },
+  });
+
+describe("bulk verification", () => {
+  test("reports each id, with an optional name match", async () => {
+    const { status, json } = await verify(admin);
+    assert.equal(status, 200);
+    assert.equal(json.count, 3);
+    assert.equal(json.found, 2);
+    assert.equal(json.results[1].name_match, true);
+    assert.equal(json.results[2].found, false);
+  });
+
+  test("needs a sign-in", async () => {
+    assert.equal((await verify()).status, 401);
+  });
+
+  test("takes API keys that may read certificates, only", async () => {
+    assert.equal((await verify(await apiKey("read-only"))).status, 200);
+
+    const { status, json } = await verify(await apiKey("issue-only"));
+    assert.equal(status, 403);
+    assert.equal(json.error.code, "missing_scope");
+  });
+});
@@ -0,0 +1,90 @@
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { startApp } from "./helpers/app.js";
+
+// Walking the certificate list with cursors.
+
+let app, call, admin;
+
+before(async () => {
+  app = await startApp();
+  ({ call } = app);
+  admin = await app.register("List University", "admin@list.test");
+  const csv = [
+    "Full Name,Program,Certificate,CGPA",
+    "Grace Hopper,Computing,BSc,4.6",
+    "Ada Lovelace,Mathematics,BSc,4.5",
+    "Alan Turing,Logic,BSc,4.7",
+  ].join("\n");
+  await app.issueOne(admin, { csv });
+});
+
+after(() => app?.stop());
+
+const list = (query) => call("GET", `/certificates?${query}`, { headers: admin });
+
+describe("certificate list cursors", () => {
+  test("walk every row once in the chosen order", async () => {
+    const names = [];
+    let cursor = "";
+    do {
+      const { status, json } = await list(`sort=full_name&pageSize=1&cursor=${cursor}`);
+      assert.equal(status, 200);
+      assert.equal(json.sort, "full_name");
+      names.push(...json.items.map((c) => c.full_name));
+      cursor = json.nextCursor;
+    } while (cursor);
+    assert.deepEqual(names, ["Ada Lovelace", "Alan Turing", "Grace Hopper"]);
+  });
+
+  test("are refused with a different sort", async () => {
+    const { json: first } = await list("sort=full_name&pageSize=1&cursor=");
+    for (const sort of ["-full_name", "created_at", ""]) {
+      const { status, json } = await list(`sort=${sort}&pageSize=1&cursor=${first.nextCursor}`);
+      assert.equal(status, 400, sort);
+      assert.equal(json.error.code, "invalid_cursor");
+      assert.equal(json.error.details[0].field, "cursor");
+      assert.match(json.error.details[0].message, /sort=full_name/);
+    }
+  });
+
+  test("are refused when malformed", async () => {
+    const made = Buffer.from(JSON.stringify(["Ada", "not-an-id"])).toString("base64url");
+    for (const cursor of ["garbage", made]) {
+      const { status, json } = await list(`cursor=${cursor}`);
+      assert.equal(status, 400);
+      assert.equal(json.error.code, "invalid_cursor");
+      assert.equal(json.error.details[0].message, "cursor is invalid");
+    }
+  });
+
+  test("are refused when the value isn't of the sort column's type", async () => {
+    const id = "00000000-0000-4000-8000-000000000000";
+    const cursor = (...c) => Buffer.from(JSON.stringify(c)).toString("base64url");
+    for (const [sort, value] of [
+      ["-created_at", "not a date"],
+      ["reissued_at", "1 OR 1=1"],
+      ["cgpa", "4.5abc"],
+      ["-version", "1.5"],
+    ]) {
+      const { status, json } = await list(`sort=${sort}&cursor=${cursor(sort, value, id)}`);
+      assert.equal(status, 400, sort);
+      assert.equal(json.error.code, "invalid_cursor");
+      assert.equal(json.error.details[0].field, "cursor");
+    }
+  });
+
+  test("walk by timestamp and by number", async () => {
+    for (const sort of ["-created_at", "cgpa"]) {
+      const seen = [];
+      let cursor = "";
+      do {
+        const { status, json } = await list(`sort=${sort}&pageSize=2&cursor=${cursor}`);
+        assert.equal(status, 200, sort);
+        seen.push(...json.items.map((c) => c.full_name));
+        cursor = json.nextCursor;
+      } while (cursor);
+      assert.equal(new Set(seen).size, 3, sort);
+    }
+  });
+});
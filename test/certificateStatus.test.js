@@ -0,0 +1,65 @@
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { startApp } from "./helpers/app.js";
+
+// Revoking, suspending and reinstating certificates. Revoked is final.
+
+let app, call, admin;
+
+before(async () => {
+  app = await startApp();
+  ({ call } = app);
+  admin = await app.register("Status University", "admin@status.test");
+});
+
+after(() => app?.stop());
+
+const act = (certificateId, action) =>
+  call("POST", `/certificates/${certificateId}/${action}`, {
+    headers: admin,
+    body: { reason: `${action} for the test` },
+  });
+
+const verify = async (certificateId) =>
+  (await call("GET", `/certificates/verify/${certificateId}.json`)).json;
+
+describe("certificate status", () => {
+  test("a suspended certificate can be reinstated", async () => {
+    const { certificateId } = await app.issueOne(admin);
+
+    const suspended = await act(certificateId, "suspend");
+    assert.equal(suspended.status, 200);
+    assert.equal(suspended.json.status, "suspended");
+    assert.equal((await verify(certificateId)).status, "suspended");
+
+    const reinstated = await act(certificateId, "reinstate");
+    assert.equal(reinstated.status, 200);
+    assert.equal(reinstated.json.status, "valid");
+    assert.equal((await verify(certificateId)).status, "valid");
+  });
+
+  test("a revoked certificate can't be reinstated, suspended or reissued", async () => {
+    const { certificateId } = await app.issueOne(admin);
+    assert.equal((await act(certificateId, "suspend")).status, 200);
+    assert.equal((await act(certificateId, "revoke")).status, 200);
+
+    for (const action of ["reinstate", "suspend", "revoke"]) {
+      const { status, json } = await act(certificateId, action);
+      assert.equal(status, 409, action);
+      assert.equal(json.error.message, `Cannot ${action} a revoked certificate`);
+    }
+    const reissue = await call("POST", `/certificates/${certificateId}/reissue`, {
+      headers: admin,
+      body: { reason: "typo", changes: { program: "Physics" } },
+    });
+    assert.equal(reissue.status, 409);
+    assert.equal((await verify(certificateId)).status, "revoked");
+  });
+
+  test("only the actions that apply to the current status are allowed", async () => {
+    const { certificateId } = await app.issueOne(admin);
+    const { status, json } = await act(certificateId, "reinstate");
+    assert.equal(status, 409);
+    assert.equal(json.error.message, "Cannot reinstate a valid certificate");
+  });
+});
@@ -0,0 +1,83 @@
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { generateKeyPairSync, sign } from "node:crypto";
+import { startApp, waitFor } from "./helpers/app.js";
+
+// Checking a presented credential (Open Badges VC-JWT): a genuine one
+// passes, and an altered one or one signed with a key we never published
+// doesn't.
+
+let app, call, credential, jwt;
+
+before(async () => {
+  app = await startApp();
+  ({ call } = app);
+  const admin = await app.register("Credential University", "admin@credential.test");
+  const { certificateId } = await app.issueOne(admin);
+  ({ json: credential } = await call("GET", `/credentials/${certificateId}`));
+  ({ text: jwt } = await call("GET", `/credentials/${certificateId}?format=jwt`));
+});
+
+after(() => app?.stop());
+
+const events = async () =>
+  (await app.sql`select count(*)::int as n from verification_events`)[0].n;
+
+/** Check a credential, waiting for its verification event (written after the response). */
+async function check(body) {
+  const seen = await events();
+  const res = await call("POST", "/certificates/verify/credential", { body });
+  await waitFor(async () => (await events()) > seen, { message: "the verification event" });
+  return res;
+}
+
+const b64url = (value) => Buffer.from(JSON.stringify(value)).toString("base64url");
+const decode = (part) => JSON.parse(Buffer.from(part, "base64url").toString("utf8"));
+
+describe("credential check", () => {
+  test("passes a credential as issued, as JSON or as the bare JWT", async () => {
+    for (const body of [{ credential }, { jwt }]) {
+      const { status, json } = await check(body);
+      assert.equal(status, 200);
+      assert.equal(json.valid, true);
+      assert.equal(json.checks.signature, true);
+      assert.equal(json.checks.issuer, true);
+      assert.equal(json.checks.status, "valid");
+      assert.equal(json.checks.current, true);
+      assert.equal(json.certificate.holder, "Ada Lovelace");
+    }
+  });
+
+  test("fails a JSON document changed after signing", async () => {
+    const altered = structuredClone(credential);
+    altered.credentialSubject.identifier[0].identityHash = "Someone Else";
+    const { json } = await check({ credential: altered });
+    assert.equal(json.valid, false);
+    assert.equal(json.checks.signature, true);
+    assert.equal(json.checks.document, false);
+  });
+
+  test("fails a JWT whose payload was changed", async () => {
+    const [header, body, sig] = jwt.split(".");
+    const payload = decode(body);
+    payload.vc.name = "PhD";
+    const { json } = await check({ jwt: `${header}.${b64url(payload)}.${sig}` });
+    assert.equal(json.valid, false);
+    assert.equal(json.checks.signature, false);
+  });
+
+  test("fails a credential signed with a key that isn't in the JWKS", async () => {
+    const { json: jwks } = await call("GET", "/.well-known/jwks.json");
+    const { privateKey } = generateKeyPairSync("ed25519");
+    const kid = "not-a-published-key";
+    assert.ok(!jwks.keys.some((k) => k.kid === kid));
+
+    const [, body] = jwt.split(".");
+    const header = b64url({ alg: "EdDSA", kid, typ: "JWT" });
+    const sig = sign(null, Buffer.from(`${header}.${body}`), privateKey).toString("base64url");
+    const { json } = await check({ jwt: `${header}.${body}.${sig}` });
+    assert.equal(json.valid, false);
+    assert.equal(json.checks.signature, false);
+    assert.equal(json.checks.issuer, false);
+  });
+});
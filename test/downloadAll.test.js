@@ -0,0 +1,94 @@
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import path from "node:path";
+import xlsx from "xlsx";
+import { startApp, unzip } from "./helpers/app.js";
+
+// Download-all: the ZIP of PDFs and the manifest that accounts for every
+// certificate asked for, including the ones whose PDF couldn't be added.
+
+const UNKNOWN = "00000000-0000-4000-8000-000000000000";
+
+let app, call, admin, jobId;
+const ids = {};
+
+before(async () => {
+  app = await startApp();
+  ({ call } = app);
+  admin = await app.register("Zip University", "admin@zip.test");
+  const csv = [
+    "Full Name,Program,Certificate,CGPA",
+    "Ada Lovelace,Mathematics,BSc,4.5",
+    "Ada Lovelace,Mathematics,MSc,4.8",
+    "Alan Turing,Logic,BSc,4.7",
+  ].join("\n");
+  ({ jobId } = await app.issueOne(admin, { csv }));
+  for (const row of await app.sql`
+    select certificate_id, certificate, full_name, pdf_path from certificates where job_id = ${jobId}
+  `)
+    ids[`${row.full_name} ${row.certificate}`] = row;
+});
+
+after(() => app?.stop());
+
+/** POST /certificates/download-all; resolves to { files, manifest } (manifest rows as objects). */
+async function download(body) {
+  const { status, headers, buffer } = await call("POST", "/certificates/download-all", {
+    headers: admin,
+    body,
+  });
+  assert.equal(status, 200);
+  assert.equal(headers.get("content-type"), "application/zip");
+  const files = unzip(buffer);
+  const book = xlsx.read(files.get("manifest.csv"), { type: "buffer", raw: true });
+  const manifest = xlsx.utils.sheet_to_json(book.Sheets[book.SheetNames[0]], {
+    raw: true,
+    defval: "",
+  });
+  return { files, manifest };
+}
+
+describe("download-all", () => {
+  test("lists every selected certificate in the manifest, in order", async () => {
+    const order = ["Alan Turing BSc", "Ada Lovelace BSc", "Ada Lovelace MSc"];
+    const { files, manifest } = await download({
+      ids: order.map((k) => ids[k].certificate_id),
+    });
+    assert.deepEqual(
+      manifest.map((r) => [r["Certificate ID"], r["Full Name"], r.Certificate, r.Version, r.Error]),
+      order.map((k) => [ids[k].certificate_id, ids[k].full_name, k.split(" ").at(-1), "1", ""])
+    );
+    for (const { File } of manifest)
+      assert.match(files.get(File).toString("latin1", 0, 5), /^%PDF-/, File);
+  });
+
+  test("gives recipients with the same name different file names", async () => {
+    const { files, manifest } = await download({ job_id: jobId, sort: "certificate" });
+    const adas = manifest.filter((r) => r["Full Name"] === "Ada Lovelace").map((r) => r.File);
+    assert.deepEqual(adas.sort(), ["Ada Lovelace (2).pdf", "Ada Lovelace.pdf"]);
+    assert.deepEqual(
+      [...files.keys()].sort(),
+      ["Ada Lovelace (2).pdf", "Ada Lovelace.pdf", "Alan Turing.pdf", "manifest.csv"]
+    );
+  });
+
+  test("reports a missing PDF or certificate in the manifest instead of failing", async () => {
+    const turing = ids["Alan Turing BSc"];
+    fs.rmSync(path.join(process.env.STORAGE_DIR, turing.pdf_path));
+
+    const ada = ids["Ada Lovelace BSc"];
+    const { files, manifest } = await download({
+      ids: [turing.certificate_id, UNKNOWN, ada.certificate_id],
+    });
+    assert.deepEqual(
+      manifest.map((r) => [r["Certificate ID"], r.File, r.Error]),
+      [
+        [turing.certificate_id, "", "PDF not found in storage"],
+        [UNKNOWN, "", "Certificate not found"],
+        [ada.certificate_id, "Ada Lovelace.pdf", ""],
+      ]
+    );
+    assert.deepEqual([...files.keys()].sort(), ["Ada Lovelace.pdf", "manifest.csv"]);
+  });
+});
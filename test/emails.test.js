@@ -0,0 +1,211 @@
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import path from "node:path";
+import { SMTPServer } from "smtp-server";
+import { startApp, waitFor } from "./helpers/app.js";
+
+// Emailing certificates through a local SMTP catcher: the queue, claiming,
+// sending, bounce/failure recording, requeueing, and the mailer drivers.
+
+let app, call, admin;
+let smtp;
+const caught = []; // { to, raw }
+// addresses the catcher refuses: permanently (bounce) or for now (failure)
+const refuse = new Map([
+  ["bounce@emails.test", { code: 550, message: "No such user" }],
+  ["later@emails.test", { code: 451, message: "Try again later" }],
+]);
+
+let jobId;
+const ids = {}; // recipient email -> certificate id
+
+before(async () => {
+  smtp = new SMTPServer({
+    authOptional: true,
+    disabledCommands: ["STARTTLS"],
+    logger: false,
+    onRcptTo(address, session, callback) {
+      const no = refuse.get(address.address);
+      if (!no) return callback();
+      callback(Object.assign(new Error(no.message), { responseCode: no.code }));
+    },
+    onData(stream, session, callback) {
+      let raw = "";
+      stream.on("data", (c) => (raw += c));
+      stream.on("end", () => {
+        for (const { address } of session.envelope.rcptTo) caught.push({ to: address, raw });
+        callback();
+      });
+    },
+  });
+  await new Promise((r) => smtp.listen(0, "127.0.0.1", r));
+
+  app = await startApp({
+    MAIL_DRIVER: "smtp",
+    SMTP_HOST: "127.0.0.1",
+    SMTP_PORT: String(smtp.server.address().port),
+    MAIL_FROM: "certificates@emails.test",
+  });
+  ({ call } = app);
+  admin = await app.register("Email University", "admin@emails.test");
+  // registration's own verification email
+  await waitFor(() => caught.length, { message: "the verification email" });
+  caught.length = 0;
+
+  const csv = [
+    "Full Name,Program,Certificate,CGPA,Email",
+    "Ada Lovelace,Mathematics,BSc,4.5,ada@emails.test",
+    "Grace Hopper,Computing,BSc,4.6,bounce@emails.test",
+    "Alan Turing,Logic,BSc,4.7,later@emails.test",
+    "Katherine Johnson,Physics,BSc,4.8,",
+  ].join("\n");
+  ({ jobId } = await app.issueOne(admin, { csv, fields: { send_email: "true" } }));
+  for (const c of await app.sql`
+    select certificate_id, recipient_email from certificates where job_id = ${jobId}
+  `)
+    ids[c.recipient_email] = c.certificate_id;
+});
+
+after(async () => {
+  await app?.stop();
+  await new Promise((r) => smtp?.close(r));
+});
+
+const emailState = async (certificateId) =>
+  (
+    await app.sql`
+      select email_status, email_error, email_attempts, email_message_id
+      from certificates where certificate_id = ${certificateId}
+    `
+  )[0];
+
+/** Wait until the certificate's email has left the queue; resolves to its state. */
+const settled = (certificateId) =>
+  waitFor(
+    async () => {
+      const state = await emailState(certificateId);
+      return !["queued", "sending"].includes(state.email_status) && state;
+    },
+    { message: `email for ${certificateId}` }
+  );
+
+describe("certificate emails", () => {
+  test("send each recipient their certificate", async () => {
+    const state = await settled(ids["ada@emails.test"]);
+    assert.equal(state.email_status, "sent");
+    assert.equal(state.email_attempts, 1);
+    assert.ok(state.email_message_id);
+
+    const [mail] = caught.filter((m) => m.to === "ada@emails.test");
+    assert.match(mail.raw, /Subject: Your certificate from Email University/);
+    assert.match(mail.raw, /Dear Ada Lovelace/);
+    assert.match(mail.raw, new RegExp(`/certificates/verify/${ids["ada@emails.test"]}`));
+    assert.match(mail.raw, /Content-Type: application\/pdf; name="?Ada Lovelace\.pdf/);
+  });
+
+  test("record a permanent rejection as bounced", async () => {
+    const state = await settled(ids["bounce@emails.test"]);
+    assert.equal(state.email_status, "bounced");
+    assert.match(state.email_error, /No such user/);
+  });
+
+  test("record a temporary rejection as failed", async () => {
+    const state = await settled(ids["later@emails.test"]);
+    assert.equal(state.email_status, "failed");
+    assert.match(state.email_error, /Try again later/);
+  });
+
+  test("skip rows without an address", async () => {
+    const [row] = await app.sql`
+      select email_status from certificates where job_id = ${jobId} and recipient_email is null
+    `;
+    assert.equal(row.email_status, null);
+  });
+
+  test("send the batch again to the failed ones only, not the bounced", async () => {
+    refuse.delete("later@emails.test");
+    caught.length = 0;
+    const { status, json } = await call("POST", `/certificates/jobs/${jobId}/email`, {
+      headers: admin,
+    });
+    assert.equal(status, 202);
+    assert.equal(json.queued, 1);
+
+    const state = await settled(ids["later@emails.test"]);
+    assert.equal(state.email_status, "sent");
+    assert.equal(state.email_attempts, 2);
+    assert.deepEqual(
+      caught.map((m) => m.to),
+      ["later@emails.test"]
+    );
+    assert.equal((await emailState(ids["bounce@emails.test"])).email_status, "bounced");
+  });
+
+  test("resend to a corrected address", async () => {
+    const id = ids["bounce@emails.test"];
+    const { status } = await call("POST", `/certificates/${id}/email`, {
+      headers: admin,
+      body: { email: "grace@emails.test" },
+    });
+    assert.equal(status, 202);
+    assert.equal((await settled(id)).email_status, "sent");
+    assert.ok(caught.some((m) => m.to === "grace@emails.test"));
+  });
+
+  test("let only one worker claim a queued email", async () => {
+    const { claimQueuedEmail } = await import("../src/repositories/certificates.js");
+    const id = ids["ada@emails.test"];
+    await app.sql`update certificates set email_status = 'queued' where certificate_id = ${id}`;
+
+    const claims = await Promise.all([claimQueuedEmail(id), claimQueuedEmail(id)]);
+    assert.equal(claims.filter(Boolean).length, 1);
+    assert.equal((await emailState(id)).email_status, "sending");
+  });
+
+  test("send emails a crash left half-sent when the worker starts", async () => {
+    const { startEmailWorker } = await import("../src/lib/certificateEmails.js");
+    const id = ids["ada@emails.test"]; // left "sending" by the test above
+    caught.length = 0;
+
+    assert.equal(await startEmailWorker(), 1);
+    assert.equal((await settled(id)).email_status, "sent");
+    assert.deepEqual(
+      caught.map((m) => m.to),
+      ["ada@emails.test"]
+    );
+  });
+});
+
+describe("mailer drivers", () => {
+  test("file writes each message as JSON with base64 attachments", async () => {
+    const { createFileMailer } = await import("../src/lib/mailer/file.js");
+    const dir = path.join(app.tmp, "file-mailer");
+    const mailer = createFileMailer({ dir, from: "me@emails.test" });
+
+    const { id } = await mailer.send({
+      to: "you@emails.test",
+      subject: "Hello",
+      text: "Hi there",
+      attachments: [{ filename: "a.txt", content: Buffer.from("abc"), contentType: "text/plain" }],
+    });
+    const [file] = fs.readdirSync(dir);
+    const message = JSON.parse(fs.readFileSync(path.join(dir, file), "utf8"));
+    assert.equal(message.id, id);
+    assert.equal(message.from, "me@emails.test");
+    assert.equal(message.to, "you@emails.test");
+    assert.equal(message.attachments[0].content, Buffer.from("abc").toString("base64"));
+  });
+
+  test("console prints the message instead of sending it", async (t) => {
+    const { createConsoleMailer } = await import("../src/lib/mailer/console.js");
+    const log = t.mock.method(console, "log", () => {});
+    const { id } = await createConsoleMailer({ from: "me@emails.test" }).send({
+      to: "you@emails.test",
+      subject: "Hello",
+      text: "Hi there",
+    });
+    assert.ok(id);
+    assert.match(log.mock.calls[0].arguments[0], /to=you@emails\.test subject="Hello"\nHi there/);
+  });
+});
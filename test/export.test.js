@@ -0,0 +1,53 @@
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import xlsx from "xlsx";
+import { startApp, unzip } from "./helpers/app.js";
+
+// Exported sheets: cells that a spreadsheet app would run as formulas are
+// written as text.
+
+const NAMES = ["=HYPERLINK(\"http://evil.test\")", "+Ada", "-Ada", "@SUM(A1)"];
+
+let app, call, admin;
+
+before(async () => {
+  app = await startApp();
+  ({ call } = app);
+  admin = await app.register("Export University", "admin@export.test");
+  // as text cells: a CSV upload would read "=..." as a formula itself
+  const rows = [
+    ["Full Name", "Program", "Certificate", "CGPA"],
+    ...NAMES.map((name) => [name, "Mathematics", "BSc", "4.5"]),
+  ];
+  await app.issueOne(admin, { rows });
+});
+
+after(() => app?.stop());
+
+/** The Full Name column of a sheet file, in row order. */
+function names(buffer) {
+  const book = xlsx.read(buffer, { type: "buffer", raw: true });
+  const rows = xlsx.utils.sheet_to_json(book.Sheets[book.SheetNames[0]], { raw: true });
+  return rows.map((r) => r["Full Name"]).sort();
+}
+
+const quoted = NAMES.map((name) => `'${name}`).sort();
+
+describe("sheet exports", () => {
+  for (const format of ["csv", "xlsx"])
+    test(`quote formula-like cells in ${format}`, async () => {
+      const { status, buffer } = await call("GET", `/certificates/export?format=${format}`, {
+        headers: admin,
+      });
+      assert.equal(status, 200);
+      assert.deepEqual(names(buffer), quoted);
+    });
+
+  test("quote formula-like cells in the download-all manifest", async () => {
+    const { status, buffer } = await call("GET", "/certificates/download-all", {
+      headers: admin,
+    });
+    assert.equal(status, 200);
+    assert.deepEqual(names(unzip(buffer).get("manifest.csv")), quoted);
+  });
+});
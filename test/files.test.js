@@ -0,0 +1,118 @@
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { createHmac } from "node:crypto";
+import fs from "node:fs";
+import path from "node:path";
+import { startApp } from "./helpers/app.js";
+import { createLocalStorage } from "../src/lib/storage/local.js";
+
+// The local storage driver and its signed /files links: a link works until
+// it expires and only for the path it was made for, and no path reaches
+// outside the storage directory.
+
+const OBJECT = "certificates/test/ada.pdf";
+
+let app, call, storage;
+
+before(async () => {
+  app = await startApp();
+  ({ call } = app);
+  const { getStorage } = await import("../src/lib/storage/index.js");
+  storage = getStorage();
+  await storage.put(OBJECT, Buffer.from("%PDF-1.7 test"));
+  // a file beside the storage directory, which no link may reach
+  fs.writeFileSync(path.join(app.tmp, "secret.txt"), "not for download");
+});
+
+after(() => app?.stop());
+
+/** GET a signed link, as a path on this server. */
+const open = (url) => {
+  const { pathname, search } = new URL(url);
+  return call("GET", pathname + search);
+};
+
+describe("signed /files links", () => {
+  test("serve the file they were made for", async () => {
+    const { status, text, headers } = await open(await storage.signedUrl(OBJECT, 60));
+    assert.equal(status, 200);
+    assert.equal(text, "%PDF-1.7 test");
+    assert.equal(headers.get("cache-control"), "private, no-store");
+  });
+
+  test("are refused once expired", async () => {
+    const { status, json } = await open(await storage.signedUrl(OBJECT, -1));
+    assert.equal(status, 403);
+    assert.equal(json.error.code, "forbidden");
+  });
+
+  test("are refused when tampered with", async () => {
+    const url = new URL(await storage.signedUrl(OBJECT, 60));
+    const tampered = [
+      // another signature
+      (u) => u.searchParams.set("sig", "A".repeat(u.searchParams.get("sig").length)),
+      // a later expiry
+      (u) => u.searchParams.set("expires", String(Number(u.searchParams.get("expires")) + 3600)),
+      // another file
+      (u) => (u.pathname = u.pathname.replace("ada.pdf", "alan.pdf")),
+      // no signature
+      (u) => u.searchParams.delete("sig"),
+    ];
+    for (const change of tampered) {
+      const u = new URL(url);
+      change(u);
+      assert.equal((await open(u.href)).status, 403, u.href);
+    }
+  });
+
+  test("can't reach outside the storage directory, even when signed", async () => {
+    // signed with the server's secret, as only a leaked secret would allow
+    const objectPath = "../secret.txt";
+    const expires = Math.floor(Date.now() / 1000) + 60;
+    const sig = createHmac("sha256", process.env.JWT_SECRET)
+      .update(`${objectPath}:${expires}`)
+      .digest("base64url");
+    const { status, text } = await call(
+      "GET",
+      `/files/..%2Fsecret.txt?expires=${expires}&sig=${sig}`
+    );
+    assert.equal(status, 404);
+    assert.doesNotMatch(text, /not for download/);
+  });
+});
+
+describe("local storage driver", () => {
+  const local = () =>
+    createLocalStorage({
+      root: path.join(app.tmp, "storage"),
+      baseUrl: () => app.base,
+      secret: "driver-secret",
+    });
+
+  test("refuses paths that leave its directory", async () => {
+    const driver = local();
+    for (const objectPath of ["../secret.txt", "a/../../secret.txt", "../storage-other/x"]) {
+      await assert.rejects(driver.put(objectPath, Buffer.from("x")), /Invalid storage path/);
+      assert.equal(await driver.get(objectPath), null, objectPath);
+      await assert.rejects(driver.stream(objectPath), /Invalid storage path/);
+    }
+    assert.equal(fs.readFileSync(path.join(app.tmp, "secret.txt"), "utf8"), "not for download");
+  });
+
+  test("checks a link's expiry and signature", async () => {
+    const driver = local();
+    const params = async (seconds) =>
+      new URL(await driver.signedUrl(OBJECT, seconds)).searchParams;
+
+    const fresh = await params(60);
+    assert.equal(driver.verifySignedUrl(OBJECT, fresh.get("expires"), fresh.get("sig")), true);
+    assert.equal(driver.verifySignedUrl("other.pdf", fresh.get("expires"), fresh.get("sig")), false);
+
+    const expired = await params(-1);
+    assert.equal(driver.verifySignedUrl(OBJECT, expired.get("expires"), expired.get("sig")), false);
+
+    // a link signed with another secret
+    const theirs = new URL(await storage.signedUrl(OBJECT, 60)).searchParams;
+    assert.equal(driver.verifySignedUrl(OBJECT, theirs.get("expires"), theirs.get("sig")), false);
+  });
+});
@@ -0,0 +1,151 @@
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { PGlite } from "@electric-sql/pglite";
+import { PGLiteSocketServer } from "@electric-sql/pglite-socket";
+import xlsx from "xlsx";
+
+// Boots the API against an in-memory Postgres for one test file. Each file
+// runs in its own process, so env set here (or passed in) applies to the
+// whole file: modules read it on first import.
+
+/**
+ * Start the app. `env` is merged over the defaults below before anything
+ * is imported. Resolves to { call, register, generate, issueOne, readMail, sql, tmp, base, stop }.
+ */
+export async function startApp(env = {}) {
+  const db = await PGlite.create();
+  const pg = new PGLiteSocketServer({ db, port: 0, maxConnections: 20 });
+  await pg.start();
+  const tmp = fs.mkdtempSync(path.join(os.tmpdir(), "zap-test-"));
+  Object.assign(process.env, {
+    DATABASE_URL: `postgres://postgres@${pg.getServerConn()}/postgres`,
+    JWT_SECRET: "test-secret",
+    STORAGE_DRIVER: "local",
+    STORAGE_DIR: path.join(tmp, "storage"),
+    MAIL_DRIVER: "file",
+    MAIL_DIR: path.join(tmp, "mail"),
+    ...env,
+  });
+
+  // the db connection reads DATABASE_URL on import
+  const { default: sql } = await import("../../src/db/db.js");
+  const { migrateUp } = await import("../../src/db/migrate.js");
+  await migrateUp({ log: () => {} });
+  const { default: app } = await import("../../src/index.js");
+  const server = app.listen(0);
+  await new Promise((r) => server.once("listening", r));
+  const base = `http://127.0.0.1:${server.address().port}`;
+  process.env.PUBLIC_BASE_URL = base;
+
+  async function call(method, url, { headers, body, redirect } = {}) {
+    const isForm = body instanceof FormData;
+    const res = await fetch(base + url, {
+      method,
+      headers: isForm || !body ? headers : { "content-type": "application/json", ...headers },
+      body: isForm ? body : body && JSON.stringify(body),
+      redirect,
+    });
+    const buffer = Buffer.from(await res.arrayBuffer());
+    const text = buffer.toString("utf8");
+    let json = null;
+    try {
+      json = JSON.parse(text);
+    } catch {}
+    return { status: res.status, headers: res.headers, json, text, buffer };
+  }
+
+  /** Register an institution and its admin; resolves to its auth headers. */
+  async function register(institutionName, email, password = "password123") {
+    const { status, json, text } = await call("POST", "/auth/register", {
+      body: { institutionName, fullName: "Admin", email, password },
+    });
+    assert.equal(status, 201, text);
+    return { authorization: `Bearer ${json.token}` };
+  }
+
+  /**
+   * Upload a sheet to /certificates/generate and wait for the job to finish;
+   * resolves to the finished job (GET /certificates/jobs/:jobId). The sheet
+   * is `csv` text, or `rows` (arrays, the first one headers) sent as XLSX
+   * text cells.
+   */
+  async function generate(headers, { csv, rows, fields = {} } = {}) {
+    const form = new FormData();
+    if (rows) {
+      const book = xlsx.utils.book_new();
+      xlsx.utils.book_append_sheet(book, xlsx.utils.aoa_to_sheet(rows), "Students");
+      const file = xlsx.write(book, { type: "buffer", bookType: "xlsx" });
+      form.append("file", new Blob([file]), "students.xlsx");
+    } else {
+      csv ??= "Full Name,Program,Certificate,CGPA\nAda Lovelace,Mathematics,BSc,4.5\n";
+      form.append("file", new Blob([csv], { type: "text/csv" }), "students.csv");
+    }
+    for (const [k, value] of Object.entries(fields)) form.append(k, value);
+    const started = await call("POST", "/certificates/generate", { headers, body: form });
+    assert.equal(started.status, 202, started.text);
+
+    const { jobId } = started.json;
+    for (let i = 0; i < 100; i++) {
+      const { json } = await call("GET", `/certificates/jobs/${jobId}`, { headers });
+      if (!["queued", "running"].includes(json.status)) return json;
+      await sleep(200);
+    }
+    throw new Error(`job ${jobId} did not finish`);
+  }
+
+  /**
+   * Issue certificates for `headers`' institution from a sheet, as for
+   * generate (defaults to one row). Resolves to { jobId, certificateId } for the first one.
+   */
+  async function issueOne(headers, sheet) {
+    const job = await generate(headers, sheet);
+    assert.equal(job.status, "completed", JSON.stringify(job));
+    const { json: list } = await call("GET", `/certificates?job_id=${job.id}`, { headers });
+    return { jobId: job.id, certificateId: list.items.at(-1).certificate_id };
+  }
+
+  /** Messages the file mailer wrote so far, oldest first. */
+  function readMail() {
+    const dir = process.env.MAIL_DIR;
+    if (!fs.existsSync(dir)) return [];
+    return fs
+      .readdirSync(dir)
+      .sort()
+      .map((f) => JSON.parse(fs.readFileSync(path.join(dir, f), "utf8")));
+  }
+
+  async function stop() {
+    await new Promise((r) => server.close(r));
+    await sql.end();
+    await pg.stop();
+    await db.close();
+    fs.rmSync(tmp, { recursive: true, force: true });
+  }
+
+  return { call, register, generate, issueOne, readMail, sql, tmp, base, stop };
+}
+
+export const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+/** Poll `fn` until it returns something truthy; fails after `timeoutMs`. */
+export async function waitFor(fn, { timeoutMs = 5000, message = "condition" } = {}) {
+  const until = Date.now() + timeoutMs;
+  for (;;) {
+    const value = await fn();
+    if (value) return value;
+    if (Date.now() > until) throw new Error(`Timed out waiting for ${message}`);
+    await sleep(50);
+  }
+}
+
+/** The files in a ZIP archive: Map of name -> Buffer. */
+export function unzip(buffer) {
+  const { FileIndex } = xlsx.CFB.read(buffer, { type: "buffer" });
+  // type 2 entries are files; the reader adds a marker file named \u0001Sh33tJ5
+  return new Map(
+    FileIndex.filter((f) => f.type === 2 && !f.name.startsWith("\u0001"))
+      .map((f) => [f.name, Buffer.from(f.content)])
+  );
+}
@@ -0,0 +1,56 @@
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { startApp } from "./helpers/app.js";
+
+// Image links on the live paths: issuing a sheet and reissuing a certificate
+// refuse internal addresses the same way the upload preview does.
+
+let app, call, admin;
+
+before(async () => {
+  app = await startApp();
+  ({ call } = app);
+  admin = await app.register("Image University", "admin@images.test");
+});
+
+after(() => app?.stop());
+
+describe("image links", () => {
+  test("to internal addresses fail their row when issuing", async () => {
+    const csv = [
+      "Full Name,Program,Certificate,CGPA,Image Url",
+      "Ada Lovelace,Mathematics,BSc,4.5,http://169.254.169.254/latest/meta-data",
+      "Grace Hopper,Computing,BSc,4.6,http://[::1]/photo.png",
+      "Alan Turing,Logic,BSc,4.7,",
+    ].join("\n");
+    const job = await app.generate(admin, { csv });
+    assert.equal(job.status, "completed_with_errors");
+    assert.deepEqual(
+      job.rows.map((r) => [r.status, r.error]),
+      [
+        ["failed", "Image Url points to a private or internal address"],
+        ["failed", "Image Url points to a private or internal address"],
+        ["succeeded", null],
+      ]
+    );
+    const [{ count }] = await app.sql`
+      select count(*)::int as count from certificates where job_id = ${job.id}
+    `;
+    assert.equal(count, 1);
+  });
+
+  test("to internal addresses are refused by a reissue", async () => {
+    const { certificateId } = await app.issueOne(admin);
+    const { status, json } = await call("POST", `/certificates/${certificateId}/reissue`, {
+      headers: admin,
+      body: { changes: { image_url: "http://10.0.0.5/photo.png" }, reason: "New photo" },
+    });
+    assert.equal(status, 400);
+    assert.equal(json.error.message, "image_url points to a private or internal address");
+
+    const [cert] = await app.sql`
+      select version, image_url from certificates where certificate_id = ${certificateId}
+    `;
+    assert.deepEqual({ ...cert }, { version: 1, image_url: null });
+  });
+});
@@ -0,0 +1,80 @@
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { startApp, sleep } from "./helpers/app.js";
+
+// Generation jobs: rows the upload preview reports as errors fail instead of
+// being issued, and can be corrected and retried.
+
+let app, call, admin, job;
+
+before(async () => {
+  app = await startApp();
+  ({ call } = app);
+  admin = await app.register("Job University", "admin@jobs.test");
+});
+
+after(() => app?.stop());
+
+/** Names on the certificates a job issued, alphabetically. */
+async function issuedFor(jobId) {
+  const rows = await app.sql`
+    select full_name from certificates where job_id = ${jobId} order by full_name
+  `;
+  return rows.map((c) => c.full_name);
+}
+
+describe("generation jobs", () => {
+  test("fail rows with a blank name or a bad CGPA instead of issuing them", async () => {
+    const csv = [
+      "Full Name,Program,Certificate,CGPA",
+      "Ada Lovelace,Mathematics,BSc,4.5",
+      ",Computing,BSc,4.6",
+      "Alan Turing,Logic,BSc,abc",
+      "Katherine Johnson,Physics,BSc,7",
+    ].join("\n");
+    job = await app.generate(admin, { csv });
+    assert.equal(job.status, "completed_with_errors");
+    assert.deepEqual(
+      job.rows.map((r) => [r.status, r.error]),
+      [
+        ["succeeded", null],
+        ["failed", "Full Name is blank"],
+        ["failed", 'CGPA "abc" is not a number'],
+        ["failed", "CGPA 7 is outside 0–5"],
+      ]
+    );
+    assert.deepEqual(await issuedFor(job.id), ["Ada Lovelace"]);
+  });
+
+  test("check CGPAs against the job's cgpa_max", async () => {
+    const csv = "Full Name,Program,Certificate,CGPA\nKatherine Johnson,Physics,BSc,7\n";
+    const { status } = await app.generate(admin, { csv, fields: { cgpa_max: "10" } });
+    assert.equal(status, "completed");
+  });
+
+  test("issue failed rows once corrected and retried", async () => {
+    const correct = (rowIndex, body) =>
+      call("PATCH", `/certificates/jobs/${job.id}/rows/${rowIndex}`, { headers: admin, body });
+
+    const fixed = await correct(1, { "Full Name": "Grace Hopper" });
+    assert.equal(fixed.status, 200);
+    assert.equal(fixed.json.data["Full Name"], "Grace Hopper");
+    assert.equal(fixed.json.data.Program, "Computing");
+    assert.equal((await correct(2, { CGPA: "4.7" })).status, 200);
+    // succeeded rows are issued already
+    assert.equal((await correct(0, { CGPA: "4.9" })).status, 404);
+    assert.equal((await correct(1, {})).status, 400);
+
+    const retried = await call("POST", `/certificates/jobs/${job.id}/retry`, { headers: admin });
+    assert.equal(retried.json.retried, 3);
+    let done;
+    for (let i = 0; i < 50 && !done; i++) {
+      const { json } = await call("GET", `/certificates/jobs/${job.id}`, { headers: admin });
+      if (!["queued", "running"].includes(json.status)) done = json;
+      else await sleep(200);
+    }
+    assert.equal(done.status, "completed_with_errors");
+    assert.deepEqual(done.progress, { pending: 0, succeeded: 3, failed: 1, done: 4, percent: 100 });
+    assert.deepEqual(await issuedFor(job.id), ["Ada Lovelace", "Alan Turing", "Grace Hopper"]);
+  });
+});
@@ -0,0 +1,124 @@
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { startApp } from "./helpers/app.js";
+
+// Staff sign-in: the progressive account lockout and the per-IP and
+// per-account rate limits in front of it.
+
+const THRESHOLD = 3;
+const PASSWORD = "password123";
+
+let app, call;
+
+before(async () => {
+  app = await startApp({
+    LOGIN_LOCKOUT_THRESHOLD: String(THRESHOLD),
+    LOGIN_LOCKOUT_MINUTES: "1",
+    RATE_LIMIT_LOGIN_IP: "40/15m",
+    RATE_LIMIT_LOGIN_ACCOUNT: "10/15m",
+  });
+  ({ call } = app);
+  await app.register("Lockout University", "admin@lockout.test", PASSWORD);
+});
+
+after(() => app?.stop());
+
+const login = (email, password) => call("POST", "/auth/login", { body: { email, password } });
+
+const lockState = async (email) => {
+  const [row] = await app.sql`
+    select failed_logins, locked_until from users where email = ${email}
+  `;
+  return row;
+};
+
+describe("login lockout", () => {
+  const email = "admin@lockout.test";
+
+  test("locks the account after repeated wrong passwords", async () => {
+    for (let i = 0; i < THRESHOLD; i++) {
+      const { status, json } = await login(email, "wrong-password");
+      assert.equal(status, 400);
+      assert.equal(json.error.code, "invalid_credentials");
+    }
+    const { failed_logins, locked_until } = await lockState(email);
+    assert.equal(failed_logins, THRESHOLD);
+    assert.ok(locked_until > new Date());
+  });
+
+  test("gives a right and a wrong password the same answer while locked", async () => {
+    const right = await login(email, PASSWORD);
+    const wrong = await login(email, "wrong-password");
+
+    for (const res of [right, wrong]) {
+      assert.equal(res.status, 429);
+      assert.equal(res.json.error.code, "account_locked");
+      assert.ok(Number(res.headers.get("retry-after")) > 0);
+    }
+    assert.equal(right.json.error.message, wrong.json.error.message);
+    assert.equal(right.json.token, undefined);
+  });
+
+  test("counts attempts while locked, so the next lock is longer", async () => {
+    const first = await lockState(email);
+    assert.equal(first.failed_logins, THRESHOLD + 2);
+
+    // one more reaches the second threshold: locked for twice as long
+    const { status } = await login(email, PASSWORD);
+    assert.equal(status, 429);
+    const second = await lockState(email);
+    assert.equal(second.failed_logins, THRESHOLD * 2);
+    assert.ok(second.locked_until - Date.now() > 90 * 1000, "second lock is 2 minutes");
+  });
+
+  test("lets the right password in once the lock is over, and clears the streak", async () => {
+    await app.sql`update users set locked_until = now() - interval '1 second' where email = ${email}`;
+
+    const { status, json } = await login(email, PASSWORD);
+    assert.equal(status, 200);
+    assert.ok(json.token);
+    const { failed_logins, locked_until } = await lockState(email);
+    assert.equal(failed_logins, 0);
+    assert.equal(locked_until, null);
+  });
+});
+
+describe("unknown accounts", () => {
+  test("get a wrong password's answer, after the same password check", async (t) => {
+    const { default: bcrypt } = await import("bcrypt");
+    const compare = t.mock.method(bcrypt, "compare");
+
+    const { status, json } = await login("ghost@lockout.test", "wrong-password");
+    assert.equal(status, 400);
+    assert.equal(json.error.code, "invalid_credentials");
+    assert.equal(compare.mock.callCount(), 1);
+    assert.equal(await compare.mock.calls[0].result, false);
+  });
+});
+
+describe("login rate limits", () => {
+  test("cap attempts per account, whether or not it exists", async () => {
+    const email = "nobody@lockout.test";
+    for (let i = 0; i < 10; i++) assert.equal((await login(email, "x")).status, 400);
+
+    const { status, headers, json } = await login(email, "x");
+    assert.equal(status, 429);
+    assert.equal(json.error.code, "rate_limited");
+    assert.ok(Number(headers.get("retry-after")) > 0);
+
+    // another address isn't affected
+    assert.equal((await login("someone-else@lockout.test", "x")).status, 400);
+  });
+
+  test("cap attempts per IP across accounts", async () => {
+    let res;
+    for (let i = 0; i < 40; i++) {
+      res = await login(`user${i}@lockout.test`, "x");
+      if (res.status === 429) break;
+    }
+    assert.equal(res.status, 429);
+    assert.equal(res.json.error.code, "rate_limited");
+    assert.equal(res.headers.get("ratelimit-limit"), "40");
+    assert.equal(res.headers.get("ratelimit-remaining"), "0");
+  });
+});
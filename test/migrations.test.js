@@ -0,0 +1,113 @@
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { PGlite } from "@electric-sql/pglite";
+import { PGLiteSocketServer } from "@electric-sql/pglite-socket";
+
+// Migrations on an empty database of their own: upgrading the original
+// hand-made tables in place, then undoing everything and applying it again.
+
+const ADMIN_ID = "11111111-1111-4111-8111-111111111111";
+const CERTIFICATE_ID = "22222222-2222-4222-8222-222222222222";
+
+let pg, sql, migrate;
+
+before(async () => {
+  const db = await PGlite.create();
+  pg = new PGLiteSocketServer({ db, port: 0, maxConnections: 5 });
+  await pg.start();
+  process.env.DATABASE_URL = `postgres://postgres@${pg.getServerConn()}/postgres`;
+  ({ default: sql } = await import("../src/db/db.js"));
+  migrate = await import("../src/db/migrate.js");
+
+  // the tables as they were made by hand, before migrations
+  await sql.unsafe(`
+    create table users (
+      id uuid primary key default gen_random_uuid(),
+      institution_name text,
+      full_name text,
+      user_type text,
+      email text unique,
+      password_hash text,
+      institution_logo text,
+      created_at timestamptz default now()
+    );
+    create table certificates (
+      certificate_id uuid primary key default gen_random_uuid(),
+      full_name text,
+      program text,
+      certificate text,
+      cgpa numeric,
+      institution_name text,
+      image_url text,
+      logo_url text,
+      pdf_path text,
+      pdf_url text,
+      verify_url text,
+      status text default 'valid',
+      created_by uuid,
+      created_at timestamptz default now()
+    );
+  `);
+  await sql`
+    insert into users (id, institution_name, full_name, user_type, email, password_hash, institution_logo)
+    values
+      (${ADMIN_ID}, 'Old University', 'Old Admin', 'admin', 'admin@old.test', 'hash', 'https://old.test/logo.png'),
+      (gen_random_uuid(), 'old university', 'Old Clerk', 'clerk', 'clerk@old.test', 'hash', null)
+  `;
+  await sql`
+    insert into certificates (certificate_id, full_name, program, certificate, cgpa, institution_name, created_by)
+    values (${CERTIFICATE_ID}, 'Ada Lovelace', 'Mathematics', 'BSc', 4.5, 'Old University', ${ADMIN_ID})
+  `;
+});
+
+after(async () => {
+  await sql?.end();
+  await pg?.stop();
+});
+
+const log = () => {};
+
+describe("migrations", () => {
+  test("upgrade the hand-made tables in place", async () => {
+    const applied = await migrate.migrateUp({ log });
+    assert.equal(applied.length, (await migrate.loadMigrations()).length);
+
+    const institutions = await sql`select id, name, logo_url from institutions`;
+    assert.equal(institutions.length, 1);
+    assert.equal(institutions[0].logo_url, "https://old.test/logo.png");
+
+    const users = await sql`select id, email, user_type, institution_id from users order by email`;
+    assert.deepEqual(
+      users.map((u) => [u.email, u.user_type]),
+      [["admin@old.test", "admin"], ["clerk@old.test", "staff"]]
+    );
+    assert.equal(users[0].id, ADMIN_ID);
+    assert.ok(users.every((u) => u.institution_id === institutions[0].id));
+
+    const [certificate] = await sql`select * from certificates`;
+    assert.equal(certificate.certificate_id, CERTIFICATE_ID);
+    assert.equal(certificate.institution_id, institutions[0].id);
+    assert.equal(certificate.created_by, ADMIN_ID);
+    assert.equal(certificate.status, "valid");
+
+    const [{ aside }] = await sql`
+      select exists (select 1 from pg_namespace where nspname = 'hand_made') as aside
+    `;
+    assert.equal(aside, false);
+  });
+
+  test("undo all the way down, then apply again", async () => {
+    const all = (await migrate.loadMigrations()).length;
+    assert.equal((await migrate.migrateDown(all, { log })).length, all);
+    const left = await sql`
+      select table_name from information_schema.tables
+      where table_schema = 'public' and table_name <> 'schema_migrations'
+    `;
+    assert.deepEqual([...left], []);
+
+    assert.equal((await migrate.migrateUp({ log })).length, all);
+    assert.ok((await migrate.migrationStatus()).every((m) => m.applied_at));
+    const [{ count }] = await sql`select count(*)::int as count from users`;
+    assert.equal(count, 0);
+  });
+});
@@ -0,0 +1,66 @@
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { startApp, sleep, waitFor } from "./helpers/app.js";
+
+// Forgotten passwords: the request mustn't tell who has an account, and the
+// emailed link resets the password once.
+
+const EMAIL = "admin@reset.test";
+
+let app, call;
+
+before(async () => {
+  app = await startApp();
+  ({ call } = app);
+  await app.register("Reset University", EMAIL);
+});
+
+after(() => app?.stop());
+
+const forgot = (email) => call("POST", "/auth/forgot-password", { body: { email } });
+const resetMails = () => app.readMail().filter((m) => m.subject === "Reset your password");
+
+describe("forgot password", () => {
+  test("answers the same whether or not the account exists", async () => {
+    const known = await forgot(EMAIL);
+    const unknown = await forgot("nobody@reset.test");
+    assert.equal(known.status, 200);
+    assert.equal(unknown.status, known.status);
+    assert.deepEqual(unknown.json, known.json);
+
+    const [mail] = await waitFor(() => resetMails().length && resetMails(), {
+      message: "the reset email",
+    });
+    assert.equal(mail.to, EMAIL);
+    await sleep(100);
+    assert.equal(resetMails().length, 1);
+  });
+
+  test("the emailed link sets a new password, once", async () => {
+    const token = new URL(/https?:\S+/.exec(resetMails()[0].text)[0]).searchParams.get("token");
+    const reset = (password) =>
+      call("POST", "/auth/reset-password", { body: { token, password } });
+
+    assert.equal((await reset("new-password-1")).status, 200);
+    assert.equal((await reset("new-password-2")).status, 400);
+
+    const login = await call("POST", "/auth/login", {
+      body: { email: EMAIL, password: "new-password-1" },
+    });
+    assert.equal(login.status, 200);
+  });
+
+  test("answers the same when the email can't be sent", async (t) => {
+    const { getMailer } = await import("../src/lib/mailer/index.js");
+    const error = t.mock.method(console, "error", () => {});
+    const send = t.mock.method(getMailer(), "send", async () => {
+      throw new Error("mail server down");
+    });
+
+    const { status, json } = await forgot(EMAIL);
+    assert.equal(status, 200);
+    assert.deepEqual(json, { sent: true });
+    await waitFor(() => error.mock.callCount(), { message: "the failure to be logged" });
+    assert.equal(send.mock.callCount(), 1);
+  });
+});
@@ -0,0 +1,104 @@
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { startApp, sleep, waitFor } from "./helpers/app.js";
+
+// The recipient portal: sign-in links that don't tell who has certificates,
+// tokens kept apart from staff ones, and limits on error reports.
+
+const RECIPIENT = "ada@portal.test";
+
+let app, call, admin, portal;
+const certificates = [];
+
+before(async () => {
+  app = await startApp({
+    RATE_LIMIT_PORTAL_REPORT_RECIPIENT: "4/1h",
+    RATE_LIMIT_PORTAL_REPORT_CERTIFICATE: "2/1h",
+  });
+  ({ call } = app);
+  admin = await app.register("Portal University", "admin@portal.test");
+
+  const csv = [
+    "Full Name,Program,Certificate,CGPA,Email",
+    `Ada Lovelace,Mathematics,BSc,4.5,${RECIPIENT}`,
+    `Ada Lovelace,Mathematics,MSc,4.8,${RECIPIENT}`,
+  ].join("\n");
+  const { jobId } = await app.issueOne(admin, { csv });
+  for (const { certificate_id } of await app.sql`
+    select certificate_id from certificates where job_id = ${jobId}
+  `)
+    certificates.push(certificate_id);
+});
+
+after(() => app?.stop());
+
+const login = (email) => call("POST", "/portal/login", { body: { email } });
+const signInMails = () => app.readMail().filter((m) => m.subject === "Your sign-in link");
+
+describe("portal sign-in", () => {
+  test("answers the same whether or not the address has certificates", async () => {
+    const known = await login(RECIPIENT);
+    const unknown = await login("nobody@portal.test");
+    assert.equal(known.status, 200);
+    assert.equal(unknown.status, known.status);
+    assert.deepEqual(unknown.json, known.json);
+
+    const [mail] = await waitFor(() => signInMails().length && signInMails(), {
+      message: "the sign-in link",
+    });
+    assert.equal(mail.to, RECIPIENT);
+    await sleep(100);
+    assert.equal(signInMails().length, 1);
+
+    const token = new URL(/https?:\S+/.exec(mail.text)[0]).searchParams.get("token");
+    const { status, json } = await call("POST", "/portal/session", { body: { token } });
+    assert.equal(status, 200);
+    portal = { authorization: `Bearer ${json.token}` };
+
+    const mine = await call("GET", "/portal/certificates", { headers: portal });
+    assert.equal(mine.json.items.length, 2);
+  });
+
+  test("portal tokens don't work on staff routes, nor staff tokens on the portal", async () => {
+    for (const url of ["/certificates", "/auth/me"]) {
+      const { status, json } = await call("GET", url, { headers: portal });
+      assert.equal(status, 401, url);
+      assert.equal(json.error.code, "invalid_token");
+    }
+    const { status } = await call("GET", "/portal/certificates", { headers: admin });
+    assert.equal(status, 401);
+  });
+
+  test("unknown portal paths are 404, signed in or not", async () => {
+    for (const headers of [undefined, portal]) {
+      const { status, json } = await call("GET", "/portal/no-such-page", { headers });
+      assert.equal(status, 404);
+      assert.equal(json.error.code, "not_found");
+    }
+    assert.equal((await call("GET", "/portal/shares")).status, 401);
+  });
+});
+
+describe("error reports", () => {
+  const report = (certificateId) =>
+    call("POST", `/portal/certificates/${certificateId}/report`, {
+      headers: portal,
+      body: { message: "My name is misspelled" },
+    });
+
+  test("are limited per certificate", async () => {
+    const [first] = certificates;
+    assert.equal((await report(first)).status, 201);
+    assert.equal((await report(first)).status, 201);
+    const { status, json } = await report(first);
+    assert.equal(status, 429);
+    assert.equal(json.error.code, "rate_limited");
+  });
+
+  test("are limited per recipient", async () => {
+    const [, second] = certificates;
+    // within this certificate's allowance, but the refused report above counted too
+    assert.equal((await report(second)).status, 201);
+    assert.equal((await report(second)).status, 429);
+  });
+});
@@ -0,0 +1,121 @@
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import http from "node:http";
+import { startApp } from "./helpers/app.js";
+
+// The dry-run preview of an upload: its per-row report and image checks.
+
+// a 1x1 PNG
+const PNG = Buffer.from(
+  "iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==",
+  "base64"
+);
+
+let app, call, admin;
+let images, imageBase;
+const hits = [];
+
+before(async () => {
+  app = await startApp();
+  ({ call } = app);
+  admin = await app.register("Preview University", "admin@preview.test");
+
+  images = http.createServer((req, res) => {
+    hits.push(req.url);
+    if (req.url.startsWith("/redirect")) {
+      res.writeHead(302, { location: "http://169.254.169.254/latest/meta-data" });
+      return res.end();
+    }
+    res.writeHead(200, { "content-type": "image/png" });
+    res.end(req.url.startsWith("/text") ? "not an image" : PNG);
+  });
+  await new Promise((r) => images.listen(0, "127.0.0.1", r));
+  imageBase = `http://127.0.0.1:${images.address().port}`;
+});
+
+after(async () => {
+  await new Promise((r) => images?.close(r));
+  await app?.stop();
+});
+
+/** POST a CSV of [name, image url] rows to the preview. */
+function preview(entries, fields = {}) {
+  const csv = [
+    "Full Name,Program,Certificate,CGPA,Image Url",
+    ...entries.map(([name, url]) => `${name},Physics,BSc,4.0,${url}`),
+  ].join("\n");
+  const form = new FormData();
+  form.append("file", new Blob([csv], { type: "text/csv" }), "students.csv");
+  for (const [k, value] of Object.entries(fields)) form.append(k, value);
+  return call("POST", "/certificates/generate/preview", { headers: admin, body: form });
+}
+
+describe("upload preview", () => {
+  test("doesn't fetch image links unless asked to", async () => {
+    hits.length = 0;
+    const { status, json } = await preview([
+      ["Ada", `${imageBase}/a.png`],
+      ["Grace", "photos/grace.png"],
+    ]);
+    assert.equal(status, 200);
+    assert.equal(json.images, null);
+    assert.deepEqual(json.rows[0].warnings, []);
+    assert.deepEqual(json.rows[1].warnings, ["Image Url is not an http(s) link"]);
+    assert.deepEqual(hits, []);
+    assert.ok(json.sample.pdf);
+  });
+
+  test("refuses image links to internal addresses without requesting them", async () => {
+    const { json } = await preview(
+      [
+        ["Ada", "http://169.254.169.254/latest/meta-data"],
+        ["Grace", `${imageBase}/b.png`],
+        ["Alan", "http://[::1]/c.png"],
+      ],
+      { check_images: "true" }
+    );
+    for (const row of json.rows)
+      assert.deepEqual(row.errors, ["Image Url points to a private or internal address"]);
+    assert.deepEqual(json.images, { checked: 3, skipped: 0 });
+  });
+
+  test("checks allowed hosts' images, without following redirects", async () => {
+    process.env.ALLOWED_PRIVATE_HOSTS = "127.0.0.1";
+    try {
+      hits.length = 0;
+      const { json } = await preview(
+        [
+          ["Ada", `${imageBase}/ok.png`],
+          ["Grace", `${imageBase}/text.png`],
+          ["Alan", `${imageBase}/redirect.png`],
+        ],
+        { check_images: "true" }
+      );
+      assert.deepEqual(json.rows[0].errors, []);
+      assert.deepEqual(json.rows[0].warnings, []);
+      assert.deepEqual(json.rows[1].errors, ["Image Url is not a PNG or JPEG"]);
+      assert.match(json.rows[2].warnings[0], /could not be fetched/);
+      // the sample PDF of the first row fetches its photo once more
+      assert.deepEqual(hits.sort(), ["/ok.png", "/ok.png", "/redirect.png", "/text.png"]);
+    } finally {
+      delete process.env.ALLOWED_PRIVATE_HOSTS;
+    }
+  });
+
+  test("fetches at most 20 distinct image links", async () => {
+    process.env.ALLOWED_PRIVATE_HOSTS = "127.0.0.1";
+    try {
+      hits.length = 0;
+      const entries = Array.from({ length: 30 }, (_, i) => [
+        `Student ${i}`,
+        `${imageBase}/${i % 25}.png`,
+      ]);
+      const { status, json, text } = await preview(entries, { check_images: "true" });
+      assert.equal(status, 200, text);
+      assert.deepEqual(json.images, { checked: 20, skipped: 5 });
+      assert.equal(new Set(hits).size, 20);
+    } finally {
+      delete process.env.ALLOWED_PRIVATE_HOSTS;
+    }
+  });
+});
@@ -0,0 +1,82 @@
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import path from "node:path";
+import { startApp } from "./helpers/app.js";
+
+// Correcting a certificate: same id, the next version, a fresh PDF beside
+// the old one, and earlier copies that still check out as superseded.
+
+let app, call, admin, certificateId, original;
+
+before(async () => {
+  app = await startApp();
+  ({ call } = app);
+  admin = await app.register("Reissue University", "admin@reissue.test");
+  ({ certificateId } = await app.issueOne(admin));
+
+  // what the holder had before the correction
+  const versions = await call("GET", `/certificates/${certificateId}/versions`, {
+    headers: admin,
+  });
+  const jwt = await call("GET", `/credentials/${certificateId}?format=jwt`);
+  original = { pdfPath: versions.json.current.pdf_path, jwt: jwt.text };
+});
+
+after(() => app?.stop());
+
+const stored = (pdfPath) => path.join(process.env.STORAGE_DIR, pdfPath);
+
+describe("reissue", () => {
+  let reissued;
+
+  test("keeps the id, bumps the version and writes the PDF under v2/", async () => {
+    const { status, json } = await call("POST", `/certificates/${certificateId}/reissue`, {
+      headers: admin,
+      body: { reason: "Program was misspelled", changes: { program: "Applied Mathematics" } },
+    });
+    assert.equal(status, 200);
+    reissued = json;
+    assert.equal(json.certificate_id, certificateId);
+    assert.equal(json.version, 2);
+    assert.equal(json.program, "Applied Mathematics");
+    assert.ok(json.reissued_at);
+
+    assert.match(json.pdf_path, new RegExp(`/${certificateId}/v2/[^/]+\\.pdf$`));
+    assert.notEqual(json.pdf_path, original.pdfPath);
+    assert.ok(fs.existsSync(stored(json.pdf_path)), "the new PDF");
+    assert.ok(fs.existsSync(stored(original.pdfPath)), "the earlier PDF is kept");
+  });
+
+  test("lists the earlier version", async () => {
+    const { json } = await call("GET", `/certificates/${certificateId}/versions`, {
+      headers: admin,
+    });
+    assert.equal(json.current.version, 2);
+    assert.deepEqual(
+      json.previous.map((v) => [v.version, v.program, v.pdf_path]),
+      [[1, "Mathematics", original.pdfPath]]
+    );
+  });
+
+  test("verifies the id with the current details", async () => {
+    const { json } = await call("GET", `/certificates/verify/${certificateId}.json`);
+    assert.equal(json.valid, true);
+    assert.equal(json.version, 2);
+    assert.equal(json.program, "Applied Mathematics");
+    assert.equal(json.reissued_at, new Date(reissued.reissued_at).toISOString());
+  });
+
+  test("checks an earlier credential as genuine but superseded", async () => {
+    const { status, json } = await call("POST", "/certificates/verify/credential", {
+      body: { jwt: original.jwt },
+    });
+    assert.equal(status, 200);
+    assert.equal(json.valid, false);
+    assert.equal(json.checks.signature, true);
+    assert.equal(json.checks.issuer, true);
+    assert.equal(json.checks.status, "valid");
+    assert.equal(json.checks.current, false);
+    assert.equal(json.certificate.version, 2);
+  });
+});
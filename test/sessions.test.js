@@ -0,0 +1,124 @@
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { startApp } from "./helpers/app.js";
+import { hashToken } from "../src/utils/tokens.js";
+
+// Sessions: refresh-token rotation, reuse detection, sign-out and expiry.
+
+const EMAIL = "admin@sessions.test";
+const PASSWORD = "password123";
+
+let app, call;
+
+before(async () => {
+  app = await startApp();
+  ({ call } = app);
+  await app.register("Session University", EMAIL, PASSWORD);
+});
+
+after(() => app?.stop());
+
+/** Sign in: resolves to { token, refreshToken }. */
+async function signIn() {
+  const { status, json } = await call("POST", "/auth/login", {
+    body: { email: EMAIL, password: PASSWORD },
+  });
+  assert.equal(status, 200);
+  return json;
+}
+
+const refresh = (refreshToken) => call("POST", "/auth/refresh", { body: { refreshToken } });
+const me = (token) => call("GET", "/auth/me", { headers: { authorization: `Bearer ${token}` } });
+
+describe("refresh tokens", () => {
+  test("rotate: each one is swapped for a new pair", async () => {
+    const first = await signIn();
+    const { status, json } = await refresh(first.refreshToken);
+    assert.equal(status, 200);
+    assert.ok(json.token);
+    assert.notEqual(json.refreshToken, first.refreshToken);
+    assert.equal((await me(json.token)).status, 200);
+
+    const again = await refresh(json.refreshToken);
+    assert.equal(again.status, 200);
+  });
+
+  test("reuse: presenting a used one signs the whole session out", async () => {
+    const first = await signIn();
+    const second = (await refresh(first.refreshToken)).json;
+
+    const reused = await refresh(first.refreshToken);
+    assert.equal(reused.status, 401);
+    assert.equal(reused.json.error.code, "invalid_refresh_token");
+    assert.match(reused.json.error.message, /already used/);
+
+    // the token issued after it is dead too, and so is the session's access token
+    assert.equal((await refresh(second.refreshToken)).status, 401);
+    const { status, json } = await me(second.token);
+    assert.equal(status, 401);
+    assert.equal(json.error.code, "session_expired");
+
+    const [session] = await app.sql`
+      select s.revoked_reason from sessions s
+      join refresh_tokens t on t.session_id = s.id
+      where t.token_hash = ${hashToken(first.refreshToken)}
+    `;
+    assert.equal(session.revoked_reason, "refresh_token_reused");
+  });
+
+  test("revoked: a signed-out session can't be refreshed", async () => {
+    const { token, refreshToken } = await signIn();
+    const out = await call("POST", "/auth/logout", { body: { refreshToken } });
+    assert.equal(out.status, 204);
+
+    const { status, json } = await refresh(refreshToken);
+    assert.equal(status, 401);
+    assert.match(json.error.message, /signed out/);
+    assert.equal((await me(token)).status, 401);
+  });
+
+  test("expired: an old one is refused", async () => {
+    const { refreshToken } = await signIn();
+    await app.sql`
+      update refresh_tokens set expires_at = now() - interval '1 minute'
+      where token_hash = ${hashToken(refreshToken)}
+    `;
+    const { status, json } = await refresh(refreshToken);
+    assert.equal(status, 401);
+    assert.equal(json.error.message, "Refresh token expired");
+  });
+
+  test("unknown: a made-up one is refused", async () => {
+    const { status, json } = await refresh("not-a-real-token");
+    assert.equal(status, 401);
+    assert.equal(json.error.message, "Invalid refresh token");
+  });
+});
+
+describe("logout", () => {
+  test("with the access token signs out that session only", async () => {
+    const one = await signIn();
+    const two = await signIn();
+    const out = await call("POST", "/auth/logout", {
+      headers: { authorization: `Bearer ${one.token}` },
+    });
+    assert.equal(out.status, 204);
+
+    assert.equal((await me(one.token)).status, 401);
+    assert.equal((await me(two.token)).status, 200);
+  });
+
+  test("everywhere signs out every session of the user", async () => {
+    const one = await signIn();
+    const two = await signIn();
+    const { status, json } = await call("POST", "/auth/logout-all", {
+      headers: { authorization: `Bearer ${one.token}` },
+    });
+    assert.equal(status, 200);
+    assert.ok(json.revoked >= 2);
+
+    assert.equal((await me(one.token)).status, 401);
+    assert.equal((await me(two.token)).status, 401);
+    assert.equal((await refresh(two.refreshToken)).status, 401);
+  });
+});
@@ -0,0 +1,92 @@
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import http from "node:http";
+import path from "node:path";
+import { startApp } from "./helpers/app.js";
+
+// Template previews and the images a certificate fetches while rendering:
+// only public links, never a file on the server or an internal address.
+
+// a 1x1 PNG
+const PNG = Buffer.from(
+  "iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==",
+  "base64"
+);
+
+let app, call, admin, fetchBuffer, definition;
+let images, imageBase;
+const hits = [];
+
+before(async () => {
+  app = await startApp();
+  ({ call } = app);
+  ({ fetchBuffer } = await import("../src/lib/certificatePdf.js"));
+  admin = await app.register("Template University", "admin@templates.test");
+  ({ definition } = (await call("GET", "/certificates/templates/default", { headers: admin })).json);
+
+  images = http.createServer((req, res) => {
+    hits.push(req.url);
+    if (req.url === "/redirect.png") {
+      res.writeHead(302, { location: "http://169.254.169.254/latest/meta-data" });
+      return res.end();
+    }
+    res.writeHead(200, { "content-type": "image/png" }).end(PNG);
+  });
+  await new Promise((r) => images.listen(0, "127.0.0.1", r));
+  imageBase = `http://127.0.0.1:${images.address().port}`;
+});
+
+after(async () => {
+  await new Promise((r) => images?.close(r));
+  await app?.stop();
+});
+
+const preview = (data) =>
+  call("POST", "/certificates/templates/preview", { headers: admin, body: { definition, data } });
+
+describe("template preview", () => {
+  test("renders the sample as a PDF", async () => {
+    const { status, headers, text } = await preview({ full_name: "Ada Lovelace" });
+    assert.equal(status, 200);
+    assert.equal(headers.get("content-type"), "application/pdf");
+    assert.ok(text.startsWith("%PDF"));
+  });
+
+  test("refuses an image_url that is a local path or an internal address", async () => {
+    const file = path.join(app.tmp, "photo.png");
+    fs.writeFileSync(file, PNG);
+    for (const url of [file, "/etc/hostname", "http://169.254.169.254/latest/meta-data"]) {
+      const { status, json } = await preview({ image_url: url });
+      assert.equal(status, 400, url);
+      assert.equal(json.error.details[0].field, "data.image_url");
+    }
+  });
+});
+
+describe("image fetching while rendering", () => {
+  test("never reads files from the server's disk", async () => {
+    const file = path.join(app.tmp, "photo.png");
+    fs.writeFileSync(file, PNG);
+    assert.equal(await fetchBuffer(file), null);
+    assert.equal(await fetchBuffer(`file://${file}`), null);
+  });
+
+  test("never requests internal addresses", async () => {
+    hits.length = 0;
+    assert.equal(await fetchBuffer(`${imageBase}/a.png`), null);
+    assert.deepEqual(hits, []);
+  });
+
+  test("fetches allowed hosts, without following redirects", async () => {
+    process.env.ALLOWED_PRIVATE_HOSTS = "127.0.0.1";
+    try {
+      hits.length = 0;
+      assert.deepEqual(await fetchBuffer(`${imageBase}/a.png`), PNG);
+      assert.equal(await fetchBuffer(`${imageBase}/redirect.png`), null);
+      assert.deepEqual(hits, ["/a.png", "/redirect.png"]);
+    } finally {
+      delete process.env.ALLOWED_PRIVATE_HOSTS;
+    }
+  });
+});
@@ -0,0 +1,107 @@
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { startApp } from "./helpers/app.js";
+
+// Two institutions share one database. Everything B asks about A's
+// certificates or jobs must look like it doesn't exist, and change nothing.
+
+let app, call;
+let a, b; // auth headers per institution
+let certificateId, jobId;
+
+before(async () => {
+  app = await startApp();
+  ({ call } = app);
+  a = await app.register("Institution A", "admin@a.test");
+  b = await app.register("Institution B", "admin@b.test");
+  ({ jobId, certificateId } = await app.issueOne(a));
+});
+
+after(() => app?.stop());
+
+describe("another institution's certificates", () => {
+  test("are not listed", async () => {
+    const { status, json } = await call("GET", "/certificates", { headers: b });
+    assert.equal(status, 200);
+    assert.deepEqual(json.items, []);
+
+    const search = await call("GET", "/certificates?q=Ada", { headers: b });
+    assert.deepEqual(search.json.items, []);
+  });
+
+  test("are not exported", async () => {
+    const { status, text } = await call("GET", "/certificates/export?format=csv", {
+      headers: b,
+    });
+    assert.equal(status, 200);
+    assert.ok(!text.includes(certificateId));
+  });
+
+  test("can't be read", async () => {
+    const theirs = await call("GET", `/certificates/${certificateId}/versions`, { headers: b });
+    assert.equal(theirs.status, 404);
+
+    const own = await call("GET", `/certificates/${certificateId}/versions`, { headers: a });
+    assert.equal(own.status, 200);
+  });
+
+  test("can't be downloaded", async () => {
+    const theirs = await call("GET", `/certificates/download/${certificateId}`, { headers: b });
+    assert.equal(theirs.status, 404);
+
+    const own = await call("GET", `/certificates/download/${certificateId}`, { headers: a });
+    assert.equal(own.status, 200);
+  });
+
+  test("can't be revoked or suspended", async () => {
+    for (const action of ["revoke", "suspend"]) {
+      const { status } = await call("POST", `/certificates/${certificateId}/${action}`, {
+        headers: b,
+        body: { reason: "not ours" },
+      });
+      assert.equal(status, 404, action);
+    }
+
+    const { json } = await call("GET", `/certificates/verify/${certificateId}.json`);
+    assert.equal(json.status, "valid");
+  });
+
+  test("can't be reissued", async () => {
+    const { status } = await call("POST", `/certificates/${certificateId}/reissue`, {
+      headers: b,
+      body: { reason: "not ours", changes: { full_name: "Mallory" } },
+    });
+    assert.equal(status, 404);
+
+    const { json } = await call("GET", `/certificates/verify/${certificateId}.json`);
+    assert.equal(json.holder, "Ada Lovelace");
+    assert.equal(json.version, 1);
+  });
+
+  test("can't be emailed", async () => {
+    const { status } = await call("POST", `/certificates/${certificateId}/email`, {
+      headers: b,
+      body: { email: "someone@b.test" },
+    });
+    assert.equal(status, 404);
+  });
+});
+
+describe("another institution's generation jobs", () => {
+  test("have no visible status", async () => {
+    const theirs = await call("GET", `/certificates/jobs/${jobId}`, { headers: b });
+    assert.equal(theirs.status, 404);
+
+    const own = await call("GET", `/certificates/jobs/${jobId}`, { headers: a });
+    assert.equal(own.status, 200);
+  });
+
+  test("can't be retried or emailed", async () => {
+    for (const action of ["retry", "email"]) {
+      const { status } = await call("POST", `/certificates/jobs/${jobId}/${action}`, {
+        headers: b,
+      });
+      assert.equal(status, 404, action);
+    }
+  });
+});
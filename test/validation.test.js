@@ -0,0 +1,112 @@
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { startApp } from "./helpers/app.js";
+import { parse, v } from "../src/utils/schema.js";
+
+// Request validation: every refusal is the same error envelope,
+//   { error: { code, message, details: [{ location, field, message }], requestId } }
+// naming where the bad value was and which field it was.
+
+let app, call, admin;
+
+before(async () => {
+  app = await startApp();
+  ({ call } = app);
+  admin = await app.register("Validation University", "admin@validation.test");
+});
+
+after(() => app?.stop());
+
+/** Assert a 400 validation_failed envelope; returns its details. */
+function refused({ status, headers, json }) {
+  assert.equal(status, 400);
+  assert.deepEqual(Object.keys(json.error).sort(), ["code", "details", "message", "requestId"]);
+  assert.equal(json.error.code, "validation_failed");
+  assert.equal(json.error.requestId, headers.get("x-request-id"));
+  return json.error.details;
+}
+
+describe("validation errors", () => {
+  test("name a bad body field", async () => {
+    const details = refused(
+      await call("POST", "/auth/register", {
+        body: {
+          institutionName: "Somewhere",
+          fullName: "Admin",
+          email: "nope",
+          password: "password123",
+        },
+      })
+    );
+    assert.deepEqual(details, [
+      { location: "body", field: "email", message: "email must be a valid email address" },
+    ]);
+  });
+
+  test("name a bad query field", async () => {
+    const details = refused(await call("GET", "/certificates?pageSize=1000", { headers: admin }));
+    assert.deepEqual(details, [
+      { location: "query", field: "pageSize", message: "pageSize must be at most 100" },
+    ]);
+  });
+
+  test("name a bad path parameter", async () => {
+    const details = refused(await call("DELETE", "/api-keys/not-an-id", { headers: admin }));
+    assert.deepEqual(details, [
+      { location: "params", field: "id", message: "id must be a UUID" },
+    ]);
+  });
+
+  test("list every problem, the first one in the message", async () => {
+    const res = await call("POST", "/auth/register", { body: { email: "nope" } });
+    const details = refused(res);
+    assert.deepEqual(
+      details.map((d) => [d.location, d.field]),
+      [["body", "institutionName"], ["body", "fullName"], ["body", "email"], ["body", "password"]]
+    );
+    assert.equal(res.json.error.message, "institutionName is required (and 3 more)");
+  });
+
+  test("give nested fields their full path", async () => {
+    const details = refused(
+      await call("POST", "/certificates/verify/bulk", {
+        headers: admin,
+        body: { certificates: ["x", { name: "Ada" }] },
+      })
+    );
+    assert.deepEqual(details, [
+      { location: "body", field: "certificates[1]", message: "Every entry needs a certificate_id" },
+    ]);
+  });
+});
+
+describe("schemas", () => {
+  const shape = {
+    name: v.string({ max: 5 }),
+    count: v.int({ min: 1 }).default(1),
+    tags: v.array(v.oneOf(["a", "b"])).optional(),
+    address: v.object({ city: v.string() }).optional(),
+  };
+
+  test("clean the values they accept", () => {
+    assert.deepEqual(parse(shape, { name: " Ada ", tags: "a, b", extra: 1 }), {
+      value: { name: "Ada", count: 1, tags: ["a", "b"], extra: 1 },
+    });
+    assert.deepEqual(parse(shape, { name: "Ada", count: "3" }).value.count, 3);
+  });
+
+  test("report each problem with its field's path", () => {
+    const { issues } = parse(shape, {
+      name: "Adaeze",
+      count: "0",
+      tags: ["a", "c"],
+      address: { city: "" },
+    });
+    assert.deepEqual(issues, [
+      { field: "name", message: "name must be at most 5 characters" },
+      { field: "count", message: "count must be at least 1" },
+      { field: "tags[1]", message: "tags[1] must be one of: a, b" },
+      { field: "address.city", message: "address.city is required" },
+    ]);
+  });
+});
@@ -0,0 +1,215 @@
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import http from "node:http";
+import { createHmac } from "node:crypto";
+import { startApp, waitFor } from "./helpers/app.js";
+
+// Outbound webhooks against a local receiver: signatures, retries with
+// backoff, endpoints switched off after repeated failures, and internal
+// addresses refused.
+
+let app, call, admin, certificateId;
+let startWebhookWorker;
+let receiver, receiverUrl;
+let respondWith = 200;
+const received = [];
+
+before(async () => {
+  app = await startApp({
+    ALLOWED_PRIVATE_HOSTS: "127.0.0.1",
+    WEBHOOK_MAX_ATTEMPTS: "3",
+    WEBHOOK_DISABLE_AFTER: "2",
+  });
+  ({ call } = app);
+  ({ startWebhookWorker } = await import("../src/lib/webhooks.js"));
+  admin = await app.register("Webhook University", "admin@webhooks.test");
+  ({ certificateId } = await app.issueOne(admin));
+
+  receiver = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (c) => (body += c));
+    req.on("end", () => {
+      received.push({ headers: req.headers, body });
+      res.writeHead(respondWith).end();
+    });
+  });
+  await new Promise((r) => receiver.listen(0, "127.0.0.1", r));
+  receiverUrl = `http://127.0.0.1:${receiver.address().port}/hook`;
+});
+
+after(async () => {
+  await new Promise((r) => receiver?.close(r));
+  await app?.stop();
+});
+
+const createEndpoint = (url) =>
+  call("POST", "/webhooks", {
+    headers: admin,
+    body: { url, events: ["certificate.status_changed"] },
+  });
+
+let suspended = false;
+/** Suspend or reinstate the certificate: one certificate.status_changed event. */
+async function changeStatus() {
+  const action = suspended ? "reinstate" : "suspend";
+  const { status } = await call("POST", `/certificates/${certificateId}/${action}`, {
+    headers: admin,
+    body: { reason: "testing webhooks" },
+  });
+  assert.equal(status, 200);
+  suspended = !suspended;
+}
+
+const deliveriesOf = (endpointId) => app.sql`
+  select * from webhook_deliveries where endpoint_id = ${endpointId} order by created_at
+`;
+const endpointRow = async (id) =>
+  (await app.sql`select * from webhook_endpoints where id = ${id}`)[0];
+
+/** Wait for the endpoint's (only) delivery to have been tried once. */
+const firstAttempt = (endpointId) =>
+  waitFor(
+    async () =>
+      (await deliveriesOf(endpointId)).find(
+        (d) => d.attempts === 1 && d.status !== "delivering"
+      ),
+    { message: "the first attempt" }
+  );
+
+/** Make a pending delivery due now and run the worker until it's been tried again. */
+async function retryNow(delivery) {
+  await app.sql`
+    update webhook_deliveries set next_attempt_at = now() where id = ${delivery.id}
+  `;
+  await startWebhookWorker();
+  return waitFor(
+    async () => {
+      const [d] = await app.sql`select * from webhook_deliveries where id = ${delivery.id}`;
+      return d.attempts > delivery.attempts && d.status !== "delivering" && d;
+    },
+    { message: "another attempt" }
+  );
+}
+
+describe("webhook endpoints", () => {
+  test("can't point at internal addresses", async () => {
+    for (const url of [
+      "http://169.254.169.254/latest/meta-data",
+      "http://10.0.0.5/hook",
+      "http://[::1]:8080/hook",
+    ]) {
+      const { status, json } = await createEndpoint(url);
+      assert.equal(status, 400, url);
+      assert.equal(json.error.details[0].field, "url");
+    }
+
+    const { json: endpoint } = await createEndpoint(receiverUrl);
+    const { status } = await call("PATCH", `/webhooks/${endpoint.id}`, {
+      headers: admin,
+      body: { url: "http://192.168.1.1/hook" },
+    });
+    assert.equal(status, 400);
+    await call("DELETE", `/webhooks/${endpoint.id}`, { headers: admin });
+  });
+});
+
+describe("webhook deliveries", () => {
+  let endpoint;
+
+  before(async () => {
+    ({ json: endpoint } = await createEndpoint(receiverUrl));
+  });
+
+  test("are signed with the endpoint's secret", async () => {
+    received.length = 0;
+    respondWith = 200;
+    await changeStatus();
+    const [{ headers, body }] = await waitFor(() => received.length && received, {
+      message: "a delivery",
+    });
+
+    assert.equal(headers["x-webhook-event"], "certificate.status_changed");
+    const [, t, v1] = /^t=(\d+),v1=([0-9a-f]{64})$/.exec(headers["x-webhook-signature"]);
+    const mac = createHmac("sha256", endpoint.secret).update(`${t}.${body}`).digest("hex");
+    assert.equal(v1, mac);
+    assert.ok(Math.abs(Date.now() / 1000 - Number(t)) < 60);
+
+    const payload = JSON.parse(body);
+    assert.equal(payload.id, headers["x-webhook-id"]);
+    assert.equal(payload.data.certificate_id, certificateId);
+
+    const [delivery] = await waitFor(
+      async () => (await deliveriesOf(endpoint.id)).filter((d) => d.status === "succeeded"),
+      { message: "the delivery to be logged" }
+    );
+    assert.equal(delivery.last_status_code, 200);
+  });
+
+  test("are retried with exponential backoff, then given up", async () => {
+    await app.sql`delete from webhook_deliveries`;
+    respondWith = 500;
+    await changeStatus();
+
+    let delivery = await firstAttempt(endpoint.id);
+    const delay = (d) => d.next_attempt_at - d.last_attempt_at;
+    assert.equal(delivery.last_status_code, 500);
+    assert.ok(Math.abs(delay(delivery) - 30_000) < 1000, `first delay ${delay(delivery)}`);
+
+    delivery = await retryNow(delivery);
+    assert.equal(delivery.status, "pending");
+    assert.ok(Math.abs(delay(delivery) - 60_000) < 1000, `second delay ${delay(delivery)}`);
+
+    delivery = await retryNow(delivery);
+    assert.equal(delivery.attempts, 3);
+    assert.equal(delivery.status, "failed");
+    assert.equal(delivery.last_error, "HTTP 500");
+
+    const row = await endpointRow(endpoint.id);
+    assert.equal(row.consecutive_failures, 1);
+    assert.equal(row.active, true);
+  });
+
+  test("switch the endpoint off after repeated failed deliveries", async () => {
+    await app.sql`delete from webhook_deliveries`;
+    await changeStatus();
+    let delivery = await firstAttempt(endpoint.id);
+    delivery = await retryNow(delivery);
+    delivery = await retryNow(delivery);
+    assert.equal(delivery.status, "failed");
+
+    const row = await endpointRow(endpoint.id);
+    assert.equal(row.consecutive_failures, 2);
+    assert.equal(row.active, false);
+    assert.ok(row.disabled_at);
+    assert.equal(row.disabled_reason, "2 deliveries in a row failed");
+
+    // nothing more is queued for it
+    await app.sql`delete from webhook_deliveries`;
+    await changeStatus();
+    assert.equal((await deliveriesOf(endpoint.id)).length, 0);
+  });
+
+  test("resume, with a clean streak, when an admin turns the endpoint back on", async () => {
+    const { status, json } = await call("PATCH", `/webhooks/${endpoint.id}`, {
+      headers: admin,
+      body: { active: true },
+    });
+    assert.equal(status, 200);
+    assert.equal(json.active, true);
+    assert.equal(json.consecutive_failures, 0);
+    assert.equal(json.disabled_at, null);
+  });
+
+  test("are refused at send time if the host now points inside", async () => {
+    await app.sql`delete from webhook_deliveries`;
+    await app.sql`
+      update webhook_endpoints set url = 'http://169.254.169.254/hook' where id = ${endpoint.id}
+    `;
+    received.length = 0;
+    await changeStatus();
+
+    const delivery = await firstAttempt(endpoint.id);
+    assert.equal(delivery.last_error, "Endpoint URL points to a private or internal address");
+    assert.equal(received.length, 0);
+  });
+});